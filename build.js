@@ -33,14 +33,25 @@ const buildOptions = {
   },
 };
 
+// Camera frames are decoded off the main thread by this separately loaded worker
+const workerBuildOptions = {
+  ...buildOptions,
+  entryPoints: ['src/core/decode-worker.js'],
+  outfile: 'dist/decode-worker.js',
+  define: {},
+};
+
 try {
   if (isWatch) {
-    const ctx = await esbuild.context(buildOptions);
-    await ctx.watch();
+    for (const options of [buildOptions, workerBuildOptions]) {
+      const ctx = await esbuild.context(options);
+      await ctx.watch();
+    }
     console.log('Watching for changes... (Ctrl+C to stop)');
     copyStaticAssets(); // copy once at start for dev server
   } else {
     await esbuild.build(buildOptions);
+    await esbuild.build(workerBuildOptions);
     console.log('Build complete.');
     copyStaticAssets();
   }
@@ -54,6 +65,9 @@ function assertNoReservedPathCollisions() {
     '/style.css',
     '/manifest.json',
     '/app.js',
+    '/pdf.js',
+    '/pdf.worker.js',
+    '/decode-worker.js',
     '/index.html',
     '/404.html',
     '/_headers',
@@ -72,11 +86,19 @@ function assertNoReservedPathCollisions() {
 function copyStaticAssets() {
   const required = ['style.css', 'manifest.json'];
   const optional = [];
+  // pdf.js is large and only needed for PDF uploads, so it is served beside app.js and loaded on demand
+  const vendor = {
+    'node_modules/pdfjs-dist/build/pdf.min.mjs': 'pdf.js',
+    'node_modules/pdfjs-dist/build/pdf.worker.min.mjs': 'pdf.worker.js',
+  };
 
   assertNoReservedPathCollisions();
   for (const file of required) {
     copyFileSync(file, `dist/${file}`);
   }
+  for (const [from, to] of Object.entries(vendor)) {
+    copyFileSync(from, `dist/${to}`);
+  }
   writeEntryPage();
   writeDenyPages();
   writeRootPage();
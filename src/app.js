@@ -1,45 +1,83 @@
 import { parse, parseSeparated, generateLPA, repair } from './core/parser.js';
-import { generate as generateQR, downloadCanvas } from './core/qr-generator.js';
-import { scanFile, startCamera, stopCamera, isCameraAvailable } from './core/qr-scanner.js';
-import { Dialog, buildDataDisplay } from './ui/dialog.js';
+import { lint } from './core/lint.js';
+import { extract } from './core/extractor.js';
+import { generateAppleInstallLink, generateAndroidInstallLink } from './core/install-url.js';
+import {
+  generate as generateQR, toSVG, toPDF, resolveStyle, exportFilename, downloadCanvas, downloadBlob, DEFAULT_QR_OPTIONS,
+} from './core/qr-generator.js';
+import { scanFileAll, startCamera, stopCamera, isCameraAvailable } from './core/qr-scanner.js';
+import { scanPdf, isPdfFile } from './core/pdf-scanner.js';
+import { listCameras, readControls, setTorch, setZoom, focusAt, setFocusDistance, tapPoint } from './core/camera-controls.js';
+import { verifyCanvas, verifySVG } from './core/qr-verify.js';
+import { detectCapabilities } from './core/capabilities.js';
+import { Dialog, buildDataDisplay, buildDiagnosticList, buildChoiceList } from './ui/dialog.js';
 import { Notification } from './ui/notification.js';
+import { Feedback } from './ui/feedback.js';
 import { DeviceDetector } from './ui/device.js';
 import { lookup as lookupCarrier } from './features/carrier-db.js';
-import { History } from './features/history.js';
+import {
+  History, PAGE_SIZE as HISTORY_PAGE_SIZE, MAX_ENTRIES_OPTIONS as HISTORY_SIZE_OPTIONS, RETENTION_DAY_OPTIONS, MAX_NOTE_LENGTH,
+  applyCodePolicy,
+} from './features/history.js';
+import { STATUSES, STATUS_LABELS, MAX_DEVICE_LENGTH, statusOf, statusLogOf } from './features/lifecycle.js';
+import { CameraPrefs } from './features/camera-prefs.js';
+import { createScanBatch, batchToCSV } from './features/camera-batch.js';
 import { parseDeepLink, copyDeepLink } from './features/deep-link.js';
+import { createTabChannel } from './features/tab-sync.js';
+import { toCard, printCards, verifyCards, sheetLayout, PAPER_SIZES } from './features/cards.js';
+import { scanQueue, summarize, classifyPayload, pastedImages } from './features/scan-queue.js';
 import { enforceSecurityEntry } from './security-gate.js';
 
 // ─── State ──────────────────────────────────────────────────────────────────
 let currentLPA = null;
 let currentData = null;
 let currentCanvas = null;
-let currentQROptions = { size: 300, level: 'M' };
-
-// ─── Library Loading ─────────────────────────────────────────────────────────
-async function loadLibraries() {
-  await loadScript('https://cdnjs.cloudflare.com/ajax/libs/qrious/4.0.2/qrious.min.js');
-  await loadScriptWithFallback([
-    'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js',
-    'https://unpkg.com/jsqr@1.4.0/dist/jsQR.js',
-    'https://cdnjs.cloudflare.com/ajax/libs/jsQR/1.4.0/jsQR.min.js',
-  ]);
-}
-
-function loadScript(src) {
-  return new Promise((resolve, reject) => {
-    if (document.querySelector(`script[src="${src}"]`)) { resolve(); return; }
-    const s = document.createElement('script');
-    s.src = src;
-    s.onload = resolve;
-    s.onerror = reject;
-    document.head.appendChild(s);
-  });
-}
+/** Video track of the running camera, for the torch, zoom and focus controls. */
+let cameraTrack = null;
+/** eSIMs collected by the camera in batch mode. */
+const cameraBatch = createScanBatch();
+/** Incremented by each history render, so a slower earlier one does not overwrite it. */
+let historyRender = 0;
+/**
+ * Carries the displayed QR code to the other open tabs, e.g. one on a second monitor.
+ * Never through localStorage: without BroadcastChannel the feature is off.
+ */
+const displayChannel = createTabChannel('display', { storage: null });
+/** @type {import('./core/qr-generator.js').QROptions} */
+let currentQROptions = { ...DEFAULT_QR_OPTIONS };
+/** Error correction level chosen before a logo forced H; restored when the logo is removed. */
+let levelBeforeLogo = null;
+
+// ─── Capabilities ────────────────────────────────────────────────────────────
+/**
+ * Show which features this browser cannot support, and switch them off,
+ * instead of letting them fail later.
+ * @param {import('./core/capabilities.js').Capability[]} capabilities
+ * @returns {boolean} true if everything is available
+ */
+function applyCapabilities(capabilities) {
+  const missing = capabilities.filter(c => !c.available);
+  const banner = document.getElementById('capabilityBanner');
+  if (missing.length === 0 || !banner) return missing.length === 0;
+
+  const title = document.createElement('strong');
+  title.textContent = 'Limited mode — some features are unavailable in this browser:';
+  const list = document.createElement('ul');
+  for (const c of missing) {
+    const li = document.createElement('li');
+    li.textContent = `${c.feature}: ${c.reason}`;
+    list.appendChild(li);
+  }
+  banner.replaceChildren(title, list);
+  banner.style.display = 'block';
 
-async function loadScriptWithFallback(urls) {
-  for (const url of urls) {
-    try { await loadScript(url); return; } catch { /* try next */ }
+  const ids = new Set(missing.map(c => c.id));
+  if (ids.has('pixels')) {
+    document.getElementById('uploadArea')?.classList.add('unavailable');
+    document.querySelector('[data-scan-tab="camera"]')?.style.setProperty('display', 'none');
   }
+  if (ids.has('camera')) document.querySelector('[data-scan-tab="camera"]')?.style.setProperty('display', 'none');
+  return false;
 }
 
 // ─── QR Code Actions ─────────────────────────────────────────────────────────
@@ -51,35 +89,38 @@ async function handleGenerate() {
     const mode = document.querySelector('.mode-btn.active')?.dataset.mode;
     let result;
 
+    let fields = null;
+
     if (mode === 'separated') {
-      result = parseSeparated({
+      fields = {
         smdpAddress: document.getElementById('smdpAddress').value.trim(),
         activationCode: document.getElementById('activationCode').value.trim(),
         confirmationCode: document.getElementById('activationPassword').value.trim(),
-      });
+        smdpOid: document.getElementById('smdpOid').value.trim(),
+        confirmationCodeRequired: document.getElementById('ccRequired').checked,
+      };
+      result = parseSeparated(fields);
     } else {
       const input = document.getElementById('combinedText').value.trim();
       if (!input) { Notification.show('Please enter eSIM configuration data', 'warning'); return; }
       result = parse(input);
+      if (!result.success) {
+        // Not a bare activation code — maybe a pasted carrier email or web page
+        const extracted = extract(input);
+        if (extracted.length > 1) { showExtractedChoiceDialog(extracted); return; }
+        if (extracted.length === 1) {
+          generateFromData(extracted[0], 'Extracted eSIM details from text and generated QR code!');
+          return;
+        }
+      }
     }
 
     if (!result.success) {
-      Dialog.show({
-        title: 'Invalid Input Format',
-        body: buildDataDisplay([
-          { label: 'Problem:', value: result.error },
-          { label: 'Expected:', value: 'LPA:1$<smdp-address>$<activation-code>' },
-        ]),
-        type: 'error',
-        actions: [{ label: 'OK', variant: 'primary', onClick: () => {} }],
-      });
+      showInvalidInputDialog(result.error, fields);
       return;
     }
 
-    renderQR(result.data);
-    History.add({ action: 'generate', ...result.data, carrierName: lookupCarrier(result.data.smdpAddress)?.name || '' });
-    renderHistory();
-    Notification.show('QR code generated successfully!', 'success');
+    generateFromData(result.data);
   } catch (err) {
     Dialog.show({
       title: 'Generation Failed',
@@ -92,8 +133,162 @@ async function handleGenerate() {
   }
 }
 
+/**
+ * Render a QR code for parsed data and record it in history.
+ * @param {import('./core/parser.js').ESIMData} data
+ * @param {string} [message]
+ */
+function generateFromData(data, message = 'QR code generated successfully!') {
+  if (!renderQR(data)) return;
+  warnIfInstalled(data.lpaString);
+  saveToHistory({ action: 'generate', ...data, carrierName: lookupCarrier(data.smdpAddress)?.name || '' });
+  Notification.show(message, 'success');
+}
+
+/**
+ * Let the user pick one of several eSIMs found in pasted text.
+ * @param {import('./core/parser.js').ESIMData[]} found
+ */
+function showExtractedChoiceDialog(found) {
+  let selected = 0;
+  const body = document.createElement('div');
+  body.appendChild(buildDataDisplay([{ label: 'Found in text:', value: `${found.length} eSIM configurations` }]));
+  body.appendChild(buildChoiceList(
+    found.map(d => ({ label: d.lpaString, detail: lookupCarrier(d.smdpAddress)?.name || 'Unknown carrier' })),
+    (index) => { selected = index; },
+  ));
+  Dialog.show({
+    title: 'Multiple eSIMs Found',
+    body,
+    type: 'info',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      { label: 'Generate Selected', variant: 'primary', onClick: () => generateFromData(found[selected]) },
+    ],
+  });
+}
+
+/**
+ * Ask for a paper size, then print the given eSIMs as activation cards.
+ * @param {import('./core/parser.js').ESIMData[]} items - parsed data or history entries
+ */
+function showPrintCardsDialog(items) {
+  const papers = Object.keys(PAPER_SIZES);
+  let paper = papers[0];
+  const body = document.createElement('div');
+  body.appendChild(buildDataDisplay([{ label: 'Cards:', value: String(items.length) }]));
+  body.appendChild(buildChoiceList(
+    papers.map(p => {
+      const layout = sheetLayout(p);
+      const sheets = Math.ceil(items.length / layout.perPage);
+      return { label: PAPER_SIZES[p].label, detail: `${layout.perPage} cards per sheet · ${sheets} sheet${sheets === 1 ? '' : 's'}` };
+    }),
+    (index) => { paper = papers[index]; },
+  ));
+  Dialog.show({
+    title: 'Print Activation Cards',
+    body,
+    type: 'info',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      {
+        label: 'Print', variant: 'primary', onClick: async () => {
+          const cards = items.map(toCard);
+          const level = currentQROptions.level;
+          try {
+            const failures = await verifyCards(cards, { level });
+            if (failures.length > 0) { showVerificationError(failures); return; }
+            await printCards(cards, { paper, level });
+          } catch (err) {
+            Notification.show(`Printing failed: ${err.message}`, 'error');
+          }
+        },
+      },
+    ],
+  });
+}
+
+/** Separated-mode input ids, keyed by diagnostic field. */
+const SEPARATED_INPUT_IDS = {
+  smdpAddress: 'smdpAddress',
+  activationCode: 'activationCode',
+  confirmationCode: 'activationPassword',
+  smdpOid: 'smdpOid',
+};
+
+/**
+ * Show the lint diagnostics for rejected input and let the user jump to each one.
+ * @param {string} error - parse() error message
+ * @param {{
+ *   smdpAddress: string,
+ *   activationCode: string,
+ *   confirmationCode: string,
+ *   smdpOid: string,
+ *   confirmationCodeRequired: boolean
+ * } | null} fields - set in separated mode
+ */
+function showInvalidInputDialog(error, fields) {
+  const textarea = document.getElementById('combinedText');
+  let diagnostics, locate;
+
+  if (fields) {
+    const { smdpAddress, activationCode, confirmationCode, smdpOid, confirmationCodeRequired } = fields;
+    const input = [smdpAddress, activationCode, smdpOid || confirmationCode, confirmationCodeRequired ? '1' : '']
+      .join('$').replace(/\$+$/, '');
+    // The form supplies the prefix, so prefix diagnostics do not apply here
+    diagnostics = lint(input).diagnostics.filter(d => d.field !== 'prefix');
+    locate = (d) => {
+      const el = document.getElementById(SEPARATED_INPUT_IDS[d.field]);
+      if (el) { el.focus(); el.select(); }
+    };
+  } else {
+    diagnostics = lint(textarea.value).diagnostics;
+    locate = (d) => {
+      textarea.focus();
+      textarea.setSelectionRange(d.start, d.end);
+    };
+  }
+
+  const body = document.createElement('div');
+  body.append(
+    buildDataDisplay([
+      { label: 'Problem:', value: error },
+      { label: 'Expected:', value: 'LPA:1$<smdp-address>$<activation-code>' },
+    ]),
+    buildDiagnosticList(diagnostics, locate),
+  );
+  const firstError = diagnostics.find(d => d.severity === 'error');
+
+  Dialog.show({
+    title: 'Invalid Input Format',
+    body,
+    type: 'error',
+    actions: firstError
+      ? [
+        { label: 'OK', variant: 'cancel', onClick: () => {} },
+        { label: 'Show Problem', variant: 'primary', onClick: () => locate(firstError) },
+      ]
+      : [{ label: 'OK', variant: 'primary', onClick: () => {} }],
+  });
+}
+
+/**
+ * Draw the QR code and its details. The image is decoded back first; if it
+ * does not reproduce the LPA string exactly, nothing is shown.
+ * @param {import('./core/parser.js').ESIMData} data
+ * @returns {boolean} false if verification failed
+ */
 function renderQR(data) {
   const canvas = generateQR(data.lpaString, currentQROptions);
+  const check = verifyCanvas(canvas, data.lpaString);
+  if (check.status === 'failed') {
+    currentLPA = null; currentData = null; currentCanvas = null;
+    document.getElementById('qrDisplay').style.display = 'none';
+    showVerificationError([{ lpaString: data.lpaString, check }]);
+    return false;
+  }
+  updateVerifyBadge(check);
+
   currentLPA = data.lpaString;
   currentData = data;
   currentCanvas = canvas;
@@ -121,16 +316,56 @@ function renderQR(data) {
 
   document.getElementById('qrDisplay').style.display = 'block';
   document.getElementById('qrDisplay').scrollIntoView({ behavior: 'smooth' });
+  return true;
+}
+
+/** @param {import('./core/qr-verify.js').VerifyResult} check */
+function updateVerifyBadge(check) {
+  const badge = document.getElementById('qrVerifyBadge');
+  if (!badge) return;
+  badge.className = `verify-badge verify-${check.status}`;
+  badge.textContent = check.status === 'verified' ? '✓ Verified' : 'Not verified';
+  badge.title = check.message;
+}
+
+/**
+ * Block on QR codes that do not decode back to their payload.
+ * @param {{ lpaString: string, check: import('./core/qr-verify.js').VerifyResult }[]} failures
+ */
+function showVerificationError(failures) {
+  const rows = failures.flatMap(({ lpaString, check }) => [
+    { label: 'Expected:', value: lpaString },
+    { label: 'Decoded:', value: check.decoded ?? `(${check.message})` },
+  ]);
+  rows.push({ label: 'Tip:', value: 'Try a larger size or a higher error correction level.' });
+  Dialog.show({
+    title: 'QR Verification Failed',
+    body: buildDataDisplay(rows),
+    type: 'error',
+    actions: [{ label: 'OK', variant: 'primary', onClick: () => {} }],
+  });
 }
 
 // ─── File Upload ─────────────────────────────────────────────────────────────
+/**
+ * Scan files from the picker, a drop or a paste. One file opens its result
+ * directly; several are queued and summarised in a table.
+ * @param {File[]} files
+ */
+function handleFiles(files) {
+  if (files.length === 0) return;
+  switchScanTab('upload');
+  if (files.length === 1) handleFileUpload(files[0]);
+  else handleFileBatch(files);
+}
+
 async function handleFileUpload(file) {
   const uploadArea = document.getElementById('uploadArea');
   uploadArea.classList.add('loading');
 
   try {
-    const rawData = await scanFile(file);
-    handleScannedData(rawData);
+    if (isPdfFile(file)) await handlePdfUpload(file);
+    else handleScanResults(await scanFileAll(file));
   } catch (err) {
     Notification.show(err.message, 'warning');
   } finally {
@@ -141,13 +376,302 @@ async function handleFileUpload(file) {
   }
 }
 
-function handleScannedData(rawData) {
+/**
+ * Scan several files one after another, updating a summary table as each finishes.
+ * @param {File[]} files
+ */
+async function handleFileBatch(files) {
+  const uploadArea = document.getElementById('uploadArea');
+  uploadArea.classList.add('loading');
+  try {
+    const heading = document.getElementById('scanResultsCount');
+    const rows = showScanSummary(files);
+    const results = await scanQueue(files, {
+      scan: scanFilePayloads,
+      onProgress: (index, total, result) => {
+        if (!result) {
+          heading.textContent = `Scanning ${index + 1} of ${total}…`;
+          rows[index].cells[1].textContent = 'Scanning…';
+          return;
+        }
+        fillSummaryRow(rows[index], result);
+      },
+    });
+    const { decoded, repair: needsRepair, failed } = summarize(results);
+    heading.textContent = `${files.length} files: ${decoded} decoded, ${needsRepair} need repair, ${failed} failed`;
+    Notification.show(`Scanned ${files.length} files`, failed === files.length ? 'warning' : 'success');
+  } catch (err) {
+    Notification.show(`Scanning the files failed: ${err.message}`, 'error');
+  } finally {
+    uploadArea.classList.remove('loading');
+    const fi = document.getElementById('fileInput');
+    if (fi) fi.value = '';
+  }
+}
+
+/**
+ * Replace the scan results with a summary table, one queued row per file.
+ * @param {File[]} files
+ * @returns {HTMLTableRowElement[]} the rows, in file order
+ */
+function showScanSummary(files) {
+  clearScanResults();
+  const table = document.createElement('table');
+  table.className = 'scan-summary';
+  const head = table.createTHead().insertRow();
+  for (const label of ['File', 'Result', 'Details', '']) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  const rows = files.map(file => {
+    const row = body.insertRow();
+    row.insertCell().textContent = file.name;
+    row.insertCell().textContent = 'Queued';
+    row.insertCell();
+    row.insertCell();
+    return row;
+  });
+  document.getElementById('scanResultsList').appendChild(table);
+  document.getElementById('scanResults').style.display = 'block';
+  return rows;
+}
+
+/**
+ * @param {HTMLTableRowElement} row
+ * @param {import('./features/scan-queue.js').QueueResult} result
+ */
+function fillSummaryRow(row, result) {
+  const labels = { decoded: '✓ Decoded', repair: '⚠ Needs repair', failed: '✗ Failed' };
+  const status = document.createElement('span');
+  status.className = `scan-status scan-status-${result.status}`;
+  status.textContent = labels[result.status];
+  row.cells[1].replaceChildren(status);
+  row.cells[2].textContent = result.detail;
+  if (result.payloads.length > 0) {
+    const open = document.createElement('button');
+    open.className = 'btn btn-sm btn-secondary';
+    open.textContent = 'Open';
+    open.addEventListener('click', () => openFilePayloads(result));
+    row.cells[3].replaceChildren(open);
+  }
+}
+
+/**
+ * Hand a queued file's codes to handleScannedData, asking which one first if there are several.
+ * @param {import('./features/scan-queue.js').QueueResult} result
+ */
+function openFilePayloads({ name, payloads }) {
+  if (payloads.length === 1) {
+    handleScannedData(payloads[0]);
+    return;
+  }
+  let selected = 0;
+  const body = document.createElement('div');
+  body.appendChild(buildDataDisplay([{ label: 'File:', value: name }]));
+  body.appendChild(buildChoiceList(
+    payloads.map(raw => ({ label: raw, detail: classifyPayload(raw) === 'decoded' ? 'eSIM' : 'Needs review' })),
+    (index) => { selected = index; },
+  ));
+  Dialog.show({
+    title: `${payloads.length} Codes in This File`,
+    body,
+    type: 'info',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      { label: 'Open Selected', variant: 'primary', onClick: () => handleScannedData(payloads[selected]) },
+    ],
+  });
+}
+
+/**
+ * Everything scannable in one file, for the batch queue.
+ * @param {File} file
+ * @returns {Promise<string[]>}
+ * @throws {Error} if the file cannot be read or contains nothing
+ */
+async function scanFilePayloads(file) {
+  if (!isPdfFile(file)) return (await scanFileAll(file)).payloads;
+  const { groups } = pdfScanGroups(await scanPdf(file));
+  const payloads = groups.flatMap(group => group.items.map(item => item.raw));
+  if (payloads.length === 0) throw new Error('No eSIM QR code or LPA text found in this PDF.');
+  return payloads;
+}
+
+/**
+ * @typedef {{ raw: string, source?: string }} ScanResultItem - source says where in a file it was found
+ * @typedef {{ title?: string, note?: string, items: ScanResultItem[] }} ScanResultGroup
+ */
+
+/**
+ * Route decoded payloads: a single code goes straight to handleScannedData,
+ * several are listed so each eSIM can be handled on its own.
+ * @param {import('./core/qr-scanner.js').ScanReport} report
+ */
+function handleScanResults({ payloads, stage }) {
+  clearScanResults();
+  if (payloads.length === 1) {
+    handleScannedData(payloads[0], { stage });
+    return;
+  }
+  renderScanResults([{ items: payloads.map(raw => ({ raw })) }], `${payloads.length} QR codes found`);
+  Notification.show(`Found ${payloads.length} QR codes in this image`, 'success');
+}
+
+/**
+ * Scan a PDF voucher page by page and list what each page contains.
+ * @param {File} file
+ */
+async function handlePdfUpload(file) {
+  clearScanResults();
+  const { groups, pageCount, truncated } = pdfScanGroups(await scanPdf(file, {
+    onProgress: (page, total) => Notification.show(`Scanning PDF page ${page} of ${total}…`, 'info', 10000),
+  }));
+
+  const found = groups.flatMap(group => group.items);
+  if (found.length === 0) throw new Error('No eSIM QR code or LPA text found in this PDF.');
+  if (found.length === 1 && !truncated) {
+    handleScannedData(found[0].raw);
+    return;
+  }
+  renderScanResults(groups, `${found.length} found in ${pageCount}-page PDF`);
+  Notification.show(`Found ${found.length} eSIM codes in this PDF`, 'success');
+}
+
+/**
+ * Turn a PDF scan into one result group per page.
+ * @param {import('./core/pdf-scanner.js').PdfScanResult} result
+ * @returns {{ groups: ScanResultGroup[], pageCount: number, truncated: boolean }}
+ */
+function pdfScanGroups({ pages, pageCount, truncated }) {
+  const groups = pages.map(page => {
+    const items = (page.qr?.payloads ?? []).map(raw => ({ raw, source: 'QR code' }));
+    // Vouchers often print the code as text under the QR; list text matches only when new
+    const fromQR = new Set(items.map(item => parse(item.raw).data?.lpaString));
+    for (const data of page.text) {
+      if (!fromQR.has(data.lpaString)) items.push({ raw: data.lpaString, source: 'Text' });
+    }
+    const note = page.error ? `Could not be fully scanned (${page.error})` : items.length ? '' : 'No eSIM found';
+    return { title: `Page ${page.page}`, note, items };
+  });
+  if (truncated) groups.push({ title: `Pages ${pages.length + 1}–${pageCount}`, note: 'Not scanned (page limit reached)', items: [] });
+  return { groups, pageCount, truncated };
+}
+
+/**
+ * List several scanned codes, optionally grouped (e.g. by PDF page). Valid eSIMs
+ * can be generated, saved or exported one at a time; anything else is reviewed
+ * through handleScannedData.
+ * @param {ScanResultGroup[]} groups
+ * @param {string} heading
+ */
+function renderScanResults(groups, heading) {
+  const container = document.getElementById('scanResults');
+  const list = document.getElementById('scanResultsList');
+  if (!container || !list) return;
+  list.innerHTML = '';
+  document.getElementById('scanResultsCount').textContent = heading;
+
+  let index = 0;
+  for (const group of groups) {
+    if (group.title) {
+      const header = document.createElement('div');
+      header.className = 'scan-result-group';
+      const title = document.createElement('strong');
+      title.textContent = group.title;
+      header.appendChild(title);
+      if (group.note) {
+        const note = document.createElement('span');
+        note.textContent = ` · ${group.note}`;
+        header.appendChild(note);
+      }
+      list.appendChild(header);
+    }
+    for (const { raw, source } of group.items) {
+      list.appendChild(buildScanResultItem(raw, source, ++index));
+    }
+  }
+
+  container.style.display = 'block';
+}
+
+/**
+ * @param {string} raw
+ * @param {string | undefined} source
+ * @param {number} number - position in the whole list, for messages
+ * @returns {HTMLElement}
+ */
+function buildScanResultItem(raw, source, number) {
+  const parsed = parse(raw);
+  const data = parsed.success ? parsed.data : null;
+
+  const item = document.createElement('div');
+  item.className = 'history-item scan-result';
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+  const title = document.createElement('span');
+  title.className = 'history-carrier';
+  const status = data
+    ? lookupCarrier(data.smdpAddress)?.name || 'Unknown carrier'
+    : repair(raw).success ? 'Needs repair' : 'Not an eSIM code';
+  title.textContent = [`#${number}`, status, source].filter(Boolean).join(' · ');
+  const content = document.createElement('span');
+  content.className = 'history-smdp';
+  content.textContent = raw;
+  content.title = raw;
+  info.append(title, content);
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  const button = (label, variant, onClick) => {
+    const btn = document.createElement('button');
+    btn.className = `btn btn-sm ${variant}`;
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    actions.appendChild(btn);
+  };
+  if (data) {
+    button('Generate', 'btn-primary', () => handleScannedData(raw, { generate: true }));
+    button('Save', 'btn-secondary', () => {
+      if (History.isPrivate()) { Notification.show('Private session is on: nothing is saved to history', 'warning'); return; }
+      saveToHistory({ action: 'scan', ...data, carrierName: lookupCarrier(data.smdpAddress)?.name || '' });
+      Notification.show(`Saved #${number} to history`, 'success');
+    });
+    button('Export', 'btn-secondary', () => {
+      exportQR(data, document.getElementById('downloadFormat')?.value || 'png');
+    });
+  } else {
+    button('Review', 'btn-secondary', () => handleScannedData(raw));
+  }
+
+  item.append(info, actions);
+  return item;
+}
+
+function clearScanResults() {
+  const container = document.getElementById('scanResults');
+  if (container) container.style.display = 'none';
+  const list = document.getElementById('scanResultsList');
+  if (list) list.innerHTML = '';
+}
+
+/**
+ * Handle one decoded payload: show and record a valid eSIM, offer repairs for a
+ * near miss, or show the raw content.
+ * @param {string} rawData
+ * @param {{ generate?: boolean, stage?: import('./core/qr-scanner.js').DecodeStage }} [options] -
+ *   generate the standard QR code for a valid eSIM as well; the decode stage that read an uploaded image
+ */
+function handleScannedData(rawData, { generate = false, stage } = {}) {
   // Try direct parse first
   const result = parse(rawData);
   if (result.success) {
-    showParseResult(result.data, rawData);
-    History.add({ action: 'scan', ...result.data, carrierName: lookupCarrier(result.data.smdpAddress)?.name || '' });
-    renderHistory();
+    showParseResult(result.data, rawData, stage);
+    if (generate && !renderQR(result.data)) return;
+    warnIfInstalled(result.data.lpaString);
+    saveToHistory({ action: 'scan', ...result.data, carrierName: lookupCarrier(result.data.smdpAddress)?.name || '' });
     Notification.show('QR code parsed successfully!', 'success');
     return;
   }
@@ -155,31 +679,59 @@ function handleScannedData(rawData) {
   // Try repair
   const repaired = repair(rawData);
   if (repaired.success) {
-    const repairResult = parse(repaired.fixed);
-    if (repairResult.success) {
-      showScanRepairDialog(rawData, repaired.fixed, repaired.problem, repairResult.data);
-      return;
-    }
+    showScanRepairDialog(rawData, repaired.candidates);
+    return;
   }
 
   // Show raw content for manual handling
   showUnrecognizedScanDialog(rawData);
 }
 
-function showParseResult(data, raw) {
+/**
+ * @param {import('./core/parser.js').ESIMData} data
+ * @param {string} [raw]
+ * @param {import('./core/qr-scanner.js').DecodeStage} [stage] - shown when the image needed preprocessing
+ */
+function showParseResult(data, raw, stage) {
   document.getElementById('parsedSmdp').textContent = data.smdpAddress;
   document.getElementById('parsedActivation').textContent = data.activationCode;
-  document.getElementById('parsedPassword').textContent = data.confirmationCode || 'None';
+  document.getElementById('parsedPassword').textContent =
+    data.confirmationCode || (data.confirmationCodeRequired ? 'Required (enter on device)' : 'None');
+  const oidItem = document.getElementById('parsedOidItem');
+  if (oidItem) {
+    oidItem.style.display = data.smdpOid ? '' : 'none';
+    if (data.smdpOid) document.getElementById('parsedOid').textContent = data.smdpOid;
+  }
   document.getElementById('parsedRaw').textContent = raw || data.lpaString;
+  const stageItem = document.getElementById('parsedStageItem');
+  if (stageItem) {
+    const preprocessed = stage && stage.id !== 'original';
+    stageItem.style.display = preprocessed ? '' : 'none';
+    if (preprocessed) document.getElementById('parsedStage').textContent = stage.label;
+  }
   document.getElementById('parseResult').style.display = 'block';
 }
 
-function showScanRepairDialog(original, fixed, problem, repairedData) {
-  const body = buildDataDisplay([
-    { label: 'Issue detected:', value: problem },
+/**
+ * Offer the ranked repair candidates and generate the one the user picks.
+ * @param {string} original
+ * @param {import('./core/parser.js').RepairCandidate[]} candidates - best first
+ */
+function showScanRepairDialog(original, candidates) {
+  let selected = 0;
+  const body = document.createElement('div');
+  body.appendChild(buildDataDisplay([
+    { label: 'Issue detected:', value: candidates[0].problem },
     { label: 'Original:', value: original },
-    { label: 'Fixed LPA:', value: fixed },
-  ]);
+  ]));
+  if (candidates.length > 1) {
+    body.appendChild(buildChoiceList(
+      candidates.map(c => ({ label: c.fixed, detail: `${c.problem} · ${Math.round(c.confidence * 100)}% confidence` })),
+      (index) => { selected = index; },
+    ));
+  } else {
+    body.appendChild(buildDataDisplay([{ label: 'Fixed LPA:', value: candidates[0].fixed }]));
+  }
   Dialog.show({
     title: 'Non-Standard QR Code Detected',
     body,
@@ -187,9 +739,10 @@ function showScanRepairDialog(original, fixed, problem, repairedData) {
     actions: [
       { label: 'Cancel', variant: 'cancel', onClick: () => {} },
       { label: 'Fix & Generate Standard QR', variant: 'primary', onClick: () => {
-        renderQR(repairedData);
-        History.add({ action: 'scan', ...repairedData, carrierName: lookupCarrier(repairedData.smdpAddress)?.name || '' });
-        renderHistory();
+        const repairedData = candidates[selected].data;
+        if (!renderQR(repairedData)) return;
+        warnIfInstalled(repairedData.lpaString);
+        saveToHistory({ action: 'scan', ...repairedData, carrierName: lookupCarrier(repairedData.smdpAddress)?.name || '' });
         Notification.show('Fixed and generated standard QR code!', 'success');
       }},
     ],
@@ -226,91 +779,1036 @@ async function initCamera() {
 
 async function handleStartCamera() {
   const videoEl = document.getElementById('cameraVideo');
-  const startBtn = document.getElementById('startCameraBtn');
-  const stopBtn = document.getElementById('stopCameraBtn');
-
-  startBtn.style.display = 'none';
-  stopBtn.style.display = 'inline-flex';
-  videoEl.style.display = 'block';
+  const continuous = document.getElementById('batchModeToggle').checked;
+  showCamera(true);
 
   try {
-    await startCamera(videoEl, (data) => {
-      videoEl.style.display = 'none';
-      stopBtn.style.display = 'none';
-      startBtn.style.display = 'inline-flex';
+    const onDetect = continuous ? handleBatchDetect : (data) => {
+      showCamera(false);
       handleScannedData(data);
-    });
+    };
+    const track = await startCamera(videoEl, onDetect, { deviceId: CameraPrefs.getDeviceId(), continuous });
+    if (!track) return; // stopped or switched while starting
+    cameraTrack = track;
+    showCameraControls(track);
+    // Labels only become readable once permission is granted, so the list is filled now
+    await fillCameraSelect(track.getSettings().deviceId);
   } catch (err) {
-    stopBtn.style.display = 'none';
-    startBtn.style.display = 'inline-flex';
+    showCamera(false);
     Notification.show(err.message.includes('denied') ? 'Camera access denied. Please allow camera permission and try again.' : err.message, 'warning');
   }
 }
 
 function handleStopCamera() {
   stopCamera();
-  document.getElementById('cameraVideo').style.display = 'none';
-  document.getElementById('startCameraBtn').style.display = 'inline-flex';
-  document.getElementById('stopCameraBtn').style.display = 'none';
+  showCamera(false);
+}
+
+/**
+ * Show or hide the live view, its aiming overlay and controls.
+ * @param {boolean} running
+ */
+function showCamera(running) {
+  document.getElementById('cameraVideo').style.display = running ? 'block' : 'none';
+  document.getElementById('cameraViewfinder').style.display = running ? 'block' : 'none';
+  document.getElementById('startCameraBtn').style.display = running ? 'none' : 'inline-flex';
+  document.getElementById('stopCameraBtn').style.display = running ? 'inline-flex' : 'none';
+  if (!running) {
+    cameraTrack = null;
+    document.getElementById('cameraControls').style.display = 'none';
+    document.getElementById('cameraContainer').classList.remove('tap-to-focus');
+  }
+}
+
+/**
+ * Offer the torch, zoom and focus controls the camera supports.
+ * @param {MediaStreamTrack} track
+ */
+function showCameraControls(track) {
+  const controls = readControls(track);
+  const torchBtn = document.getElementById('torchBtn');
+  torchBtn.style.display = controls.torch ? 'inline-flex' : 'none';
+  torchBtn.setAttribute('aria-pressed', 'false');
+  setupRange('zoomControl', 'cameraZoom', controls.zoom);
+  setupRange('focusControl', 'cameraFocus', controls.focusDistance);
+  document.getElementById('cameraContainer').classList.toggle('tap-to-focus', controls.tapToFocus);
+  document.getElementById('cameraHint').textContent = controls.tapToFocus
+    ? 'Hold the QR code inside the frame · tap to focus'
+    : 'Hold the QR code inside the frame';
+  document.getElementById('cameraControls').style.display = 'flex';
+}
+
+/**
+ * @param {string} labelId
+ * @param {string} inputId
+ * @param {import('./core/camera-controls.js').RangeControl | null} range
+ */
+function setupRange(labelId, inputId, range) {
+  document.getElementById(labelId).style.display = range ? 'flex' : 'none';
+  if (!range) return;
+  const input = document.getElementById(inputId);
+  Object.assign(input, { min: range.min, max: range.max, step: range.step });
+  input.value = range.value;
+}
+
+/**
+ * List cameras in the picker; it is only shown when there is a choice.
+ * @param {string | undefined} activeId - deviceId of the running camera
+ */
+async function fillCameraSelect(activeId) {
+  const select = document.getElementById('cameraSelect');
+  let cameras = [];
+  try {
+    cameras = await listCameras();
+  } catch {
+    // Without a device list the picker stays hidden
+  }
+  select.replaceChildren(...cameras.map(({ deviceId, label }) => {
+    const option = document.createElement('option');
+    option.value = deviceId;
+    option.textContent = label;
+    return option;
+  }));
+  if (activeId) select.value = activeId;
+  select.style.display = cameras.length > 1 ? 'block' : 'none';
+}
+
+function handleCameraSelect(e) {
+  CameraPrefs.setDeviceId(e.target.value);
+  handleStartCamera();
+}
+
+async function handleTorchToggle() {
+  if (!cameraTrack) return;
+  const btn = document.getElementById('torchBtn');
+  const on = btn.getAttribute('aria-pressed') !== 'true';
+  try {
+    await setTorch(cameraTrack, on);
+    btn.setAttribute('aria-pressed', String(on));
+  } catch {
+    Notification.show('The torch could not be switched.', 'warning');
+  }
+}
+
+/**
+ * Apply a slider value; a camera that rejects it just keeps its current setting.
+ * @param {(track: MediaStreamTrack, value: number) => Promise<void>} apply
+ */
+function handleCameraRange(apply) {
+  return (e) => {
+    if (cameraTrack) apply(cameraTrack, Number(e.target.value)).catch(() => {});
+  };
+}
+
+function handleTapToFocus(e) {
+  const container = document.getElementById('cameraContainer');
+  if (!cameraTrack || !container.classList.contains('tap-to-focus')) return;
+  const videoRect = document.getElementById('cameraVideo').getBoundingClientRect();
+  focusAt(cameraTrack, tapPoint(e.clientX, e.clientY, videoRect)).catch(() => {});
+
+  const ring = document.getElementById('cameraFocusRing');
+  const containerRect = container.getBoundingClientRect();
+  ring.style.left = `${e.clientX - containerRect.left}px`;
+  ring.style.top = `${e.clientY - containerRect.top}px`;
+  ring.classList.remove('active');
+  void ring.offsetWidth; // restart the animation on repeated taps
+  ring.classList.add('active');
+}
+
+// ─── Batch Camera Scanning ────────────────────────────────────────────────────
+/**
+ * Collect a code seen in batch mode. Repeats of a code still in view are ignored
+ * silently; new eSIMs and non-eSIM codes are each signalled once.
+ * @param {string} raw
+ */
+function handleBatchDetect(raw) {
+  const { outcome, entry } = cameraBatch.add(raw);
+  if (outcome === 'duplicate') return;
+  Feedback.signal(outcome);
+  if (outcome === 'ignored') {
+    Notification.show('Not an eSIM code, skipped', 'warning', 1500);
+    return;
+  }
+  renderCameraBatch();
+  const repaired = entry.status === 'repair' ? ' (repaired)' : '';
+  Notification.show(`Added ${entry.carrierName || 'eSIM'}${repaired}`, 'success', 1500);
+  warnIfInstalled(entry.data.lpaString);
+}
+
+function renderCameraBatch() {
+  const entries = cameraBatch.getAll();
+  const list = document.getElementById('cameraBatchList');
+  document.getElementById('cameraBatch').style.display = entries.length ? 'block' : 'none';
+  document.getElementById('cameraBatchCount').textContent =
+    `${entries.length} eSIM${entries.length === 1 ? '' : 's'} scanned`;
+
+  // Newest first, numbered in scan order
+  list.replaceChildren(...entries.map((entry, i) => buildBatchItem(entry, i + 1)).reverse());
+}
+
+/**
+ * @param {import('./features/camera-batch.js').BatchEntry} entry
+ * @param {number} number
+ * @returns {HTMLElement}
+ */
+function buildBatchItem(entry, number) {
+  const item = document.createElement('div');
+  item.className = 'history-item scan-result';
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+  const title = document.createElement('span');
+  title.className = 'history-carrier';
+  const status = entry.status === 'repair' ? `Repaired: ${entry.problem}` : null;
+  title.textContent = [`#${number}`, entry.carrierName || 'Unknown carrier', status].filter(Boolean).join(' · ');
+  const content = document.createElement('span');
+  content.className = 'history-smdp';
+  content.textContent = entry.data.lpaString;
+  content.title = entry.raw;
+  info.append(title, content);
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+  const open = document.createElement('button');
+  open.className = 'btn btn-sm btn-secondary';
+  open.textContent = 'Open';
+  open.addEventListener('click', () => showParseResult(entry.data, entry.raw));
+  const remove = document.createElement('button');
+  remove.className = 'btn btn-sm btn-danger';
+  remove.textContent = 'Remove';
+  remove.addEventListener('click', () => { cameraBatch.remove(entry); renderCameraBatch(); });
+  actions.append(open, remove);
+
+  item.append(info, actions);
+  return item;
+}
+
+async function handleBatchSave() {
+  const entries = cameraBatch.getAll();
+  if (!entries.length) return;
+  if (History.isPrivate()) { Notification.show('Private session is on: nothing is saved to history', 'warning'); return; }
+  try {
+    // One write, oldest first, so the history lists the batch newest first like single scans
+    await History.addAll(entries.map(({ data, carrierName }) => ({ action: 'scan', ...data, carrierName })));
+  } catch (err) {
+    // The write is all or nothing and the batch is untouched, so Save can simply be tried again
+    Notification.show(`None of the batch was saved to history: ${err.message}`, 'error');
+    return;
+  } finally {
+    renderHistory();
+  }
+  if (History.isLocked()) { warnIfPending(); return; }
+  const limit = History.getMaxEntries();
+  const dropped = entries.length > limit ? ` History keeps the latest ${limit}; export the batch to keep them all.` : '';
+  Notification.show(`Saved ${entries.length} eSIM${entries.length === 1 ? '' : 's'} to history.${dropped}`, dropped ? 'warning' : 'success', dropped ? 6000 : 3000);
+}
+
+function handleBatchExport() {
+  const entries = cameraBatch.getAll();
+  if (!entries.length) return;
+  downloadBlob(new Blob([batchToCSV(entries)], { type: 'text/csv' }), exportFilename('batch', 'csv'));
+}
+
+function handleBatchPrint() {
+  const entries = cameraBatch.getAll();
+  if (entries.length) showPrintCardsDialog(entries.map(e => e.data));
+}
+
+function handleBatchClear() {
+  cameraBatch.clear();
+  renderCameraBatch();
 }
 
 // ─── History ──────────────────────────────────────────────────────────────────
-function renderHistory() {
-  const entries = History.getAll();
+/**
+ * Save an entry and show it. A failure is reported but never undoes the
+ * generate or scan that produced the entry.
+ * @param {Omit<import('./features/history.js').HistoryEntry, 'id' | 'timestamp'>} entry
+ */
+function saveToHistory(entry) {
+  History.add(entry).then(
+    () => { renderHistory(); warnIfPending(); },
+    err => Notification.show(`Not saved to history: ${err.message}`, 'warning'),
+  );
+}
+
+/** Entries added while encrypted history is locked only live in this page until unlock. */
+function warnIfPending() {
+  if (!History.isLocked() || !History.pendingCount()) return;
+  Notification.show('History is locked: unlock it to save this, or it is lost when the page closes', 'warning', 6000);
+}
+
+/**
+ * Ask before leaving with entries still waiting for unlock.
+ * @param {BeforeUnloadEvent} e
+ */
+function handleBeforeUnload(e) {
+  if (!History.pendingCount()) return;
+  e.preventDefault();
+  e.returnValue = '';
+}
+
+/**
+ * Show the first page of history matching the search and filters.
+ * @param {{ keepShown?: boolean }} [options] - keep as many entries listed as now,
+ *   after a change to one of them; may also receive an input event
+ */
+async function renderHistory({ keepShown = false } = {}) {
   const container = document.getElementById('historyList');
   const emptyEl = document.getElementById('historyEmpty');
   if (!container) return;
 
-  container.innerHTML = '';
-
-  if (entries.length === 0) {
-    if (emptyEl) emptyEl.style.display = 'block';
+  const render = ++historyRender;
+  const limit = keepShown ? Math.max(HISTORY_PAGE_SIZE, container.children.length) : HISTORY_PAGE_SIZE;
+  let locked, total, facets, page;
+  try {
+    // The lock state is only known once the store's settings have been read
+    await History.init();
+    locked = renderHistoryLock();
+    total = locked ? 0 : await History.count();
+    [facets, page] = await Promise.all([
+      total > 0 ? History.facets() : null,
+      History.getPage({ limit, filters: historyFilters() }),
+    ]);
+  } catch (err) {
+    if (render !== historyRender) return;
+    container.innerHTML = '';
+    updateHistoryMore(0);
+    if (emptyEl) {
+      emptyEl.style.display = 'block';
+      emptyEl.textContent = `History is unavailable: ${err.message}`;
+    }
+    return;
+  }
+  // A newer render started while this one was reading
+  if (render !== historyRender) return;
+
+  document.getElementById('historyFilters').style.display = total > 0 ? 'flex' : 'none';
+  if (facets) fillHistoryFilterOptions(facets);
+  fillHistorySizeOptions();
+  container.replaceChildren(...page.entries.map(buildHistoryItem));
+  updateHistoryMore(page.total);
+
+  if (page.entries.length === 0) {
+    if (emptyEl) {
+      emptyEl.style.display = locked ? 'none' : 'block';
+      emptyEl.textContent = total > 0 ? 'No entries match the search and filters.' : 'No history yet.';
+    }
     return;
   }
   if (emptyEl) emptyEl.style.display = 'none';
+}
 
-  for (const entry of entries) {
-    const item = document.createElement('div');
-    item.className = 'history-item';
-
-    const info = document.createElement('div');
-    info.className = 'history-info';
-    const carrier = document.createElement('span');
-    carrier.className = 'history-carrier';
-    carrier.textContent = entry.carrierName || 'Unknown carrier';
-    const smdp = document.createElement('span');
-    smdp.className = 'history-smdp';
-    smdp.textContent = entry.smdpAddress;
-    const date = document.createElement('span');
-    date.className = 'history-date';
-    date.textContent = new Date(entry.timestamp).toLocaleString();
-    info.append(carrier, smdp, date);
-
-    const actions = document.createElement('div');
-    actions.className = 'history-actions';
-
-    const loadBtn = document.createElement('button');
-    loadBtn.className = 'btn btn-sm btn-secondary';
-    loadBtn.textContent = 'Load';
-    loadBtn.addEventListener('click', () => {
-      document.getElementById('combinedText').value = entry.lpaString;
-      switchInputMode('combined');
-      document.getElementById('combinedText').scrollIntoView({ behavior: 'smooth' });
-      Notification.show('Loaded from history', 'info');
-    });
+/**
+ * Re-render when another tab changes history. Stop the auto-lock countdown if
+ * that change locked history here, e.g. by turning encryption off and on again.
+ * @param {import('./features/history.js').HistoryChange} change
+ */
+function handleHistoryChange({ remote }) {
+  if (!remote) return;
+  if (History.isLocked() && autoLockTimer) {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+  }
+  renderHistory({ keepShown: true });
+}
 
-    const delBtn = document.createElement('button');
-    delBtn.className = 'btn btn-sm btn-danger';
-    delBtn.textContent = 'Delete';
-    delBtn.addEventListener('click', () => {
-      History.remove(entry.id);
-      renderHistory();
+/** Append the next page of matching entries. */
+async function showMoreHistory() {
+  const container = document.getElementById('historyList');
+  const render = historyRender;
+  try {
+    const page = await History.getPage({ offset: container.children.length, filters: historyFilters() });
+    if (render !== historyRender) return;
+    container.append(...page.entries.map(buildHistoryItem));
+    updateHistoryMore(page.total);
+  } catch (err) {
+    Notification.show(err.message, 'error');
+  }
+}
+
+/** @param {number} total - entries matching the search and filters */
+function updateHistoryMore(total) {
+  const btn = document.getElementById('historyMoreBtn');
+  const remaining = total - document.getElementById('historyList').children.length;
+  btn.style.display = remaining > 0 ? 'inline-flex' : 'none';
+  btn.textContent = `Show ${Math.min(HISTORY_PAGE_SIZE, remaining)} more (${remaining} not shown)`;
+}
+
+function fillHistorySizeOptions() {
+  const select = document.getElementById('historySize');
+  const current = History.getMaxEntries();
+  const sizes = HISTORY_SIZE_OPTIONS.includes(current) ? HISTORY_SIZE_OPTIONS : [...HISTORY_SIZE_OPTIONS, current].sort((a, b) => a - b);
+  select.replaceChildren(...sizes.map(size => {
+    const option = document.createElement('option');
+    option.value = String(size);
+    option.textContent = `Keep ${size}`;
+    return option;
+  }));
+  select.value = String(current);
+}
+
+/** Change how many entries history keeps, confirming first if entries would be deleted. */
+async function handleHistorySize(e) {
+  const limit = Number(e.target.value);
+  const apply = async () => {
+    try {
+      const dropped = await History.setMaxEntries(limit);
+      if (dropped) Notification.show(`Deleted the ${dropped} oldest entr${dropped === 1 ? 'y' : 'ies'}`, 'success');
+    } catch (err) {
+      Notification.show(err.message, 'error');
+    }
+    renderHistory();
+  };
+  const excess = (await History.count()) - limit;
+  if (excess <= 0) { apply(); return; }
+  // Show the stored size until confirmed, however the dialog is closed
+  fillHistorySizeOptions();
+  Dialog.show({
+    title: 'Keep Fewer Entries?',
+    body: `History holds more than ${limit} entries. The ${excess} oldest will be deleted.`,
+    type: 'warning',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      { label: 'Delete Oldest', variant: 'primary', onClick: apply },
+    ],
+  });
+}
+
+/**
+ * @param {import('./features/history.js').HistoryEntry} entry
+ * @returns {HTMLElement}
+ */
+function buildHistoryItem(entry) {
+  const item = document.createElement('div');
+  item.className = 'history-item';
+
+  const select = document.createElement('input');
+  select.type = 'checkbox';
+  select.className = 'history-select';
+  select.value = entry.id;
+  select.setAttribute('aria-label', 'Select for printing');
+
+  const info = document.createElement('div');
+  info.className = 'history-info';
+  const carrier = document.createElement('span');
+  carrier.className = 'history-carrier';
+  carrier.textContent = entry.carrierName || 'Unknown carrier';
+  carrier.appendChild(buildStatusBadge(entry));
+  const smdp = document.createElement('span');
+  smdp.className = 'history-smdp';
+  smdp.textContent = entry.smdpAddress;
+  const date = document.createElement('span');
+  date.className = 'history-date';
+  date.textContent = new Date(entry.timestamp).toLocaleString();
+  info.append(carrier, smdp, date);
+  if (entry.note) {
+    const note = document.createElement('span');
+    note.className = 'history-note';
+    note.textContent = entry.note;
+    info.appendChild(note);
+  }
+  if (entry.tags?.length) {
+    const tags = document.createElement('span');
+    tags.className = 'history-tags';
+    for (const tag of entry.tags) {
+      const chip = document.createElement('span');
+      chip.className = 'history-tag';
+      chip.textContent = tag;
+      tags.appendChild(chip);
+    }
+    info.appendChild(tags);
+  }
+
+  const actions = document.createElement('div');
+  actions.className = 'history-actions';
+
+  const loadBtn = document.createElement('button');
+  loadBtn.className = 'btn btn-sm btn-secondary';
+  loadBtn.textContent = 'Load';
+  loadBtn.addEventListener('click', () => {
+    document.getElementById('combinedText').value = entry.lpaString;
+    switchInputMode('combined');
+    document.getElementById('combinedText').scrollIntoView({ behavior: 'smooth' });
+    Notification.show('Loaded from history', 'info');
+    warnIfInstalled(entry.lpaString);
+  });
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'btn btn-sm btn-secondary';
+  editBtn.textContent = 'Note';
+  editBtn.setAttribute('aria-label', 'Edit note and tags');
+  editBtn.addEventListener('click', () => showHistoryNoteDialog(entry));
+
+  const statusBtn = document.createElement('button');
+  statusBtn.className = 'btn btn-sm btn-secondary';
+  statusBtn.textContent = 'Status';
+  statusBtn.setAttribute('aria-label', 'Change lifecycle status');
+  statusBtn.addEventListener('click', () => showHistoryStatusDialog(entry));
+
+  const delBtn = document.createElement('button');
+  delBtn.className = 'btn btn-sm btn-danger';
+  delBtn.textContent = 'Delete';
+  delBtn.addEventListener('click', async () => {
+    try {
+      await History.remove(entry.id);
+      renderHistory({ keepShown: true });
+    } catch (err) {
+      Notification.show(err.message, 'error');
+    }
+  });
+
+  actions.append(loadBtn, editBtn, statusBtn, delBtn);
+  item.append(select, info, actions);
+  return item;
+}
+
+/**
+ * The search and filters currently set above the history list.
+ * @returns {import('./features/history.js').HistoryQuery}
+ */
+function historyFilters() {
+  const value = id => document.getElementById(id).value;
+  // Date inputs give local calendar days; the range covers both days in full
+  const day = (id, time) => value(id) ? new Date(`${value(id)}T${time}`).getTime() : null;
+  return {
+    text: value('historySearch'),
+    action: value('historyAction'),
+    carrier: value('historyCarrier'),
+    region: value('historyRegion'),
+    tag: value('historyTag'),
+    from: day('historyFrom', '00:00:00'),
+    to: day('historyTo', '23:59:59.999'),
+  };
+}
+
+/**
+ * Offer the carriers, regions and tags present in history, keeping the current choice.
+ * @param {import('./features/history.js').HistoryFacets} facets
+ */
+function fillHistoryFilterOptions({ carriers, regions, tags }) {
+  const fill = (id, allLabel, values) => {
+    const select = document.getElementById(id);
+    const current = select.value;
+    select.replaceChildren(...['', ...values].map(v => {
+      const option = document.createElement('option');
+      option.value = v;
+      option.textContent = v || allLabel;
+      return option;
+    }));
+    select.value = values.includes(current) ? current : '';
+    select.style.display = values.length ? '' : 'none';
+  };
+  fill('historyCarrier', 'All carriers', carriers);
+  fill('historyRegion', 'All regions', regions);
+  fill('historyTag', 'All tags', tags);
+}
+
+function resetHistoryFilters() {
+  for (const id of ['historySearch', 'historyAction', 'historyCarrier', 'historyRegion', 'historyTag', 'historyFrom', 'historyTo']) {
+    document.getElementById(id).value = '';
+  }
+  renderHistory();
+}
+
+/**
+ * Edit the free-form note and tags of a history entry.
+ * @param {import('./features/history.js').HistoryEntry} entry
+ */
+function showHistoryNoteDialog(entry) {
+  const body = document.createElement('div');
+  body.appendChild(buildDataDisplay([
+    { label: 'Carrier:', value: entry.carrierName || 'Unknown carrier' },
+    { label: 'SM-DP+:', value: entry.smdpAddress },
+  ]));
+  const fields = document.createElement('div');
+  fields.className = 'dialog-fields';
+  const note = document.createElement('textarea');
+  note.className = 'textarea-field';
+  note.rows = 3;
+  note.maxLength = MAX_NOTE_LENGTH;
+  note.placeholder = 'Note, e.g. bought at the airport, expires in June';
+  note.setAttribute('aria-label', 'Note');
+  note.value = entry.note ?? '';
+  const tags = document.createElement('input');
+  tags.className = 'input-field';
+  tags.placeholder = 'Tags, comma-separated, e.g. Japan trip, Alice\'s iPad';
+  tags.setAttribute('aria-label', 'Tags');
+  tags.value = (entry.tags ?? []).join(', ');
+  fields.append(note, tags);
+  body.appendChild(fields);
+
+  Dialog.show({
+    title: 'Note and Tags',
+    body,
+    type: 'info',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      {
+        label: 'Save', variant: 'primary', onClick: async () => {
+          if (!(await History.update(entry.id, { note: note.value, tags: tags.value }))) {
+            Notification.show('This entry is no longer in history', 'warning');
+          }
+          renderHistory({ keepShown: true });
+        },
+      },
+    ],
+  });
+  note.focus();
+}
+
+// ─── History Retention ────────────────────────────────────────────────────────
+function renderHistoryPrivate() {
+  const on = History.isPrivate();
+  document.getElementById('historyPrivate').checked = on;
+  document.getElementById('historyPrivateNotice').style.display = on ? 'block' : 'none';
+}
+
+function handleHistoryPrivate(e) {
+  History.setPrivate(e.target.checked);
+  renderHistoryPrivate();
+  Notification.show(e.target.checked ? 'Private session on: nothing will be saved' : 'Private session off', 'info');
+}
+
+/** Choose how long entries are kept and what happens to confirmation codes. */
+function showRetentionDialog() {
+  const { days, confirmationCodes } = History.getRetention();
+  const select = (label, options, value) => {
+    const el = document.createElement('select');
+    el.setAttribute('aria-label', label);
+    el.replaceChildren(...options.map(([optionValue, text]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = text;
+      return option;
+    }));
+    el.value = value;
+    return el;
+  };
+  const dayOptions = RETENTION_DAY_OPTIONS.includes(days) || days === null ? RETENTION_DAY_OPTIONS : [...RETENTION_DAY_OPTIONS, days].sort((a, b) => a - b);
+  const age = select('Delete entries older than', [
+    ['', 'Keep entries until they fall off the list'],
+    ...dayOptions.map(d => [String(d), `Delete after ${d} day${d === 1 ? '' : 's'}`]),
+  ], days === null ? '' : String(days));
+  const codes = select('Confirmation codes', [
+    ['keep', 'Store confirmation codes'],
+    ['redact', 'Store only that there was a confirmation code'],
+    ['drop', 'Do not store confirmation codes'],
+  ], confirmationCodes);
+
+  const body = document.createElement('div');
+  const intro = document.createElement('p');
+  intro.textContent = 'Applies to history already saved as well: older entries are deleted and stored confirmation codes removed as soon as you save.';
+  const fields = document.createElement('div');
+  fields.className = 'dialog-fields';
+  fields.append(age, codes);
+  body.append(intro, fields);
+
+  Dialog.show({
+    title: 'History Retention',
+    body,
+    type: 'info',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      {
+        label: 'Save', variant: 'primary', onClick: async () => {
+          try {
+            const { expired, rewritten } = await History.setRetention({
+              days: age.value ? Number(age.value) : null,
+              confirmationCodes: codes.value,
+            });
+            const changes = [
+              expired && `deleted ${expired} expired entr${expired === 1 ? 'y' : 'ies'}`,
+              rewritten && `removed ${rewritten} confirmation code${rewritten === 1 ? '' : 's'}`,
+            ].filter(Boolean);
+            Notification.show(changes.length ? `Retention saved: ${changes.join(', ')}` : 'Retention saved', 'success');
+          } catch (err) {
+            Notification.show(err.message, 'error');
+          }
+          renderHistory();
+        },
+      },
+    ],
+  });
+}
+
+// ─── History Lifecycle ────────────────────────────────────────────────────────
+/**
+ * @param {import('./features/history.js').HistoryEntry} entry
+ * @returns {HTMLElement} the status, and the device once one is recorded
+ */
+function buildStatusBadge(entry) {
+  const status = statusOf(entry);
+  const badge = document.createElement('span');
+  badge.className = `status-badge status-${status}`;
+  badge.textContent = entry.device ? `${STATUS_LABELS[status]} · ${entry.device}` : STATUS_LABELS[status];
+  const log = statusLogOf(entry);
+  badge.title = `Since ${new Date(log[log.length - 1].at).toLocaleString()}`;
+  return badge;
+}
+
+/**
+ * Change the lifecycle status and target device of a history entry, and show its past changes.
+ * @param {import('./features/history.js').HistoryEntry} entry
+ */
+function showHistoryStatusDialog(entry) {
+  const body = document.createElement('div');
+  body.appendChild(buildDataDisplay([
+    { label: 'Carrier:', value: entry.carrierName || 'Unknown carrier' },
+    { label: 'SM-DP+:', value: entry.smdpAddress },
+  ]));
+  const fields = document.createElement('div');
+  fields.className = 'dialog-fields';
+  const status = document.createElement('select');
+  status.setAttribute('aria-label', 'Status');
+  status.replaceChildren(...STATUSES.map(s => {
+    const option = document.createElement('option');
+    option.value = s;
+    option.textContent = STATUS_LABELS[s];
+    return option;
+  }));
+  status.value = statusOf(entry);
+  const device = document.createElement('input');
+  device.className = 'input-field';
+  device.maxLength = MAX_DEVICE_LENGTH;
+  device.placeholder = 'Device, e.g. Alice\'s iPhone 15';
+  device.setAttribute('aria-label', 'Target device');
+  device.value = entry.device ?? '';
+  fields.append(status, device);
+  body.appendChild(fields);
+
+  const title = document.createElement('strong');
+  title.textContent = 'Changes';
+  const log = document.createElement('ul');
+  log.className = 'status-log';
+  for (const change of [...statusLogOf(entry)].reverse()) {
+    const li = document.createElement('li');
+    li.textContent = [new Date(change.at).toLocaleString(), STATUS_LABELS[change.status], change.device].filter(Boolean).join(' · ');
+    log.appendChild(li);
+  }
+  body.append(title, log);
+
+  Dialog.show({
+    title: 'eSIM Status',
+    body,
+    type: 'info',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      {
+        label: 'Save', variant: 'primary', onClick: async () => {
+          if (status.value === statusOf(entry) && device.value.trim() === (entry.device ?? '')) return;
+          try {
+            if (!(await History.setStatus(entry.id, status.value, { device: device.value }))) {
+              Notification.show('This entry is no longer in history', 'warning');
+            }
+          } catch (err) {
+            Notification.show(err.message, 'error');
+          }
+          renderHistory({ keepShown: true });
+        },
+      },
+    ],
+  });
+  status.focus();
+}
+
+/**
+ * Warn when an eSIM is already marked installed: its activation code has
+ * most likely been used up.
+ * @param {string} lpaString
+ */
+async function warnIfInstalled(lpaString) {
+  let installed;
+  try {
+    installed = await History.findInstalled(lpaString);
+  } catch {
+    return; // history unavailable; renderHistory reports it
+  }
+  if (!installed) return;
+  const change = statusLogOf(installed).reverse().find(c => c.status === 'installed');
+  const where = installed.device ? ` on ${installed.device}` : '';
+  Notification.show(
+    `Already installed${where} on ${new Date(change?.at ?? installed.timestamp).toLocaleDateString()}. Activation codes usually work only once.`,
+    'warning', 8000,
+  );
+}
+
+// ─── History Export / Import ──────────────────────────────────────────────────
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+/** @returns {string[]} ids of the entries ticked in the history list */
+function selectedHistoryIds() {
+  return [...document.querySelectorAll('.history-select:checked')].map(c => c.value);
+}
+
+/** Export the ticked entries, or all of them if none is ticked. */
+async function showExportHistoryDialog() {
+  const ids = selectedHistoryIds();
+  const count = ids.length || await History.count();
+  if (count === 0) { Notification.show('History is empty', 'warning'); return; }
+
+  const formats = [
+    { ext: 'json', label: 'JSON', detail: 'Full backup, including notes and tags; import it in any browser' },
+    { ext: 'csv', label: 'CSV', detail: 'For spreadsheets; can be imported too' },
+  ];
+  let format = formats[0].ext;
+  const body = document.createElement('div');
+  body.appendChild(buildDataDisplay([{ label: 'Entries:', value: ids.length ? `${count} selected` : `All ${count}` }]));
+  body.appendChild(buildChoiceList(formats, (index) => { format = formats[index].ext; }));
+  if (History.isEncrypted()) {
+    const warning = document.createElement('p');
+    warning.textContent = 'The exported file is not encrypted. Keep it somewhere safe.';
+    body.appendChild(warning);
+  }
+
+  Dialog.show({
+    title: 'Export History',
+    body,
+    type: 'info',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      {
+        label: 'Export', variant: 'primary', onClick: async () => {
+          try {
+            const text = await History.exportEntries(format, ids.length ? ids : undefined);
+            const type = format === 'csv' ? 'text/csv' : 'application/json';
+            downloadBlob(new Blob([text], { type }), exportFilename('history', format));
+          } catch (err) {
+            Notification.show(err.message, 'error');
+          }
+        },
+      },
+    ],
+  });
+}
+
+/**
+ * Read an exported file and show what importing it would add.
+ * @param {File} file
+ */
+async function handleHistoryImport(file) {
+  if (file.size > MAX_IMPORT_BYTES) { Notification.show('File too large. Maximum 5MB.', 'error'); return; }
+  let preview;
+  try {
+    preview = await History.previewImport(await file.text());
+  } catch (err) {
+    Notification.show(`Import failed: ${err.message}`, 'error');
+    return;
+  }
+  showImportPreviewDialog(file.name, preview);
+}
+
+/**
+ * @param {string} name - file name
+ * @param {import('./features/history.js').ImportPreview} preview
+ */
+function showImportPreviewDialog(name, preview) {
+  const { add, duplicates, expired, invalid, overflow } = preview;
+  const body = document.createElement('div');
+  body.appendChild(buildDataDisplay([
+    { label: 'File:', value: name },
+    { label: 'New entries:', value: String(add.length) },
+    { label: 'Already in history:', value: String(duplicates) },
+    ...(expired ? [{ label: 'Past retention:', value: String(expired) }] : []),
+    { label: 'Invalid rows:', value: String(invalid.length) },
+  ]));
+
+  const list = (heading, lines) => {
+    if (!lines.length) return;
+    const title = document.createElement('strong');
+    title.textContent = heading;
+    const ul = document.createElement('ul');
+    ul.className = 'import-preview-list';
+    for (const text of lines.slice(0, 10)) {
+      const li = document.createElement('li');
+      li.textContent = text;
+      ul.appendChild(li);
+    }
+    if (lines.length > 10) {
+      const li = document.createElement('li');
+      li.textContent = `…and ${lines.length - 10} more`;
+      ul.appendChild(li);
+    }
+    body.append(title, ul);
+  };
+  list('To be added', add.map(e => `${e.carrierName || 'Unknown carrier'} · ${e.smdpAddress} · ${new Date(e.timestamp).toLocaleDateString()}`));
+  list('Skipped', invalid.map(p => `${p.label}: ${p.error}`));
+  if (overflow > 0) {
+    const note = document.createElement('p');
+    note.textContent = `History keeps ${History.getMaxEntries()} entries, so the ${overflow} oldest will not be kept.`;
+    body.appendChild(note);
+  }
+
+  const actions = [{ label: add.length ? 'Cancel' : 'OK', variant: 'cancel', onClick: () => {} }];
+  if (add.length) {
+    actions.push({
+      label: `Import ${add.length}`, variant: 'primary', onClick: async () => {
+        try {
+          const added = await History.commitImport(preview);
+          renderHistory();
+          Notification.show(`Imported ${added} entr${added === 1 ? 'y' : 'ies'}`, 'success');
+        } catch (err) {
+          Notification.show(err.message, 'error');
+        }
+      },
     });
+  }
+  Dialog.show({ title: 'Import History', body, type: invalid.length ? 'warning' : 'info', actions });
+}
 
-    actions.append(loadBtn, delBtn);
-    item.append(info, actions);
-    container.appendChild(item);
+// ─── History Encryption ───────────────────────────────────────────────────────
+/** Encrypted history locks itself after this long without a click or key press. */
+const HISTORY_AUTO_LOCK_MS = 5 * 60 * 1000;
+let autoLockTimer = null;
+
+/**
+ * Show the unlock form or the encrypt / lock buttons for the current state.
+ * @returns {boolean} true if history is locked
+ */
+function renderHistoryLock() {
+  const encrypted = History.isEncrypted();
+  const locked = History.isLocked();
+  document.getElementById('historyUnlock').style.display = locked ? 'flex' : 'none';
+  const lockBtn = document.getElementById('historyLockBtn');
+  lockBtn.style.display = locked ? 'none' : 'inline-flex';
+  lockBtn.textContent = encrypted ? '🔒 Lock' : '🔐 Encrypt';
+  document.getElementById('historyDecryptBtn').style.display = encrypted && !locked ? 'inline-flex' : 'none';
+  for (const id of ['exportHistoryBtn', 'importHistoryBtn', 'printHistoryBtn']) {
+    document.getElementById(id).style.display = locked ? 'none' : 'inline-flex';
   }
+  document.getElementById('clearHistoryBtn').style.display = locked ? 'none' : 'inline-flex';
+  return locked;
+}
+
+function lockHistory(message) {
+  clearTimeout(autoLockTimer);
+  autoLockTimer = null;
+  History.lock();
+  renderHistory();
+  Notification.show(message, 'info');
+}
+
+/** Restart the inactivity countdown; only runs while encrypted history is unlocked. */
+function scheduleAutoLock() {
+  clearTimeout(autoLockTimer);
+  autoLockTimer = setTimeout(() => lockHistory('History locked after inactivity'), HISTORY_AUTO_LOCK_MS);
+}
+
+function handleUserActivity() {
+  if (autoLockTimer) scheduleAutoLock();
+}
+
+function handleHistoryLockButton() {
+  if (History.isEncrypted()) lockHistory('History locked');
+  else showEncryptHistoryDialog();
+}
+
+function showEncryptHistoryDialog() {
+  const body = document.createElement('div');
+  const intro = document.createElement('p');
+  intro.textContent = 'History will be encrypted with this passphrase and locked whenever the page is reopened '
+    + 'or left idle. The passphrase cannot be recovered: if it is forgotten, history can only be deleted.';
+  const fields = document.createElement('div');
+  fields.className = 'dialog-fields';
+  const [passphrase, confirmation] = ['Passphrase', 'Repeat passphrase'].map(label => {
+    const input = document.createElement('input');
+    input.type = 'password';
+    input.className = 'input-field';
+    input.placeholder = label;
+    input.setAttribute('aria-label', label);
+    input.autocomplete = 'new-password';
+    return input;
+  });
+  fields.append(passphrase, confirmation);
+  body.append(intro, fields);
+
+  Dialog.show({
+    title: 'Encrypt History',
+    body,
+    type: 'info',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      {
+        label: 'Encrypt', variant: 'primary', onClick: async () => {
+          if (passphrase.value !== confirmation.value) { Notification.show('The passphrases do not match', 'error'); return; }
+          try {
+            await History.enableEncryption(passphrase.value);
+            scheduleAutoLock();
+            renderHistory();
+            Notification.show('History encrypted', 'success');
+          } catch (err) {
+            Notification.show(err.message, 'error');
+          }
+        },
+      },
+    ],
+  });
+  passphrase.focus();
+}
+
+async function handleHistoryUnlock(e) {
+  e.preventDefault();
+  const input = document.getElementById('historyPassphrase');
+  const btn = document.getElementById('historyUnlockBtn');
+  btn.disabled = true;
+  try {
+    await History.unlock(input.value);
+    input.value = '';
+    scheduleAutoLock();
+    renderHistory();
+    Notification.show('History unlocked', 'success');
+  } catch (err) {
+    Notification.show(err.message, 'error');
+    input.select();
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function handleHistoryDecrypt() {
+  Dialog.show({
+    title: 'Turn Off Encryption?',
+    body: 'History will be stored unencrypted again, readable by anyone with access to this browser profile.',
+    type: 'warning',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      {
+        label: 'Turn Off', variant: 'primary', onClick: async () => {
+          try {
+            await History.disableEncryption();
+            clearTimeout(autoLockTimer);
+            autoLockTimer = null;
+            renderHistory();
+            Notification.show('History is no longer encrypted', 'success');
+          } catch (err) {
+            Notification.show(err.message, 'error');
+          }
+        },
+      },
+    ],
+  });
+}
+
+function handleHistoryForget() {
+  Dialog.show({
+    title: 'Delete Encrypted History?',
+    body: 'Without the passphrase the history cannot be read. Deleting it removes every entry and turns encryption off.',
+    type: 'warning',
+    actions: [
+      { label: 'Cancel', variant: 'cancel', onClick: () => {} },
+      {
+        label: 'Delete', variant: 'primary', onClick: async () => {
+          try {
+            await History.clear();
+            renderHistory();
+            Notification.show('History deleted', 'success');
+          } catch (err) {
+            Notification.show(err.message, 'error');
+          }
+        },
+      },
+    ],
+  });
 }
 
 // ─── Clipboard / Download ─────────────────────────────────────────────────────
@@ -330,6 +1828,117 @@ async function copyText(text) {
   }
 }
 
+async function handleDownload() {
+  if (!currentCanvas) { Notification.show('Generate a QR code first', 'warning'); return; }
+  await exportQR(currentData, document.getElementById('downloadFormat')?.value || 'png', currentCanvas);
+}
+
+/**
+ * Verify and download a QR code for the given eSIM in the current style.
+ * @param {import('./core/parser.js').ESIMData} data
+ * @param {'png' | 'svg' | 'pdf'} format
+ * @param {HTMLCanvasElement} [canvas] - already rendered PNG source; generated when omitted
+ */
+async function exportQR(data, format, canvas) {
+  const filename = exportFilename(lookupCarrier(data.smdpAddress)?.name, format);
+  const lpaString = data.lpaString;
+  try {
+    // PDF pages draw the same module rectangles as the SVG, so the SVG stands in for it
+    const svg = format === 'png' ? null : toSVG(lpaString, currentQROptions);
+    const png = svg ? null : canvas || generateQR(lpaString, currentQROptions);
+    const check = svg ? await verifySVG(svg, lpaString) : verifyCanvas(png, lpaString);
+    if (check.status === 'failed') { showVerificationError([{ lpaString, check }]); return; }
+
+    if (format === 'svg') {
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), filename);
+    } else if (format === 'pdf') {
+      downloadBlob(new Blob([toPDF(lpaString, currentQROptions)], { type: 'application/pdf' }), filename);
+    } else {
+      downloadCanvas(png, filename);
+    }
+    Notification.show(`QR code downloaded as ${format.toUpperCase()}!`, 'success');
+  } catch (err) {
+    Notification.show(`Download failed: ${err.message}`, 'error');
+  }
+}
+
+// ─── QR Style Options ─────────────────────────────────────────────────────────
+/**
+ * Apply QR option changes. Styles that fail the contrast check, or whose image
+ * does not decode back, are refused and the previous options are kept.
+ * @param {import('./core/qr-generator.js').QROptions} changes
+ */
+function updateQROptions(changes) {
+  const previous = currentQROptions;
+  const next = { ...previous, ...changes };
+  if (next.logo) next.level = 'H';
+  else if (previous.logo && levelBeforeLogo) next.level = levelBeforeLogo;
+  try {
+    resolveStyle(next);
+  } catch (err) {
+    Dialog.show({
+      title: 'QR Style Refused',
+      body: err.message,
+      type: 'error',
+      actions: [{ label: 'OK', variant: 'primary', onClick: () => {} }],
+    });
+    syncQROptionControls();
+    return;
+  }
+
+  currentQROptions = next;
+  if (currentData) {
+    const data = currentData;
+    if (!renderQR(data)) {
+      // renderQR has shown why the styled code failed; go back to the last good style
+      currentQROptions = previous;
+      renderQR(data);
+    }
+  }
+  if (!previous.logo && currentQROptions.logo) levelBeforeLogo = previous.level;
+  else if (!currentQROptions.logo) levelBeforeLogo = null;
+  syncQROptionControls();
+}
+
+/** Reflect currentQROptions in the advanced-options controls. */
+function syncQROptionControls() {
+  const o = currentQROptions;
+  const mark = (attr, value) => document.querySelectorAll(`[data-${attr}]`)
+    .forEach(b => b.classList.toggle('active', b.getAttribute(`data-${attr}`) === String(value)));
+  mark('qr-size', o.size);
+  mark('qr-level', o.level);
+  mark('qr-quiet', o.quietZone);
+  mark('qr-shape', o.moduleShape);
+  document.getElementById('qrForeground').value = o.foreground;
+  document.getElementById('qrBackground').value = o.background;
+  document.getElementById('qrLogoRemoveBtn').style.display = o.logo ? '' : 'none';
+}
+
+/**
+ * Read an image file into a decoded <img> for use as a centre logo.
+ * @param {File} file
+ * @returns {Promise<HTMLImageElement>}
+ */
+async function loadLogo(file) {
+  if (!file.type.startsWith('image/')) throw new Error('Logo must be an image.');
+  if (file.size > 2 * 1024 * 1024) throw new Error('Logo too large. Maximum 2MB.');
+  // A data URL keeps the logo usable inside exported SVG files
+  const dataURL = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read logo.'));
+    reader.readAsDataURL(file);
+  });
+  const img = new Image();
+  img.src = dataURL;
+  try {
+    await img.decode();
+  } catch {
+    throw new Error('Failed to load logo image.');
+  }
+  return img;
+}
+
 // ─── UI Helpers ───────────────────────────────────────────────────────────────
 function switchInputMode(mode) {
   document.querySelectorAll('.mode-btn').forEach(b => b.classList.toggle('active', b.dataset.mode === mode));
@@ -341,7 +1950,7 @@ function switchScanTab(tab) {
   document.querySelectorAll('[data-scan-tab]').forEach(b => b.classList.toggle('active', b.dataset.scanTab === tab));
   document.getElementById('uploadPanel').style.display = tab === 'upload' ? 'block' : 'none';
   document.getElementById('cameraPanel').style.display = tab === 'camera' ? 'block' : 'none';
-  if (tab !== 'camera') { stopCamera(); document.getElementById('cameraVideo').style.display = 'none'; }
+  if (tab !== 'camera') handleStopCamera();
 }
 
 function switchDisplayMode(mode) {
@@ -350,6 +1959,43 @@ function switchDisplayMode(mode) {
   document.getElementById('displaySeparated').classList.toggle('active', mode === 'separated');
 }
 
+// ─── Other Tabs ───────────────────────────────────────────────────────────────
+/**
+ * Send the displayed QR code to the other open tabs. The confirmation code follows
+ * the history retention setting, and is never sent in a private session.
+ */
+function showInOtherTabs() {
+  if (!currentData) { Notification.show('Generate a QR code first', 'warning'); return; }
+  const policy = History.isPrivate() ? 'drop' : History.getRetention().confirmationCodes;
+  const { lpaString } = applyCodePolicy(currentData, policy);
+  displayChannel.post({ type: 'show-qr', lpa: lpaString });
+  Notification.show(lpaString === currentData.lpaString
+    ? 'Sent to the other open tabs'
+    : 'Sent to the other open tabs without the confirmation code', 'success');
+}
+
+/**
+ * Offer to show a QR code sent from another tab; nothing changes here until
+ * the user agrees. It is checked like any other input and not saved again:
+ * the sending tab has already recorded it.
+ * @param {unknown} message
+ */
+function handleDisplayMessage(message) {
+  if (message?.type !== 'show-qr' || typeof message.lpa !== 'string') return;
+  const result = parse(message.lpa);
+  if (!result.success) return;
+  const carrier = lookupCarrier(result.data.smdpAddress);
+  Dialog.show({
+    title: 'QR Code From Another Tab',
+    body: `Another tab sent a QR code for ${carrier ? carrier.name : result.data.smdpAddress}. Show it here instead of the current view?`,
+    type: 'info',
+    actions: [
+      { label: 'Ignore', variant: 'cancel', onClick: () => {} },
+      { label: 'Show', variant: 'primary', onClick: () => renderQR(result.data) },
+    ],
+  });
+}
+
 function clearResults() {
   currentLPA = null; currentData = null; currentCanvas = null;
   document.getElementById('qrDisplay').style.display = 'none';
@@ -358,9 +2004,11 @@ function clearResults() {
   document.getElementById('smdpAddress').value = '';
   document.getElementById('activationCode').value = '';
   document.getElementById('activationPassword').value = '';
+  document.getElementById('smdpOid').value = '';
+  document.getElementById('ccRequired').checked = false;
   const fi = document.getElementById('fileInput');
   if (fi) fi.value = '';
-  stopCamera();
+  handleStopCamera();
   Notification.show('Cleared', 'success');
 }
 
@@ -373,8 +2021,7 @@ function setupDragDrop() {
   area.addEventListener('drop', e => {
     e.preventDefault();
     area.classList.remove('drag-over');
-    const file = e.dataTransfer.files[0];
-    if (file) handleFileUpload(file);
+    handleFiles([...e.dataTransfer.files]);
   });
 }
 
@@ -387,12 +2034,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   detector.init();
   window.deviceDetector = detector;
 
-  // Load QR libraries
-  try {
-    await loadLibraries();
+  // QR encoder and decoder are bundled; only browser APIs can be missing
+  if (applyCapabilities(detectCapabilities())) {
     Notification.show('Ready', 'success', 1500);
-  } catch {
-    Notification.show('Some features may be limited — check your connection', 'warning');
+  } else {
+    Notification.show('Limited mode — see the notice at the top of the page', 'warning');
   }
 
   // Check for deep link
@@ -407,6 +2053,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   await initCamera();
 
   // Render history on load
+  renderHistoryPrivate();
   renderHistory();
 
   // ── Event bindings ──
@@ -439,8 +2086,15 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // File input
   document.getElementById('fileInput').addEventListener('change', e => {
-    const file = e.target.files[0];
-    if (file) handleFileUpload(file);
+    handleFiles([...e.target.files]);
+  });
+
+  // Paste a screenshot anywhere; text pastes are left alone
+  document.addEventListener('paste', e => {
+    const images = pastedImages(e.clipboardData);
+    if (images.length === 0) return;
+    e.preventDefault();
+    handleFiles(images);
   });
 
   // Upload click
@@ -450,19 +2104,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Multi-code scan results
+  document.getElementById('scanResultsClearBtn')?.addEventListener('click', clearScanResults);
+
   // Camera buttons
   document.getElementById('startCameraBtn')?.addEventListener('click', handleStartCamera);
   document.getElementById('stopCameraBtn')?.addEventListener('click', handleStopCamera);
+  document.getElementById('cameraSelect')?.addEventListener('change', handleCameraSelect);
+  document.getElementById('torchBtn')?.addEventListener('click', handleTorchToggle);
+  document.getElementById('cameraZoom')?.addEventListener('input', handleCameraRange(setZoom));
+  document.getElementById('cameraFocus')?.addEventListener('input', handleCameraRange(setFocusDistance));
+  document.getElementById('cameraContainer')?.addEventListener('click', handleTapToFocus);
+  document.getElementById('batchSaveBtn')?.addEventListener('click', handleBatchSave);
+  document.getElementById('batchExportBtn')?.addEventListener('click', handleBatchExport);
+  document.getElementById('batchPrintBtn')?.addEventListener('click', handleBatchPrint);
+  document.getElementById('batchClearBtn')?.addEventListener('click', handleBatchClear);
 
   // Action buttons
-  document.getElementById('downloadBtn').addEventListener('click', () => {
-    if (!currentCanvas) { Notification.show('Generate a QR code first', 'warning'); return; }
-    downloadCanvas(currentCanvas);
-    Notification.show('QR code downloaded!', 'success');
-  });
+  document.getElementById('downloadBtn').addEventListener('click', handleDownload);
 
   document.getElementById('copyBtn').addEventListener('click', () => copyText(currentLPA));
 
+  document.getElementById('appleLinkBtn')?.addEventListener('click', () => {
+    if (!currentLPA) { Notification.show('Generate a QR code first', 'warning'); return; }
+    copyText(generateAppleInstallLink(currentLPA));
+  });
+
+  document.getElementById('androidLinkBtn')?.addEventListener('click', () => {
+    if (!currentLPA) { Notification.show('Generate a QR code first', 'warning'); return; }
+    copyText(generateAndroidInstallLink(currentLPA));
+  });
+
   document.getElementById('shareLinkBtn')?.addEventListener('click', async () => {
     if (!currentLPA) { Notification.show('Generate a QR code first', 'warning'); return; }
     try {
@@ -473,34 +2145,109 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  const showInTabsBtn = document.getElementById('showInTabsBtn');
+  if (displayChannel.transport === 'broadcast') showInTabsBtn?.addEventListener('click', showInOtherTabs);
+  else showInTabsBtn?.style.setProperty('display', 'none');
+  displayChannel.subscribe(handleDisplayMessage);
+  History.subscribe(handleHistoryChange);
+
+  document.getElementById('printCardBtn')?.addEventListener('click', () => {
+    if (!currentData) { Notification.show('Generate a QR code first', 'warning'); return; }
+    showPrintCardsDialog([currentData]);
+  });
+
   document.getElementById('clearBtn').addEventListener('click', clearResults);
 
+  // History search and filters
+  document.getElementById('historySearch')?.addEventListener('input', renderHistory);
+  document.getElementById('historyMoreBtn')?.addEventListener('click', showMoreHistory);
+  document.getElementById('historySize')?.addEventListener('change', handleHistorySize);
+  document.getElementById('historyRetentionBtn')?.addEventListener('click', showRetentionDialog);
+  document.getElementById('historyPrivate')?.addEventListener('change', handleHistoryPrivate);
+  for (const id of ['historyAction', 'historyCarrier', 'historyRegion', 'historyTag', 'historyFrom', 'historyTo']) {
+    document.getElementById(id)?.addEventListener('change', renderHistory);
+  }
+  document.getElementById('historyResetBtn')?.addEventListener('click', resetHistoryFilters);
+
+  // History encryption
+  document.getElementById('historyLockBtn')?.addEventListener('click', handleHistoryLockButton);
+  document.getElementById('historyDecryptBtn')?.addEventListener('click', handleHistoryDecrypt);
+  document.getElementById('historyUnlock')?.addEventListener('submit', handleHistoryUnlock);
+  document.getElementById('historyForgetBtn')?.addEventListener('click', handleHistoryForget);
+  for (const type of ['pointerdown', 'keydown']) document.addEventListener(type, handleUserActivity, { passive: true });
+  window.addEventListener('beforeunload', handleBeforeUnload);
+
   // History clear
-  document.getElementById('clearHistoryBtn')?.addEventListener('click', () => {
-    History.clear();
-    renderHistory();
-    Notification.show('History cleared', 'success');
+  document.getElementById('exportHistoryBtn')?.addEventListener('click', showExportHistoryDialog);
+  document.getElementById('importHistoryBtn')?.addEventListener('click', () => document.getElementById('historyImportInput').click());
+  document.getElementById('historyImportInput')?.addEventListener('change', (e) => {
+    const [file] = e.target.files;
+    e.target.value = ''; // allow picking the same file again
+    if (file) handleHistoryImport(file);
+  });
+
+  document.getElementById('printHistoryBtn')?.addEventListener('click', async () => {
+    const ids = new Set(selectedHistoryIds());
+    let selected;
+    try {
+      selected = (await History.getAll()).filter(e => ids.has(e.id));
+    } catch (err) {
+      Notification.show(err.message, 'error');
+      return;
+    }
+    if (selected.length === 0) { Notification.show('Select history entries to print', 'warning'); return; }
+    showPrintCardsDialog(selected);
+  });
+
+  document.getElementById('clearHistoryBtn')?.addEventListener('click', async () => {
+    try {
+      await History.clear();
+      renderHistory();
+      Notification.show('History cleared', 'success');
+    } catch (err) {
+      Notification.show(err.message, 'error');
+    }
   });
 
-  // Advanced options (QR size/level)
+  // Advanced options (QR size/level/style)
   document.querySelectorAll('[data-qr-size]').forEach(btn =>
-    btn.addEventListener('click', () => {
-      document.querySelectorAll('[data-qr-size]').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      currentQROptions.size = parseInt(btn.dataset.qrSize);
-      if (currentLPA) renderQR(currentData); // re-render with new size
-    })
+    btn.addEventListener('click', () => updateQROptions({ size: parseInt(btn.dataset.qrSize) }))
   );
 
   document.querySelectorAll('[data-qr-level]').forEach(btn =>
     btn.addEventListener('click', () => {
-      document.querySelectorAll('[data-qr-level]').forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      currentQROptions.level = btn.dataset.qrLevel;
-      if (currentLPA) renderQR(currentData); // re-render with new level
+      if (currentQROptions.logo && btn.dataset.qrLevel !== 'H') {
+        Notification.show('A centre logo requires error correction H', 'warning');
+        return;
+      }
+      updateQROptions({ level: btn.dataset.qrLevel });
     })
   );
 
+  document.querySelectorAll('[data-qr-quiet]').forEach(btn =>
+    btn.addEventListener('click', () => updateQROptions({ quietZone: parseInt(btn.dataset.qrQuiet) }))
+  );
+
+  document.querySelectorAll('[data-qr-shape]').forEach(btn =>
+    btn.addEventListener('click', () => updateQROptions({ moduleShape: btn.dataset.qrShape }))
+  );
+
+  document.getElementById('qrForeground')?.addEventListener('change', e => updateQROptions({ foreground: e.target.value }));
+  document.getElementById('qrBackground')?.addEventListener('change', e => updateQROptions({ background: e.target.value }));
+
+  document.getElementById('qrLogoBtn')?.addEventListener('click', () => document.getElementById('qrLogoInput').click());
+  document.getElementById('qrLogoInput')?.addEventListener('change', async e => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      updateQROptions({ logo: await loadLogo(file) });
+    } catch (err) {
+      Notification.show(err.message, 'error');
+    }
+  });
+  document.getElementById('qrLogoRemoveBtn')?.addEventListener('click', () => updateQROptions({ logo: null }));
+
   // Drag & drop
   setupDragDrop();
 });
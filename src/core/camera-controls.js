@@ -0,0 +1,123 @@
+/**
+ * Camera selection and per-track controls: torch, zoom and focus.
+ * Controls are read from MediaStreamTrack capabilities, so each one is only
+ * offered where both the browser and the camera support it.
+ */
+
+/**
+ * @typedef {{ deviceId: string, label: string }} CameraInfo
+ * @typedef {{ min: number, max: number, step: number, value: number }} RangeControl
+ * @typedef {{
+ *   torch: boolean,
+ *   zoom: RangeControl | null,
+ *   tapToFocus: boolean,
+ *   focusDistance: RangeControl | null
+ * }} TrackControls - focusDistance is set only for cameras with manual focus
+ * @typedef {{ x: number, y: number }} FocusPoint - 0–1 from the top-left corner of the frame
+ */
+
+/**
+ * getUserMedia video constraints: the given camera, or else the rear one.
+ * @param {string | null} [deviceId]
+ * @returns {MediaTrackConstraints}
+ */
+export function videoConstraints(deviceId) {
+  const size = { width: { ideal: 1280 }, height: { ideal: 720 } };
+  return deviceId
+    ? { deviceId: { exact: deviceId }, ...size }
+    : { facingMode: { ideal: 'environment' }, ...size };
+}
+
+/**
+ * List video inputs. Browsers hide labels until camera permission is granted,
+ * so unlabelled cameras are numbered instead.
+ * @param {Pick<MediaDevices, 'enumerateDevices'>} [mediaDevices]
+ * @returns {Promise<CameraInfo[]>}
+ */
+export async function listCameras(mediaDevices = navigator.mediaDevices) {
+  const devices = await mediaDevices.enumerateDevices();
+  return devices
+    .filter(d => d.kind === 'videoinput')
+    .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+}
+
+/**
+ * Controls a running camera track supports.
+ * @param {MediaStreamTrack} track
+ * @returns {TrackControls}
+ */
+export function readControls(track) {
+  // Firefox has no getCapabilities; treat it as a camera without controls
+  const caps = track.getCapabilities?.() ?? {};
+  const settings = track.getSettings?.() ?? {};
+  const focusModes = caps.focusMode ?? [];
+  return {
+    torch: caps.torch === true || (Array.isArray(caps.torch) && caps.torch.includes(true)),
+    zoom: rangeControl(caps.zoom, settings.zoom),
+    tapToFocus: focusModes.includes('single-shot') || focusModes.includes('continuous'),
+    focusDistance: focusModes.includes('manual') ? rangeControl(caps.focusDistance, settings.focusDistance) : null,
+  };
+}
+
+/**
+ * @param {MediaStreamTrack} track
+ * @param {boolean} on
+ * @returns {Promise<void>}
+ */
+export function setTorch(track, on) {
+  return track.applyConstraints({ advanced: [{ torch: on }] });
+}
+
+/**
+ * @param {MediaStreamTrack} track
+ * @param {number} zoom
+ * @returns {Promise<void>}
+ */
+export function setZoom(track, zoom) {
+  return track.applyConstraints({ advanced: [{ zoom }] });
+}
+
+/**
+ * Focus at a point in the frame. Cameras without points of interest
+ * simply refocus on the centre.
+ * @param {MediaStreamTrack} track
+ * @param {FocusPoint} point
+ * @returns {Promise<void>}
+ */
+export function focusAt(track, point) {
+  const modes = track.getCapabilities?.().focusMode ?? [];
+  const focusMode = modes.includes('single-shot') ? 'single-shot' : 'continuous';
+  return track.applyConstraints({ advanced: [{ focusMode, pointsOfInterest: [point] }] });
+}
+
+/**
+ * Switch to manual focus at the given distance.
+ * @param {MediaStreamTrack} track
+ * @param {number} focusDistance
+ * @returns {Promise<void>}
+ */
+export function setFocusDistance(track, focusDistance) {
+  return track.applyConstraints({ advanced: [{ focusMode: 'manual', focusDistance }] });
+}
+
+/**
+ * Where a tap landed, relative to the video element.
+ * @param {number} clientX
+ * @param {number} clientY
+ * @param {{ left: number, top: number, width: number, height: number }} rect - the video's bounding rect
+ * @returns {FocusPoint}
+ */
+export function tapPoint(clientX, clientY, rect) {
+  const clamp = v => Math.min(1, Math.max(0, v));
+  return { x: clamp((clientX - rect.left) / rect.width), y: clamp((clientY - rect.top) / rect.height) };
+}
+
+/**
+ * @param {{ min?: number, max?: number, step?: number } | undefined} range
+ * @param {number | undefined} value
+ * @returns {RangeControl | null} null when the camera has no usable range
+ */
+function rangeControl(range, value) {
+  if (!range || typeof range.min !== 'number' || typeof range.max !== 'number' || range.max <= range.min) return null;
+  return { min: range.min, max: range.max, step: range.step || (range.max - range.min) / 100, value: value ?? range.min };
+}
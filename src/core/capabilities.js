@@ -0,0 +1,85 @@
+/**
+ * Browser capability probes.
+ * Everything the app needs ships in the bundle, but some features still depend on
+ * browser APIs that can be missing or blocked. Probing up front lets the UI say
+ * exactly what is unavailable instead of failing later with a vague error.
+ */
+
+/**
+ * @typedef {{ id: 'pixels' | 'camera' | 'storage', available: boolean, feature: string, reason: string }} Capability
+ * @typedef {{
+ *   document?: Document,
+ *   navigator?: Navigator,
+ *   isSecureContext?: boolean,
+ *   localStorage?: Storage,
+ *   indexedDB?: IDBFactory
+ * }} ProbeEnv
+ */
+
+/**
+ * Check each browser-dependent capability.
+ * @param {ProbeEnv} [env] - defaults to the global scope
+ * @returns {Capability[]}
+ */
+export function detectCapabilities(env = globalThis) {
+  return [
+    {
+      id: 'pixels',
+      available: probePixelReadback(env.document),
+      feature: 'Image scanning and QR verification',
+      reason: 'This browser blocks or alters reading image pixels (often a privacy or anti-fingerprinting setting)',
+    },
+    {
+      id: 'camera',
+      available: Boolean(env.navigator?.mediaDevices?.getUserMedia) && env.isSecureContext !== false,
+      feature: 'Camera scanning',
+      reason: 'Camera access needs HTTPS (or localhost) and a browser that supports getUserMedia',
+    },
+    {
+      id: 'storage',
+      // History lives in IndexedDB; settings and older history in localStorage
+      available: probeStorage(env.localStorage) && Boolean(env.indexedDB),
+      feature: 'History',
+      reason: 'Browser storage is disabled (private browsing or site settings)',
+    },
+  ];
+}
+
+/**
+ * Draw a known colour and read it back. Fails when canvas is missing, reading is
+ * blocked, or the browser adds noise to defeat fingerprinting, since decoding
+ * QR codes from pixels is unreliable in all three cases.
+ * @param {Document | undefined} doc
+ * @returns {boolean}
+ */
+export function probePixelReadback(doc) {
+  try {
+    const canvas = doc.createElement('canvas');
+    canvas.width = 2;
+    canvas.height = 1;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, 1, 1);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(1, 0, 1, 1);
+    const [r, g, b, a, r2, g2, b2, a2] = ctx.getImageData(0, 0, 2, 1).data;
+    return r === 0 && g === 0 && b === 0 && a === 255 && r2 === 255 && g2 === 255 && b2 === 255 && a2 === 255;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {Storage | undefined} storage
+ * @returns {boolean}
+ */
+function probeStorage(storage) {
+  try {
+    const key = '__esimswap_probe__';
+    storage.setItem(key, '1');
+    storage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
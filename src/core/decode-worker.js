@@ -0,0 +1,29 @@
+/**
+ * Web Worker that decodes camera frames off the main thread.
+ * Receives `{ id, bitmap }` (an ImageBitmap already cropped to the viewfinder)
+ * and replies `{ id, text }`, where text is null if no QR code was found.
+ */
+
+// jsQR directly, not via qr-scanner.js, which would pull the preprocessing and camera code into the worker
+import jsQR from 'jsqr';
+
+let canvas = null;
+let ctx = null;
+
+self.onmessage = ({ data: { id, bitmap } }) => {
+  let text = null;
+  try {
+    if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+      canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    ctx.drawImage(bitmap, 0, 0);
+    const { data: pixels, width, height } = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+    text = jsQR(pixels, width, height)?.data ?? null;
+  } catch {
+    // One bad frame must not take down the worker; the next frame is tried as usual
+  } finally {
+    bitmap.close();
+  }
+  self.postMessage({ id, text });
+};
@@ -0,0 +1,224 @@
+/**
+ * Extract eSIM activation details from free text: carrier emails, HTML bodies,
+ * PDF text dumps. Normalizes Unicode confusables and finds both full LPA strings
+ * and labelled fields ("SM-DP+ Address: …", "Activation Code: …") in several languages.
+ */
+
+import { parse, generateLPA } from './parser.js';
+import { unwrapInstallURL } from './install-url.js';
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  dollar: '$', colon: ':', hyphen: '-', dash: '-', ndash: '-', mdash: '-', period: '.',
+};
+
+// Dash-like characters NFKC leaves alone
+const DASHES_RE = /[\u2010-\u2015\u2212\uFE58\uFE63]/g;
+// Zero-width and soft-hyphen characters that survive copy/paste from mail clients
+const INVISIBLE_RE = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+
+// Cyrillic and Greek capitals that render like Latin letters in activation codes
+const HOMOGLYPHS = {
+  // Cyrillic
+  '\u0410': 'A', '\u0412': 'B', '\u0415': 'E', '\u041A': 'K', '\u041C': 'M', '\u041D': 'H', '\u041E': 'O', '\u0420': 'P', '\u0421': 'C', '\u0422': 'T', '\u0425': 'X',
+  // Greek
+  '\u0391': 'A', '\u0392': 'B', '\u0395': 'E', '\u0396': 'Z', '\u0397': 'H', '\u0399': 'I', '\u039A': 'K', '\u039C': 'M', '\u039D': 'N', '\u039F': 'O', '\u03A1': 'P', '\u03A4': 'T', '\u03A5': 'Y', '\u03A7': 'X',
+};
+const HOMOGLYPH_RE = new RegExp(`[${Object.keys(HOMOGLYPHS).join('')}]`, 'g');
+
+/** Field labels as they appear in carrier emails, per field. */
+const LABELS = {
+  smdpAddress: [
+    'SM-?DP\\+?[\\s-]*(?:server\\s*)?(?:address|adresse|addresse|direcci[oó]n|indirizzo|endere[cç]o|adres)?',
+    '(?:adresse|direcci[oó]n|indirizzo|endere[cç]o)\\s*(?:du\\s*|del\\s*|do\\s*)?(?:serveur\\s*|servidor\\s*)?SM-?DP\\+?',
+    'SM-?DP\\+?\\s*(?:地址|服务器地址|伺服器位址|アドレス|サーバーアドレス|주소|서버\\s*주소)',
+    'server\\s*address', '服务器地址', 'サーバーアドレス',
+  ],
+  activationCode: [
+    'activation\\s*code', 'matching\\s*id', 'aktivierungs-?code', 'code\\s*d[\'’]activation',
+    'c[oó]digo\\s*de\\s*activaci[oó]n', 'c[oó]digo\\s*de\\s*ativa[cç][aã]o', 'codice\\s*(?:di\\s*)?attivazione',
+    'activeringscode', '激活码', '啟用碼', '開通碼', 'アクティベーションコード', '有効化コード', '활성화\\s*코드',
+  ],
+  confirmationCode: [
+    'confirmation\\s*code', 'conf(?:irmation)?\\.?\\s*code', 'best[aä]tigungs-?code', 'code\\s*de\\s*confirmation',
+    'c[oó]digo\\s*de\\s*confirma[cç][iaã][oó]n?', 'codice\\s*(?:di\\s*)?conferma', 'bevestigingscode',
+    '确认码', '確認碼', '確認コード', '확인\\s*코드',
+  ],
+};
+
+const LABEL_RE = new RegExp(
+  '(?<![\\p{L}\\p{N}_.-])(?:'
+  + Object.entries(LABELS)
+    .map(([field, patterns]) => `(?<${field}>${patterns.join('|')})`)
+    .join('|')
+  + ')(?:\\s*\\([^)\\n]*\\))?(?:\\s+is)?(?:\\s*[:=-]\\s*|\\s+)',
+  'giu',
+);
+
+/**
+ * Normalize a text blob: strip HTML, decode entities, fold full-width forms (NFKC),
+ * map dash variants to "-" and drop invisible characters.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  if (!text || typeof text !== 'string') return '';
+  return decodeEntities(stripTags(text))
+    .normalize('NFKC')
+    .replace(INVISIBLE_RE, '')
+    .replace(DASHES_RE, '-')
+    .replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Find every eSIM in a text blob. Full LPA strings are taken as-is; labelled
+ * fields are grouped in reading order, and an activation code without its own
+ * SM-DP+ label reuses the previous one (common in multi-line family plan emails).
+ * @param {string} text
+ * @returns {import('./parser.js').ESIMData[]} unique by lpaString, in order of appearance
+ */
+export function extract(text) {
+  const clean = normalizeText(text);
+  if (!clean) return [];
+
+  const found = [...findLPAStrings(clean), ...findInstallURLs(clean), ...findLabelledFields(clean)]
+    .sort((a, b) => a.index - b.index);
+
+  const seen = new Set();
+  const results = [];
+  for (const { data } of found) {
+    if (seen.has(data.lpaString)) continue;
+    seen.add(data.lpaString);
+    results.push(data);
+  }
+  return results;
+}
+
+/**
+ * Find LPA strings, re-joining ones wrapped across lines.
+ * @param {string} text
+ * @returns {{ index: number, data: import('./parser.js').ESIMData }[]}
+ */
+function findLPAStrings(text) {
+  const found = [];
+  for (const m of text.matchAll(/LPA:[^\s"'<>]+/gi)) {
+    let candidate = m[0].replace(/[.,;)\]]+$/, '');
+    let result = parse(candidate);
+    // A wrapped code breaks mid-token: keep pulling in following lines while that fixes it
+    let rest = text.slice(m.index + m[0].length);
+    for (let i = 0; i < 2 && !result.success; i++) {
+      const next = rest.match(/^[ \t]*\n[ \t]*([^\s"'<>]+)/);
+      if (!next) break;
+      candidate += next[1].replace(/[.,;)\]]+$/, '');
+      rest = rest.slice(next[0].length);
+      result = parse(candidate);
+    }
+    if (result.success) found.push({ index: m.index, data: result.data });
+  }
+  return found;
+}
+
+/**
+ * Find install links (Apple/Android universal links, carrier pages) and unwrap them.
+ * @param {string} text
+ * @returns {{ index: number, data: import('./parser.js').ESIMData }[]}
+ */
+function findInstallURLs(text) {
+  const found = [];
+  for (const m of text.matchAll(/https?:\/\/[^\s"'<>]+/gi)) {
+    const url = m[0].replace(/[.,;)\]]+$/, '');
+    for (const candidate of unwrapInstallURL(url)) {
+      const result = parse(candidate);
+      if (result.success) {
+        found.push({ index: m.index, data: result.data });
+        break;
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Find labelled SM-DP+ / activation / confirmation fields and group them.
+ * @param {string} text
+ * @returns {{ index: number, data: import('./parser.js').ESIMData }[]}
+ */
+function findLabelledFields(text) {
+  const found = [];
+  let smdpAddress = '';
+  let current = null;
+
+  const flush = () => {
+    if (!current?.activationCode || !current.smdpAddress) return;
+    const result = parse(generateLPA(current));
+    if (result.success) found.push({ index: current.index, data: result.data });
+  };
+
+  for (const m of text.matchAll(LABEL_RE)) {
+    const field = Object.keys(LABELS).find(key => m.groups[key] !== undefined);
+    const value = readValue(text, m.index + m[0].length, field);
+    if (!value || /^LPA:/i.test(value)) continue; // full LPA strings are handled separately
+
+    if (field === 'smdpAddress') {
+      smdpAddress = value;
+      if (current && !current.smdpAddress) current.smdpAddress = value;
+      else if (current) { flush(); current = null; }
+    } else if (field === 'activationCode') {
+      flush();
+      current = { index: m.index, smdpAddress, activationCode: value, confirmationCode: '' };
+    } else if (field === 'confirmationCode') {
+      if (current && !current.confirmationCode) current.confirmationCode = value;
+    }
+  }
+  flush();
+  return found;
+}
+
+/**
+ * Read the value token after a label, joining a code wrapped after a trailing hyphen.
+ * @param {string} text
+ * @param {number} pos
+ * @param {string} field
+ * @returns {string}
+ */
+function readValue(text, pos, field) {
+  const m = text.slice(pos).match(/^\s*([^\s"'<>]+)(?:-?\s*\n\s*([A-Z0-9-]+)(?=\s|$))?/i);
+  if (!m) return '';
+  let value = m[1].replace(/[.,;)\]]+$/, '');
+  if (field !== 'smdpAddress') {
+    if (value.endsWith('-') && m[2]) value += m[2];
+    value = value.replace(HOMOGLYPH_RE, c => HOMOGLYPHS[c]);
+  }
+  return value;
+}
+
+/**
+ * Remove HTML tags, keeping line structure for block elements and link targets.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripTags(text) {
+  if (!/<[a-z/!]/i.test(text)) return text;
+  return text
+    .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<a\b[^>]*\bhref\s*=\s*["']([^"']*)["'][^>]*>/gi, ' $1 ')
+    .replace(/<(br|\/p|\/div|\/li|\/tr|\/h\d)\b[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+}
+
+/**
+ * Decode named and numeric HTML entities.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return n > 0 && n <= 0x10FFFF ? String.fromCodePoint(n) : whole;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? whole;
+  });
+}
@@ -0,0 +1,192 @@
+/**
+ * Camera frame decoding strategies, fastest first:
+ * the browser's native BarcodeDetector, then jsQR in a Web Worker on an
+ * OffscreenCanvas, then jsQR on the main thread. Every strategy decodes only
+ * the viewfinder region, scaled down, so the page stays responsive.
+ */
+
+/** Built from src/core/decode-worker.js by build.js. */
+const WORKER_URL = '/decode-worker.js';
+/** Share of each edge outside the viewfinder; matches `.camera-viewfinder { inset: 20% }`. */
+export const VIEWFINDER_INSET = 0.2;
+/** Extra margin around the viewfinder so a code touching its edge keeps a quiet zone. */
+const CROP_MARGIN = 0.05;
+/** Longer side of the cropped frame handed to the decoder. */
+const DECODE_SIZE = 640;
+
+/**
+ * @typedef {'native' | 'worker' | 'main'} DecoderKind
+ * @typedef {{ x: number, y: number, width: number, height: number }} Region
+ * @typedef {{
+ *   kind: DecoderKind,
+ *   decode: (video: HTMLVideoElement) => Promise<string | null>,
+ *   dispose: () => void
+ * }} FrameDecoder
+ * @typedef {{
+ *   BarcodeDetector?: any,
+ *   Worker?: typeof Worker,
+ *   OffscreenCanvas?: typeof OffscreenCanvas,
+ *   createImageBitmap?: typeof createImageBitmap
+ * }} DecoderEnv
+ */
+
+/**
+ * The part of a frame to decode: the viewfinder plus a small margin.
+ * @param {number} width - frame width in pixels
+ * @param {number} height - frame height in pixels
+ * @param {number} [inset] - share of each edge outside the viewfinder
+ * @returns {Region}
+ */
+export function viewfinderRegion(width, height, inset = VIEWFINDER_INSET) {
+  const edge = Math.max(0, inset - CROP_MARGIN);
+  const x = Math.floor(width * edge);
+  const y = Math.floor(height * edge);
+  return { x, y, width: width - 2 * x, height: height - 2 * y };
+}
+
+/**
+ * Size to scale a region to before decoding.
+ * @param {Region} region
+ * @returns {{ width: number, height: number }}
+ */
+export function decodeSize(region) {
+  const scale = Math.min(1, DECODE_SIZE / Math.max(region.width, region.height));
+  return { width: Math.max(1, Math.round(region.width * scale)), height: Math.max(1, Math.round(region.height * scale)) };
+}
+
+/**
+ * Pick the fastest strategy this browser supports.
+ * @param {DecoderEnv} [env] - defaults to the global scope
+ * @returns {Promise<DecoderKind>}
+ */
+export async function pickDecoderKind(env = globalThis) {
+  if (env.BarcodeDetector && env.createImageBitmap) {
+    try {
+      const formats = await env.BarcodeDetector.getSupportedFormats();
+      if (formats.includes('qr_code')) return 'native';
+    } catch {
+      // Listed but unusable (some desktop builds); fall through
+    }
+  }
+  if (env.Worker && env.OffscreenCanvas && env.createImageBitmap) return 'worker';
+  return 'main';
+}
+
+/**
+ * Create a decoder for camera frames.
+ * @param {(imageData: ImageData) => { data: string } | null} decodeImageData - main-thread fallback
+ * @returns {Promise<FrameDecoder>}
+ */
+export async function createFrameDecoder(decodeImageData) {
+  const kind = await pickDecoderKind();
+  if (kind === 'native') return createNativeDecoder();
+  if (kind === 'worker') {
+    try {
+      return createWorkerDecoder(() => createMainDecoder(decodeImageData));
+    } catch {
+      // Worker construction can be blocked by policy; decode on the main thread instead
+    }
+  }
+  return createMainDecoder(decodeImageData);
+}
+
+/**
+ * Crop and scale the viewfinder region of the current frame into a bitmap.
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<ImageBitmap>}
+ */
+function grabRegion(video) {
+  const region = viewfinderRegion(video.videoWidth, video.videoHeight);
+  const size = decodeSize(region);
+  return createImageBitmap(video, region.x, region.y, region.width, region.height, {
+    resizeWidth: size.width,
+    resizeHeight: size.height,
+  });
+}
+
+/** @returns {FrameDecoder} */
+function createNativeDecoder() {
+  const detector = new BarcodeDetector({ formats: ['qr_code'] });
+  return {
+    kind: 'native',
+    async decode(video) {
+      const bitmap = await grabRegion(video);
+      try {
+        const [code] = await detector.detect(bitmap);
+        return code?.rawValue ?? null;
+      } finally {
+        bitmap.close();
+      }
+    },
+    dispose() {},
+  };
+}
+
+/**
+ * Decode in a worker. If the worker fails to load or crashes, later frames
+ * are decoded by the fallback instead.
+ * @param {() => FrameDecoder} fallback
+ * @returns {FrameDecoder}
+ */
+function createWorkerDecoder(fallback) {
+  const worker = new Worker(WORKER_URL);
+  let replacement = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  worker.onmessage = ({ data }) => {
+    pending.get(data.id)?.(data.text);
+    pending.delete(data.id);
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    worker.terminate();
+    replacement = fallback();
+    decoder.kind = replacement.kind;
+    for (const resolve of pending.values()) resolve(null);
+    pending.clear();
+  };
+
+  /** @type {FrameDecoder} */
+  const decoder = {
+    kind: 'worker',
+    async decode(video) {
+      if (replacement) return replacement.decode(video);
+      const bitmap = await grabRegion(video);
+      const id = nextId++;
+      return new Promise(resolve => {
+        pending.set(id, resolve);
+        // The bitmap is transferred, not copied, so the worker owns and closes it
+        worker.postMessage({ id, bitmap }, [bitmap]);
+      });
+    },
+    dispose() {
+      worker.terminate();
+      replacement?.dispose();
+      for (const resolve of pending.values()) resolve(null);
+      pending.clear();
+    },
+  };
+  return decoder;
+}
+
+/**
+ * @param {(imageData: ImageData) => { data: string } | null} decodeImageData
+ * @returns {FrameDecoder}
+ */
+function createMainDecoder(decodeImageData) {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  return {
+    kind: 'main',
+    async decode(video) {
+      const region = viewfinderRegion(video.videoWidth, video.videoHeight);
+      const size = decodeSize(region);
+      canvas.width = size.width;
+      canvas.height = size.height;
+      ctx.drawImage(video, region.x, region.y, region.width, region.height, 0, 0, size.width, size.height);
+      return decodeImageData(ctx.getImageData(0, 0, size.width, size.height))?.data ?? null;
+    },
+    dispose() {},
+  };
+}
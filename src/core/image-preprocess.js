@@ -0,0 +1,245 @@
+/**
+ * Pixel transforms used to give the QR decoder a second chance.
+ * All functions are pure: they take RGBA pixels and return new pixels.
+ */
+
+/**
+ * @typedef {{ data: Uint8ClampedArray, width: number, height: number }} Pixels
+ * @typedef {{ x: number, y: number, width: number, height: number }} Bounds
+ */
+
+/** Ink regions are traced on a grid this many cells across the longer side. */
+const REGION_GRID = 200;
+/** Regions returned per image, largest first, to bound the cost of busy screenshots. */
+const MAX_REGIONS = 48;
+
+/**
+ * Shrink an image so its longer side is at most `maxSide`, averaging each block of pixels.
+ * @param {Pixels} pixels
+ * @param {number} maxSide
+ * @returns {Pixels} the input unchanged if it is already small enough
+ */
+export function downscale(pixels, maxSide) {
+  const factor = Math.ceil(Math.max(pixels.width, pixels.height) / maxSide);
+  if (factor <= 1) return pixels;
+  const width = Math.floor(pixels.width / factor);
+  const height = Math.floor(pixels.height / factor);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const area = factor * factor;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sum = [0, 0, 0, 0];
+      for (let dy = 0; dy < factor; dy++) {
+        const row = ((y * factor + dy) * pixels.width + x * factor) * 4;
+        for (let dx = 0; dx < factor * 4; dx += 4) {
+          for (let c = 0; c < 4; c++) sum[c] += pixels.data[row + dx + c];
+        }
+      }
+      for (let c = 0; c < 4; c++) data[(y * width + x) * 4 + c] = sum[c] / area;
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Enlarge an image by a whole factor without smoothing, keeping module edges sharp.
+ * @param {Pixels} pixels
+ * @param {number} factor
+ * @returns {Pixels}
+ */
+export function upscale(pixels, factor) {
+  if (factor <= 1) return pixels;
+  const width = pixels.width * factor;
+  const height = pixels.height * factor;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const srcRow = Math.floor(y / factor) * pixels.width;
+    for (let x = 0; x < width; x++) {
+      const src = (srcRow + Math.floor(x / factor)) * 4;
+      data.set(pixels.data.subarray(src, src + 4), (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Luminance of each pixel (ITU-R BT.601 weights).
+ * @param {Pixels} pixels
+ * @returns {Uint8ClampedArray} one value per pixel
+ */
+export function grayscale(pixels) {
+  const out = new Uint8ClampedArray(pixels.width * pixels.height);
+  for (let i = 0; i < out.length; i++) {
+    const p = i * 4;
+    out[i] = 0.299 * pixels.data[p] + 0.587 * pixels.data[p + 1] + 0.114 * pixels.data[p + 2];
+  }
+  return out;
+}
+
+/**
+ * Black-and-white image where each pixel is compared with the mean of its
+ * neighbourhood, which copes with glare and shadows across a photo.
+ * @param {Pixels} pixels
+ * @param {{ window?: number, bias?: number }} [options] - window side in pixels (default 1/8 of the
+ *   shorter side) and how far below the local mean a pixel must be to count as dark (0–1)
+ * @returns {Pixels}
+ */
+export function adaptiveThreshold(pixels, { window, bias = 0.1 } = {}) {
+  const { width, height } = pixels;
+  const gray = grayscale(pixels);
+  const half = Math.max(4, Math.floor((window ?? Math.min(width, height) / 8) / 2));
+
+  // Summed-area table, one row and column larger so lookups need no bounds checks
+  const stride = width + 1;
+  const integral = new Float64Array(stride * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const sum = integral[y1 * stride + x1] - integral[y0 * stride + x1] - integral[y1 * stride + x0] + integral[y0 * stride + x0];
+      const area = (x1 - x0) * (y1 - y0);
+      const value = gray[y * width + x] * area < sum * (1 - bias) ? 0 : 255;
+      data.fill(value, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Swap light and dark, for white-on-dark codes.
+ * @param {Pixels} pixels
+ * @returns {Pixels}
+ */
+export function invert(pixels) {
+  const data = new Uint8ClampedArray(pixels.data);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = 255 - data[i];
+    data[i + 1] = 255 - data[i + 1];
+    data[i + 2] = 255 - data[i + 2];
+  }
+  return { data, width: pixels.width, height: pixels.height };
+}
+
+/**
+ * Rotate clockwise about the centre. The canvas grows to fit and the new
+ * corners are filled white, which also gives the code a quiet zone.
+ * @param {Pixels} pixels
+ * @param {number} degrees
+ * @returns {Pixels}
+ */
+export function rotate(pixels, degrees) {
+  const angle = (degrees * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  // Snap near-zero terms so quarter turns map pixels exactly
+  const c = Math.abs(cos) < 1e-9 ? 0 : cos;
+  const s = Math.abs(sin) < 1e-9 ? 0 : sin;
+  const width = Math.round(Math.abs(pixels.width * c) + Math.abs(pixels.height * s));
+  const height = Math.round(Math.abs(pixels.width * s) + Math.abs(pixels.height * c));
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  const cx = pixels.width / 2;
+  const cy = pixels.height / 2;
+  for (let y = 0; y < height; y++) {
+    const dy = y + 0.5 - height / 2;
+    for (let x = 0; x < width; x++) {
+      const dx = x + 0.5 - width / 2;
+      // Inverse rotation: find the source pixel for each destination pixel
+      const sx = Math.floor(dx * c + dy * s + cx);
+      const sy = Math.floor(-dx * s + dy * c + cy);
+      if (sx < 0 || sy < 0 || sx >= pixels.width || sy >= pixels.height) continue;
+      const src = (sy * pixels.width + sx) * 4;
+      data.set(pixels.data.subarray(src, src + 4), (y * width + x) * 4);
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Copy a rectangle out of an image.
+ * @param {Pixels} pixels
+ * @param {Bounds} bounds - must lie inside the image
+ * @returns {Pixels}
+ */
+export function crop(pixels, { x, y, width, height }) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const src = ((y + row) * pixels.width + x) * 4;
+    data.set(pixels.data.subarray(src, src + width * 4), row * width * 4);
+  }
+  return { data, width, height };
+}
+
+/**
+ * Boxes around separate patches of dark pixels, grown by a margin so each
+ * contains its quiet zone. Codes are surrounded by light space, so every code
+ * lands in its own box unless codes touch.
+ * @param {Pixels} pixels
+ * @returns {Bounds[]} largest first, at most MAX_REGIONS
+ */
+export function inkRegions(pixels) {
+  const { width, height } = pixels;
+  const cell = Math.max(1, Math.ceil(Math.max(width, height) / REGION_GRID));
+  const cols = Math.ceil(width / cell);
+  const rows = Math.ceil(height / cell);
+
+  const gray = grayscale(pixels);
+  const ink = new Uint8Array(cols * rows);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (gray[y * width + x] < 128) ink[Math.floor(y / cell) * cols + Math.floor(x / cell)] = 1;
+    }
+  }
+
+  // Label 8-connected groups of ink cells
+  const seen = new Uint8Array(cols * rows);
+  const regions = [];
+  for (let start = 0; start < ink.length; start++) {
+    if (!ink[start] || seen[start]) continue;
+    let minX = cols, minY = rows, maxX = 0, maxY = 0;
+    const stack = [start];
+    seen[start] = 1;
+    while (stack.length) {
+      const i = stack.pop();
+      const cx = i % cols;
+      const cy = (i - cx) / cols;
+      minX = Math.min(minX, cx); maxX = Math.max(maxX, cx);
+      minY = Math.min(minY, cy); maxY = Math.max(maxY, cy);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+          const n = ny * cols + nx;
+          if (ink[n] && !seen[n]) { seen[n] = 1; stack.push(n); }
+        }
+      }
+    }
+    const w = (maxX - minX + 1) * cell;
+    const h = (maxY - minY + 1) * cell;
+    // A version 1 code is 21 modules square; skip specks, lines and whole-page blobs
+    if (w < 21 || h < 21 || w > h * 3 || h > w * 3) continue;
+    if (w >= width - 2 * cell && h >= height - 2 * cell) continue;
+    const margin = Math.ceil(Math.max(w, h) / 8) + cell;
+    const x = Math.max(0, minX * cell - margin);
+    const y = Math.max(0, minY * cell - margin);
+    regions.push({
+      x,
+      y,
+      width: Math.min(width, (maxX + 1) * cell + margin) - x,
+      height: Math.min(height, (maxY + 1) * cell + margin) - y,
+    });
+  }
+  return regions.sort((a, b) => b.width * b.height - a.width * a.height).slice(0, MAX_REGIONS);
+}
@@ -0,0 +1,122 @@
+/**
+ * eSIM install URL support.
+ * Unwraps activation codes from Apple/Android universal install links and carrier
+ * landing pages, and builds install links from an LPA string.
+ */
+
+export const APPLE_INSTALL_URL = 'https://esimsetup.apple.com/esim_qrcode_provisioning';
+export const ANDROID_INSTALL_URL = 'https://esimsetup.android.com/esim_qrcode_provisioning';
+
+/** Query keys that carry a whole activation code, in priority order. */
+const PAYLOAD_KEYS = ['carddata', 'lpa', 'activationcode', 'activation_code', 'activation-code', 'esim', 'qrcode', 'qr', 'code', 'ac', 'data'];
+/** Query keys for an activation code split over separate parameters. */
+const SMDP_KEYS = ['smdp', 'smdpaddress', 'smdp_address', 'smdp-address', 'sm-dp', 'server'];
+const MATCHING_ID_KEYS = ['matchingid', 'matching_id', 'matching-id', 'activationcode', 'activation_code', 'code', 'ac'];
+const CONFIRMATION_KEYS = ['confirmationcode', 'confirmation_code', 'confirmation-code', 'cc'];
+
+const MAX_DEPTH = 2;
+
+/**
+ * Check whether input looks like an http(s) URL.
+ * @param {string} input
+ * @returns {boolean}
+ */
+export function isURL(input) {
+  return typeof input === 'string' && /^https?:\/\/\S+$/i.test(input.trim());
+}
+
+/**
+ * List the activation code candidates carried by a URL, best first.
+ * Reads the query string and fragment, composes split smdp/matchingId parameters,
+ * and follows a URL nested in a parameter (e.g. a redirect wrapper).
+ * Candidates are returned as found; callers validate them with parse().
+ * @param {string} input
+ * @returns {string[]}
+ */
+export function unwrapInstallURL(input) {
+  return collectPayloads(input, 0);
+}
+
+/**
+ * @param {string} input
+ * @param {number} depth - nesting level, capped at MAX_DEPTH
+ * @returns {string[]}
+ */
+function collectPayloads(input, depth) {
+  if (!isURL(input) || depth > MAX_DEPTH) return [];
+  let url;
+  try {
+    url = new URL(input.trim());
+  } catch {
+    return [];
+  }
+
+  const params = new Map();
+  for (const source of [url.searchParams, new URLSearchParams(url.hash.slice(1))]) {
+    for (const [key, value] of source) {
+      const k = key.toLowerCase();
+      if (value && !params.has(k)) params.set(k, value.trim());
+    }
+  }
+
+  const candidates = [];
+  const nested = [];
+  for (const key of PAYLOAD_KEYS) {
+    const value = params.get(key);
+    if (value && !isURL(value)) candidates.push(value);
+  }
+
+  const smdp = firstValue(params, SMDP_KEYS);
+  const matchingId = firstValue(params, MATCHING_ID_KEYS, v => !v.includes('$'));
+  if (smdp && matchingId) {
+    const confirmation = firstValue(params, CONFIRMATION_KEYS);
+    candidates.push(`LPA:1$${smdp}$${matchingId}${confirmation ? `$${confirmation}` : ''}`);
+  }
+
+  for (const value of params.values()) {
+    if (isURL(value)) nested.push(...collectPayloads(value, depth + 1));
+  }
+  return [...new Set([...candidates, ...nested])];
+}
+
+/**
+ * Build the Apple universal eSIM install link (iOS 17.4+).
+ * @param {string} lpaString
+ * @returns {string}
+ */
+export function generateAppleInstallLink(lpaString) {
+  return `${APPLE_INSTALL_URL}?carddata=${encodeCardData(lpaString)}`;
+}
+
+/**
+ * Build the Android eSIM install link.
+ * @param {string} lpaString
+ * @returns {string}
+ */
+export function generateAndroidInstallLink(lpaString) {
+  return `${ANDROID_INSTALL_URL}?carddata=${encodeCardData(lpaString)}`;
+}
+
+/**
+ * Percent-encode an LPA string for a carddata parameter, keeping ":" and "$"
+ * readable as in the published link format (both are legal in a query).
+ * @param {string} lpaString
+ * @returns {string}
+ */
+function encodeCardData(lpaString) {
+  return encodeURIComponent(lpaString).replace(/%3A/gi, ':').replace(/%24/gi, '$');
+}
+
+/**
+ * @param {Map<string, string>} params
+ * @param {string[]} keys
+ * @param {(value: string) => boolean} [accept]
+ * @returns {string}
+ */
+function firstValue(params, keys, accept = () => true) {
+  for (const key of keys) {
+    const value = params.get(key);
+    if (value && accept(value)) return value;
+  }
+  return '';
+}
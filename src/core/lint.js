@@ -0,0 +1,206 @@
+/**
+ * Structured diagnostics for eSIM activation code input.
+ * Reports machine-readable problems with character spans so the UI and support
+ * tooling can point at the exact spot, including non-fatal issues parse() accepts.
+ */
+
+import { parse, validateSMDP, validateActivationCode, validateOID } from './parser.js';
+import { isURL } from './install-url.js';
+
+/**
+ * @typedef {'input' | 'prefix' | 'version' | 'smdpAddress' | 'activationCode' | 'smdpOid' | 'confirmationCode' | 'ccFlag'} DiagnosticField
+ * @typedef {{
+ *   code: string,
+ *   severity: 'error' | 'warning',
+ *   start: number,
+ *   end: number,
+ *   field: DiagnosticField,
+ *   message: string,
+ *   suggestion: string | null
+ * }} Diagnostic
+ * @typedef {{ valid: boolean, diagnostics: Diagnostic[], data: import('./parser.js').ESIMData | null }} LintResult
+ */
+
+/** Stable diagnostic codes. Errors make parse() fail; warnings do not. */
+export const CODES = {
+  EMPTY: 'E_EMPTY',
+  NO_SEPARATOR: 'E_NO_SEPARATOR',
+  TOO_FEW_FIELDS: 'E_TOO_FEW_FIELDS',
+  TOO_MANY_FIELDS: 'E_TOO_MANY_FIELDS',
+  AC_FORMAT: 'E_AC_FORMAT',
+  SMDP_INVALID: 'E_SMDP_INVALID',
+  ACTIVATION_INVALID: 'E_ACTIVATION_INVALID',
+  CC_FLAG_INVALID: 'E_CC_FLAG_INVALID',
+  INVALID: 'E_INVALID',
+  PREFIX_LOWERCASE: 'W_PREFIX_LOWERCASE',
+  PREFIX_MISSING: 'W_PREFIX_MISSING',
+  WHITESPACE: 'W_WHITESPACE',
+  INVISIBLE_CHAR: 'W_INVISIBLE_CHAR',
+  ACTIVATION_LOWERCASE: 'W_ACTIVATION_LOWERCASE',
+  INSTALL_URL: 'W_INSTALL_URL',
+};
+
+const INVISIBLE_RE = /[\u00A0\u200B-\u200D\u2060\uFEFF]/g;
+
+/**
+ * Inspect an input string and report every problem found.
+ * `valid` always agrees with parse(input).success.
+ * @param {string} input
+ * @returns {LintResult}
+ */
+export function lint(input) {
+  const diagnostics = [];
+  const report = (code, severity, start, end, field, message, suggestion = null) =>
+    diagnostics.push({ code, severity, start, end, field, message, suggestion });
+
+  if (typeof input !== 'string' || !input.trim()) {
+    const len = typeof input === 'string' ? input.length : 0;
+    report(CODES.EMPTY, 'error', 0, len, 'input', 'Input is empty', 'Enter an activation code such as LPA:1$<smdp-address>$<activation-code>');
+    return { valid: false, diagnostics, data: null };
+  }
+
+  for (const m of input.matchAll(INVISIBLE_RE)) {
+    report(CODES.INVISIBLE_CHAR, 'warning', m.index, m.index + 1, 'input',
+      `Invisible character U+${m[0].charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`, 'Delete the invisible character');
+  }
+
+  const body = input.trim();
+  const offset = input.indexOf(body);
+  if (offset > 0) {
+    report(CODES.WHITESPACE, 'warning', 0, offset, 'input', 'Leading whitespace', 'Remove the leading whitespace');
+  }
+  if (offset + body.length < input.length) {
+    report(CODES.WHITESPACE, 'warning', offset + body.length, input.length, 'input', 'Trailing whitespace', 'Remove the trailing whitespace');
+  }
+
+  if (isURL(body)) {
+    // Spans inside an encoded URL do not map back to the activation code, so report the URL as a whole
+    report(CODES.INSTALL_URL, 'warning', offset, offset + body.length, 'input',
+      'Activation code is wrapped in an install URL', 'Use the LPA string directly');
+    return finish(input, diagnostics);
+  }
+
+  const segments = splitWithOffsets(body, offset);
+  let fields;
+
+  if (/^lpa:/i.test(body)) {
+    if (!body.startsWith('LPA:')) {
+      report(CODES.PREFIX_LOWERCASE, 'warning', offset, offset + 4, 'prefix', `Prefix "${body.slice(0, 4)}" is not uppercase`, 'Use "LPA:"');
+    }
+    // The version is the first segment with "LPA:" removed
+    const version = { value: segments[0].value.slice(4), start: segments[0].start + 4, end: segments[0].end };
+    if (version.value !== '1' && validateSMDP(version.value.trim())) {
+      report(CODES.AC_FORMAT, 'error', version.start, version.start, 'version',
+        'Missing version number "1$" after "LPA:"', 'Insert "1$" after "LPA:"');
+      fields = [version, ...segments.slice(1)];
+    } else {
+      if (segments.length < 3) {
+        report(CODES.TOO_FEW_FIELDS, 'error', offset, offset + body.length, 'input',
+          'LPA format requires: LPA:1$<smdp-address>$<activation-code>', 'Add the missing "$"-separated fields');
+        return finish(input, diagnostics);
+      }
+      if (version.value !== '1') {
+        report(CODES.AC_FORMAT, 'error', version.start, version.end, 'version',
+          `Unsupported activation code format "${version.value}" (expected "1")`, 'Replace with "1"');
+      }
+      fields = segments.slice(1);
+    }
+  } else if (body.includes('$')) {
+    if (segments[0].value === '1') {
+      report(CODES.PREFIX_MISSING, 'warning', offset, offset, 'prefix', 'Missing "LPA:" prefix', 'Prepend "LPA:"');
+      if (segments.length < 3) {
+        report(CODES.TOO_FEW_FIELDS, 'error', offset, offset + body.length, 'input',
+          'Format 1$<smdp>$<activation> requires at least 3 parts', 'Add the missing "$"-separated fields');
+        return finish(input, diagnostics);
+      }
+      fields = segments.slice(1);
+    } else {
+      report(CODES.PREFIX_MISSING, 'warning', offset, offset, 'prefix', 'Missing "LPA:1$" prefix', 'Prepend "LPA:1$"');
+      fields = segments;
+    }
+  } else {
+    report(CODES.NO_SEPARATOR, 'error', offset, offset + body.length, 'input',
+      'No "$" separator found', 'Use: LPA:1$<smdp-address>$<activation-code>');
+    return finish(input, diagnostics);
+  }
+
+  if (fields.length > 4) {
+    const extra = fields[4];
+    report(CODES.TOO_MANY_FIELDS, 'error', extra.start - 1, offset + body.length, 'input',
+      `Too many fields: an activation code has at most 5, found ${fields.length + 1}`, 'Remove the extra "$"-separated fields');
+  }
+
+  const [smdp, activation, optional, ccFlag] = fields;
+  lintField(smdp, 'smdpAddress', report);
+  if (activation) lintField(activation, 'activationCode', report);
+  if (optional) lintField(optional, validateOID(optional.value.trim()) ? 'smdpOid' : 'confirmationCode', report);
+  if (ccFlag) lintField(ccFlag, 'ccFlag', report);
+  return finish(input, diagnostics);
+}
+
+/**
+ * Check one "$"-separated field.
+ * @param {{ value: string, start: number, end: number }} f
+ * @param {string} name
+ * @param {Function} report
+ */
+function lintField(f, name, report) {
+  const value = f.value.trim();
+  const start = f.start + f.value.indexOf(value);
+  const end = start + value.length;
+
+  if (value && value !== f.value) {
+    if (start > f.start) report(CODES.WHITESPACE, 'warning', f.start, start, name, 'Whitespace before field', 'Remove the whitespace');
+    if (end < f.end) report(CODES.WHITESPACE, 'warning', end, f.end, name, 'Whitespace after field', 'Remove the whitespace');
+  }
+
+  if (name === 'smdpAddress' && !validateSMDP(value)) {
+    report(CODES.SMDP_INVALID, 'error', start, end, name, `Invalid SM-DP+ address: "${value}"`,
+      'Use a host name, IP address or host:port, e.g. carrier.example.com');
+  } else if (name === 'activationCode') {
+    if (!validateActivationCode(value)) {
+      report(CODES.ACTIVATION_INVALID, 'error', start, end, name, `Invalid activation code: "${value}"`,
+        'Use at least 8 letters, digits or hyphens, starting and ending with a letter or digit');
+    } else if (/[a-z]/.test(value)) {
+      report(CODES.ACTIVATION_LOWERCASE, 'warning', start, end, name, 'Activation code contains lowercase letters',
+        `Use "${value.toUpperCase()}"`);
+    }
+  } else if (name === 'ccFlag' && value !== '' && value !== '1') {
+    report(CODES.CC_FLAG_INVALID, 'error', start, end, name,
+      `Invalid confirmation-code-required flag: "${value}" (expected "1" or empty)`, 'Use "1" or leave the field empty');
+  }
+}
+
+/**
+ * Split on "$" and keep each segment's offset in the original input.
+ * @param {string} text
+ * @param {number} base
+ * @returns {{ value: string, start: number, end: number }[]}
+ */
+function splitWithOffsets(text, base) {
+  let pos = base;
+  return text.split('$').map(value => {
+    const seg = { value, start: pos, end: pos + value.length };
+    pos = seg.end + 1;
+    return seg;
+  });
+}
+
+/**
+ * Sort diagnostics and reconcile them with parse() so both always agree.
+ * @param {string} input
+ * @param {Diagnostic[]} diagnostics
+ * @returns {LintResult}
+ */
+function finish(input, diagnostics) {
+  const result = parse(input);
+  const hasError = diagnostics.some(d => d.severity === 'error');
+  if (!result.success && !hasError) {
+    diagnostics.push({
+      code: CODES.INVALID, severity: 'error', start: 0, end: input.length,
+      field: 'input', message: result.error, suggestion: null,
+    });
+  }
+  diagnostics.sort((a, b) => a.start - b.start || (a.severity === 'error' ? -1 : 1));
+  return { valid: result.success, diagnostics, data: result.success ? result.data : null };
+}
@@ -3,13 +3,28 @@
  * Handles GSMA SGP.22 compliant LPA strings and common non-standard formats.
  */
 
+import { isURL, unwrapInstallURL } from './install-url.js';
+
 /**
- * @typedef {{ smdpAddress: string, activationCode: string, confirmationCode: string, lpaString: string }} ESIMData
+ * @typedef {{
+ *   smdpAddress: string,
+ *   activationCode: string,
+ *   confirmationCode: string,
+ *   smdpOid: string,
+ *   confirmationCodeRequired: boolean,
+ *   lpaString: string
+ * }} ESIMData
  * @typedef {{ success: true, data: ESIMData } | { success: false, error: string }} ParseResult
  */
 
 /**
  * Parse any supported eSIM input format into structured data.
+ *
+ * Models the SGP.22 Activation Code: `LPA:1$<smdp>$<token>[$<oid>[$<cc-flag>]]`.
+ * Install URLs (esimsetup.apple.com, carrier pages with ?lpa= etc.) are unwrapped first.
+ * Field 4 carries the SM-DP+ OID when it is a dotted OID; otherwise it is read as
+ * the non-standard confirmation code slot that many carriers use. Field 5 is the
+ * "confirmation code required" flag and must be "1" or empty.
  * @param {string} input
  * @returns {ParseResult}
  */
@@ -20,82 +35,160 @@ export function parse(input) {
   const clean = input.trim();
   if (!clean) return { success: false, error: 'Input cannot be empty' };
 
-  let smdpAddress, activationCode, confirmationCode = '';
+  // Apple/Android install links and carrier landing pages carry the code in the URL
+  if (isURL(clean)) {
+    const candidates = unwrapInstallURL(clean);
+    for (const candidate of candidates) {
+      const result = parse(candidate);
+      if (result.success) return result;
+    }
+    return {
+      success: false,
+      error: candidates.length
+        ? `URL contains an invalid activation code: "${candidates[0]}"`
+        : 'URL does not contain an eSIM activation code',
+    };
+  }
+
+  let fields;
 
   if (clean.toUpperCase().startsWith('LPA:')) {
-    const content = clean.substring(4);
-    const parts = content.split('$');
-    // parts[0] = version number (must be "1"), parts[1] = smdp, parts[2] = activation, parts[3] = confirmation
+    const parts = clean.substring(4).split('$');
+    // parts[0] = AC_Format (must be "1"), then smdp, token, oid/confirmation, cc-required flag
     if (parts.length < 3) {
       return { success: false, error: 'LPA format requires: LPA:1$<smdp-address>$<activation-code>' };
     }
-    smdpAddress = parts[1];
-    activationCode = parts[2];
-    confirmationCode = parts[3] || '';
+    if (parts[0] !== '1') {
+      return { success: false, error: `Unsupported activation code format "${parts[0]}" (expected "1")` };
+    }
+    fields = parts.slice(1);
   } else if (clean.includes('$')) {
     const parts = clean.split('$');
     if (parts[0] === '1') {
       if (parts.length < 3) {
         return { success: false, error: 'Format 1$<smdp>$<activation> requires at least 3 parts' };
       }
-      smdpAddress = parts[1];
-      activationCode = parts[2];
-      confirmationCode = parts[3] || '';
+      fields = parts.slice(1);
     } else {
-      smdpAddress = parts[0];
-      activationCode = parts[1];
-      confirmationCode = parts[2] || '';
+      fields = parts;
     }
   } else {
     return { success: false, error: 'Unrecognized format. Use: LPA:1$<smdp>$<code>, 1$<smdp>$<code>, or <smdp>$<code>' };
   }
 
-  smdpAddress = smdpAddress.trim();
-  activationCode = activationCode.trim();
-  confirmationCode = confirmationCode.trim();
+  if (fields.length > 4) {
+    return { success: false, error: `Too many fields: an activation code has at most 5, found ${fields.length + 1}` };
+  }
+
+  const [smdpAddress, activationCode, optional = '', ccFlag = ''] = fields.map(f => f.trim());
+  const smdpOid = validateOID(optional) ? optional : '';
+  return fromFields({ smdpAddress, activationCode, smdpOid, confirmationCode: smdpOid ? '' : optional, ccFlag });
+}
+
+/**
+ * Parse from separate form fields.
+ * @param {{
+ *   smdpAddress: string,
+ *   activationCode: string,
+ *   confirmationCode?: string,
+ *   smdpOid?: string,
+ *   confirmationCodeRequired?: boolean
+ * }} fields
+ * @returns {ParseResult}
+ */
+export function parseSeparated({ smdpAddress = '', activationCode = '', confirmationCode = '', smdpOid = '', confirmationCodeRequired = false }) {
+  const oid = smdpOid.trim();
+  if (oid && !validateOID(oid)) {
+    return { success: false, error: `Invalid SM-DP+ OID: "${oid}" (expected dotted numbers, e.g. 1.3.6.1.4.1.31746)` };
+  }
+  return fromFields({
+    smdpAddress: smdpAddress.trim(),
+    activationCode: activationCode.trim(),
+    smdpOid: oid,
+    confirmationCode: confirmationCode.trim(),
+    ccFlag: confirmationCodeRequired ? '1' : '',
+  });
+}
 
+/**
+ * Validate split activation code fields and build the result.
+ * @param {{ smdpAddress: string, activationCode: string, smdpOid: string, confirmationCode: string, ccFlag: string }} fields
+ * @returns {ParseResult}
+ */
+function fromFields({ smdpAddress, activationCode, smdpOid, confirmationCode, ccFlag }) {
   if (!validateSMDP(smdpAddress)) {
     return { success: false, error: `Invalid SM-DP+ address: "${smdpAddress}"` };
   }
   if (!validateActivationCode(activationCode)) {
     return { success: false, error: `Invalid activation code: "${activationCode}"` };
   }
+  if (ccFlag !== '' && ccFlag !== '1') {
+    return { success: false, error: `Invalid confirmation-code-required flag: "${ccFlag}" (expected "1" or empty)` };
+  }
+  if (smdpOid && confirmationCode) {
+    return { success: false, error: OID_WITH_CODE };
+  }
 
-  const data = { smdpAddress, activationCode, confirmationCode };
+  const data = { smdpAddress, activationCode, confirmationCode, smdpOid, confirmationCodeRequired: ccFlag === '1' };
   return { success: true, data: { ...data, lpaString: generateLPA(data) } };
 }
 
-/**
- * Parse from separate form fields.
- * @param {{ smdpAddress: string, activationCode: string, confirmationCode?: string }} fields
- * @returns {ParseResult}
- */
-export function parseSeparated({ smdpAddress = '', activationCode = '', confirmationCode = '' }) {
-  const input = confirmationCode
-    ? `${smdpAddress}$${activationCode}$${confirmationCode}`
-    : `${smdpAddress}$${activationCode}`;
-  return parse(input);
-}
+const OID_WITH_CODE = 'An activation code cannot carry both an SM-DP+ OID and a confirmation code: '
+  + 'field 4 holds one or the other. Leave the OID empty, or set "confirmation code required" '
+  + 'and enter the code on the device.';
 
 /**
  * Generate a GSMA-compliant LPA string.
- * @param {{ smdpAddress: string, activationCode: string, confirmationCode?: string }} data
+ * Trailing empty optional fields are omitted. Field 4 holds either the SM-DP+ OID
+ * or the confirmation code, never both.
+ * @param {{
+ *   smdpAddress: string,
+ *   activationCode: string,
+ *   confirmationCode?: string,
+ *   smdpOid?: string,
+ *   confirmationCodeRequired?: boolean
+ * }} data
  * @returns {string}
+ * @throws {Error} if both an OID and a confirmation code are given
  */
-export function generateLPA({ smdpAddress, activationCode, confirmationCode = '' }) {
-  return confirmationCode
-    ? `LPA:1$${smdpAddress}$${activationCode}$${confirmationCode}`
-    : `LPA:1$${smdpAddress}$${activationCode}`;
+export function generateLPA({ smdpAddress, activationCode, confirmationCode = '', smdpOid = '', confirmationCodeRequired = false }) {
+  if (smdpOid && confirmationCode) throw new Error(OID_WITH_CODE);
+  const fields = ['1', smdpAddress, activationCode, smdpOid || confirmationCode, confirmationCodeRequired ? '1' : ''];
+  while (fields.length > 3 && !fields[fields.length - 1]) fields.pop();
+  return `LPA:${fields.join('$')}`;
 }
 
+const DOMAIN_LABEL = '[\\p{L}\\p{N}](?:[\\p{L}\\p{N}\\p{M}-]{0,61}[\\p{L}\\p{N}\\p{M}])?';
+const DOMAIN_TLD = '(?:\\p{L}[\\p{L}\\p{M}]{1,62}|xn--[a-z0-9-]{1,59})';
+const DOMAIN_RE = new RegExp(`^(?:${DOMAIN_LABEL}\\.)+${DOMAIN_TLD}$`, 'iu');
+const IPV4_OCTET = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+const IPV4_RE = new RegExp(`^${IPV4_OCTET}(?:\\.${IPV4_OCTET}){3}$`);
+const IPV6_RE = /^\[[0-9a-f]*:[0-9a-f:.]*\]$/i;
+
 /**
- * Validate a SM-DP+ server address (domain name).
+ * Validate a SM-DP+ server address: a domain name (IDN allowed), an IPv4 literal
+ * or a bracketed IPv6 literal, optionally followed by `:port`.
  * @param {string} address
  * @returns {boolean}
  */
 export function validateSMDP(address) {
   if (!address || typeof address !== 'string') return false;
-  return /^[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?)*\.[a-zA-Z]{2,}$/.test(address.trim());
+  const match = address.trim().match(/^(.+?)(?::(\d{1,5}))?$/);
+  if (!match) return false;
+  const [, host, port] = match;
+  if (port !== undefined && (Number(port) < 1 || Number(port) > 65535)) return false;
+  if (host.length > 253) return false;
+  return DOMAIN_RE.test(host) || IPV4_RE.test(host) || IPV6_RE.test(host);
+}
+
+/**
+ * Validate a SM-DP+ object identifier (dotted decimal, e.g. 1.3.6.1.4.1.31746).
+ * @param {string} oid
+ * @returns {boolean}
+ */
+export function validateOID(oid) {
+  if (!oid || typeof oid !== 'string') return false;
+  return /^[0-2](\.(0|[1-9]\d*))+$/.test(oid.trim());
 }
 
 /**
@@ -108,60 +201,161 @@ export function validateActivationCode(code) {
   return /^[A-Z0-9][A-Z0-9\-]{6,}[A-Z0-9]$/i.test(code.trim());
 }
 
+/**
+ * @typedef {{ candidate: string, confidence?: number, problem?: string }} RepairProposal
+ * @typedef {{
+ *   id: string,
+ *   description: string,
+ *   confidence: number,
+ *   apply: (input: string) => string | RepairProposal | Array<string | RepairProposal> | null
+ * }} RepairRule
+ * @typedef {{ ruleId: string, fixed: string, data: ESIMData, problem: string | null, confidence: number }} RepairCandidate
+ * @typedef {{ success: boolean, fixed?: string, problem: string | null, candidates: RepairCandidate[] }} RepairResult
+ */
+
+/** Registered repair rules, in registration order. @type {RepairRule[]} */
+const repairRules = [];
+
+/**
+ * Register a repair rule. Rules receive the trimmed raw input and return candidate
+ * LPA strings; candidates that parse are ranked by confidence (0–1). A proposal's own
+ * confidence overrides the rule's, which lets one rule rank several guesses.
+ * @param {RepairRule} rule
+ * @throws {Error} if the rule is malformed or its id is already registered
+ */
+export function registerRepairRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id || typeof rule.apply !== 'function') {
+    throw new Error('Repair rule requires an id and an apply() function');
+  }
+  if (!(rule.confidence >= 0 && rule.confidence <= 1)) {
+    throw new Error(`Repair rule "${rule.id}" confidence must be between 0 and 1`);
+  }
+  if (repairRules.some(r => r.id === rule.id)) {
+    throw new Error(`Repair rule "${rule.id}" is already registered`);
+  }
+  repairRules.push({ description: '', ...rule });
+}
+
+/**
+ * Remove a registered repair rule.
+ * @param {string} id
+ * @returns {boolean} true if a rule was removed
+ */
+export function unregisterRepairRule(id) {
+  const index = repairRules.findIndex(r => r.id === id);
+  if (index === -1) return false;
+  repairRules.splice(index, 1);
+  return true;
+}
+
+/**
+ * List registered repair rules.
+ * @returns {{ id: string, description: string, confidence: number }[]}
+ */
+export function listRepairRules() {
+  return repairRules.map(({ id, description, confidence }) => ({ id, description, confidence }));
+}
+
 /**
  * Attempt to repair a non-standard or malformed LPA string.
+ * Runs every registered rule and returns all candidates that parse, best first.
+ * `fixed` and `problem` describe the top candidate.
  * @param {string} raw
- * @returns {{ success: boolean, fixed?: string, problem: string | null }}
+ * @returns {RepairResult}
  */
 export function repair(raw) {
   if (!raw || typeof raw !== 'string') {
-    return { success: false, problem: 'Input is empty or not a string' };
+    return { success: false, problem: 'Input is empty or not a string', candidates: [] };
   }
-  const clean = raw.trim();
+  const trimmed = raw.trim();
 
   // Already valid — no repair needed
-  const check = parse(clean);
-  if (check.success) return { success: true, fixed: check.data.lpaString, problem: null };
-
-  // Case 1: Has $ separator, missing LPA: prefix
-  if (!clean.toUpperCase().startsWith('LPA:') && clean.includes('$')) {
-    const parts = clean.split('$');
-    const candidate = parts[0] === '1' ? `LPA:${clean}` : `LPA:1$${clean}`;
-    const result = parse(candidate);
-    if (result.success) {
-      return {
-        success: true,
-        fixed: result.data.lpaString,
-        problem: parts[0] === '1' ? 'Missing LPA: prefix' : 'Missing LPA: prefix and version number'
-      };
-    }
+  const check = parse(trimmed);
+  if (check.success) {
+    const candidate = { ruleId: 'valid', fixed: check.data.lpaString, data: check.data, problem: null, confidence: 1 };
+    return { success: true, fixed: candidate.fixed, problem: null, candidates: [candidate] };
   }
 
-  // Case 2: Has LPA: but missing version number 1$
-  if (clean.toUpperCase().startsWith('LPA:') && !clean.startsWith('LPA:1$')) {
-    const content = clean.substring(4);
-    const candidate = `LPA:1$${content}`;
-    const result = parse(candidate);
-    if (result.success) {
-      return { success: true, fixed: result.data.lpaString, problem: 'Missing version number "1$"' };
-    }
-  }
+  // Repair the code carried inside an install URL rather than the URL itself
+  const clean = isURL(trimmed) ? (unwrapInstallURL(trimmed)[0] ?? trimmed) : trimmed;
 
-  // Case 3: Messy format — try to extract domain and activation code tokens
-  const stripped = clean.replace(/^LPA:/i, '').replace(/^1\$/, '');
-  const tokens = stripped.split(/[$\s,|;]+/).filter(Boolean);
-  const domain = tokens.find(t => /^[a-zA-Z0-9]([a-zA-Z0-9.-]{0,61})\.[a-zA-Z]{2,}$/.test(t));
-  const activation = tokens.find(t => /^[A-Z0-9][A-Z0-9\-]{6,}[A-Z0-9]$/i.test(t) && !t.includes('.'));
-  if (domain && activation) {
-    const confirmation = tokens.find(t => t !== domain && t !== activation && t !== '1');
-    const candidate = confirmation
-      ? `LPA:1$${domain}$${activation}$${confirmation}`
-      : `LPA:1$${domain}$${activation}`;
-    const result = parse(candidate);
-    if (result.success) {
-      return { success: true, fixed: result.data.lpaString, problem: 'Reorganized malformed format' };
+  /** @type {Map<string, RepairCandidate>} */
+  const byFixed = new Map();
+  for (const rule of repairRules) {
+    let proposals;
+    try {
+      proposals = rule.apply(clean);
+    } catch {
+      continue; // a broken custom rule must not break repair
+    }
+    for (const proposal of [].concat(proposals ?? [])) {
+      const { candidate, confidence = rule.confidence, problem = rule.description } =
+        typeof proposal === 'string' ? { candidate: proposal } : proposal;
+      const result = parse(candidate);
+      if (!result.success) continue;
+      const existing = byFixed.get(result.data.lpaString);
+      if (existing && existing.confidence >= confidence) continue;
+      byFixed.set(result.data.lpaString, { ruleId: rule.id, fixed: result.data.lpaString, data: result.data, problem, confidence });
     }
   }
 
-  return { success: false, problem: 'Cannot extract valid eSIM data from this content' };
+  // Stable sort keeps registration order among equal confidences
+  const candidates = [...byFixed.values()].sort((a, b) => b.confidence - a.confidence);
+  if (candidates.length === 0) {
+    return { success: false, problem: 'Cannot extract valid eSIM data from this content', candidates };
+  }
+  return { success: true, fixed: candidates[0].fixed, problem: candidates[0].problem, candidates };
 }
+
+// ─── Built-in repair rules ──────────────────────────────────────────────────
+
+registerRepairRule({
+  id: 'missing-prefix',
+  description: 'Missing LPA: prefix',
+  confidence: 0.95,
+  apply(input) {
+    if (input.toUpperCase().startsWith('LPA:') || !input.includes('$')) return null;
+    return input.split('$')[0] === '1'
+      ? { candidate: `LPA:${input}`, problem: 'Missing LPA: prefix' }
+      : { candidate: `LPA:1$${input}`, problem: 'Missing LPA: prefix and version number' };
+  },
+});
+
+registerRepairRule({
+  id: 'missing-version',
+  description: 'Missing version number "1$"',
+  confidence: 0.9,
+  apply(input) {
+    if (!input.toUpperCase().startsWith('LPA:') || input.startsWith('LPA:1$')) return null;
+    return `LPA:1$${input.substring(4)}`;
+  },
+});
+
+registerRepairRule({
+  id: 'token-reorder',
+  description: 'Reorganized malformed format',
+  confidence: 0.5,
+  apply(input) {
+    // Messy format — extract domain and activation code tokens, then guess the confirmation code
+    const stripped = input.replace(/^LPA:/i, '').replace(/^1\$/, '');
+    const tokens = stripped.split(/[$\s,|;]+/).filter(Boolean);
+    const domain = tokens.find(t => validateSMDP(t));
+    if (!domain) return null;
+    const activations = tokens.filter(t => t !== domain && !t.includes('.') && validateActivationCode(t)).slice(0, 3);
+
+    const proposals = [];
+    activations.forEach((activation, ai) => {
+      const rest = tokens.filter(t => t !== domain && t !== activation && t !== '1').slice(0, 5);
+      const base = this.confidence * 0.8 ** ai;
+      rest.forEach((confirmation, ci) => proposals.push({
+        candidate: `LPA:1$${domain}$${activation}$${confirmation}`,
+        confidence: base * 0.8 ** ci,
+      }));
+      proposals.push({
+        candidate: `LPA:1$${domain}$${activation}`,
+        confidence: rest.length ? base * 0.6 : base,
+      });
+    });
+    return proposals;
+  },
+});
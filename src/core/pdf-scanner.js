@@ -0,0 +1,163 @@
+/**
+ * eSIM vouchers delivered as PDF.
+ * Every page is rendered locally with pdf.js and scanned for QR codes, and its
+ * text is searched for LPA strings. pdf.js is only loaded once a PDF is opened,
+ * and the file never leaves the browser.
+ */
+
+import { scanImageData } from './qr-scanner.js';
+import { extract } from './extractor.js';
+
+/** Copied next to app.js by build.js so the strict CSP allows them. */
+const PDFJS_URL = '/pdf.js';
+const PDFJS_WORKER_URL = '/pdf.worker.js';
+
+const MAX_PDF_BYTES = 20 * 1024 * 1024;
+/** Pages scanned per file; vouchers are short, so anything longer is cut off with a note. */
+export const MAX_PDF_PAGES = 30;
+/** Pages are rendered so their longer side is about this many pixels. */
+const RENDER_SIZE = 2048;
+const MAX_RENDER_SCALE = 4;
+
+let library = null;
+
+/**
+ * @typedef {{
+ *   page: number,
+ *   qr: import('./qr-scanner.js').ScanReport | null,
+ *   text: import('./parser.js').ESIMData[],
+ *   error: string | null
+ * }} PageResult - qr is null when no code was found on the page
+ * @typedef {{ pages: PageResult[], pageCount: number, truncated: boolean }} PdfScanResult
+ * @typedef {{ width: number, height: number }} PageSize - in PDF points at scale 1
+ */
+
+/**
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isPdfFile(file) {
+  return file.type === 'application/pdf' || /\.pdf$/i.test(file.name);
+}
+
+/**
+ * Scan every page of a PDF for QR codes and LPA strings in the text.
+ * A page that fails to render or read is reported with an error; the other pages are still scanned.
+ * @param {File} file
+ * @param {{
+ *   onProgress?: (page: number, total: number) => void,
+ *   loadLibrary?: () => Promise<any>,
+ *   renderPage?: (page: any, scale: number) => Promise<import('./qr-scanner.js').Pixels>
+ * }} [options] - loadLibrary and renderPage default to the browser pdf.js bundle and a canvas
+ * @returns {Promise<PdfScanResult>}
+ * @throws {Error} if the file is not a readable PDF
+ */
+export async function scanPdf(file, { onProgress, loadLibrary = loadPdfjs, renderPage = renderPageToPixels } = {}) {
+  if (!isPdfFile(file)) throw new Error('File must be a PDF.');
+  if (file.size > MAX_PDF_BYTES) throw new Error('PDF too large. Maximum 20MB.');
+
+  const pdfjs = await loadLibrary();
+  let doc;
+  try {
+    // Eval stays off: the CSP forbids it and pdf.js falls back to safe font loading.
+    // Console warnings (e.g. missing standard font data) are silenced; they do not affect scanning.
+    doc = await pdfjs.getDocument({
+      data: new Uint8Array(await file.arrayBuffer()),
+      isEvalSupported: false,
+      verbosity: pdfjs.VerbosityLevel.ERRORS,
+    }).promise;
+  } catch (err) {
+    if (err?.name === 'PasswordException') {
+      throw new Error('This PDF is password-protected. Save an unprotected copy and try again.');
+    }
+    throw new Error('Failed to read PDF. The file may be damaged.');
+  }
+
+  try {
+    const total = Math.min(doc.numPages, MAX_PDF_PAGES);
+    const pages = [];
+    for (let number = 1; number <= total; number++) {
+      onProgress?.(number, total);
+      pages.push(await scanPage(await doc.getPage(number), renderPage));
+    }
+    return { pages, pageCount: doc.numPages, truncated: doc.numPages > total };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Join a pdf.js text layer into plain text, keeping line breaks.
+ * @param {{ items: { str?: string, hasEOL?: boolean }[] }} textContent
+ * @returns {string}
+ */
+export function pageText(textContent) {
+  return textContent.items.map(item => (item.str ?? '') + (item.hasEOL ? '\n' : '')).join('');
+}
+
+/**
+ * Render scale that brings a page to about RENDER_SIZE pixels on its longer side.
+ * @param {PageSize} size
+ * @returns {number}
+ */
+export function renderScale(size) {
+  return Math.min(MAX_RENDER_SCALE, RENDER_SIZE / Math.max(size.width, size.height));
+}
+
+/**
+ * @param {any} page - pdf.js PDFPageProxy
+ * @param {(page: any, scale: number) => Promise<import('./qr-scanner.js').Pixels>} renderPage
+ * @returns {Promise<PageResult>}
+ */
+async function scanPage(page, renderPage) {
+  const result = { page: page.pageNumber, qr: null, text: [], error: null };
+  const errors = [];
+  try {
+    result.text = extract(pageText(await page.getTextContent()));
+  } catch (err) {
+    errors.push(`text: ${err.message}`);
+  }
+  try {
+    result.qr = scanImageData(await renderPage(page, renderScale(page.getViewport({ scale: 1 }))));
+  } catch (err) {
+    errors.push(`image: ${err.message}`);
+  }
+  page.cleanup();
+  if (errors.length) result.error = errors.join('; ');
+  return result;
+}
+
+/**
+ * Render a page onto a white canvas and read its pixels.
+ * @param {any} page - pdf.js PDFPageProxy
+ * @param {number} scale
+ * @returns {Promise<ImageData>}
+ */
+async function renderPageToPixels(page, scale) {
+  const viewport = page.getViewport({ scale });
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: ctx, viewport }).promise;
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Load the pdf.js bundle on first use.
+ * @returns {Promise<any>}
+ */
+function loadPdfjs() {
+  library ??= import(PDFJS_URL)
+    .then(pdfjs => {
+      pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+      return pdfjs;
+    })
+    .catch(() => {
+      library = null;
+      throw new Error('The PDF reader could not be loaded. Reload the page and try again.');
+    });
+  return library;
+}
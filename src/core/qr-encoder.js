@@ -0,0 +1,495 @@
+/**
+ * QR Code Model 2 encoder (ISO/IEC 18004), bundled so generation needs no network.
+ * Picks numeric / alphanumeric / byte segments per character to minimise the
+ * symbol size, so uppercase LPA strings use compact alphanumeric mode.
+ */
+
+/** @typedef {'L' | 'M' | 'Q' | 'H'} ECCLevel */
+/** @typedef {'numeric' | 'alphanumeric' | 'byte'} SegmentMode */
+/**
+ * @typedef {{
+ *   version: number,
+ *   size: number,
+ *   level: ECCLevel,
+ *   mask: number,
+ *   modules: boolean[][],
+ *   segments: { mode: SegmentMode, text: string }[]
+ * }} QRMatrix
+ */
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const MODES = {
+  numeric: { indicator: 0x1, countBits: [10, 12, 14] },
+  alphanumeric: { indicator: 0x2, countBits: [9, 11, 13] },
+  byte: { indicator: 0x4, countBits: [8, 16, 16] },
+};
+const MODE_NAMES = ['byte', 'alphanumeric', 'numeric'];
+
+/** Format-information bits per level (not in L-M-Q-H order). */
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Indexed by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+const NUM_ERROR_CORRECTION_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+/**
+ * Encode text into a QR module matrix.
+ * Uses the smallest version >= minVersion that fits at the requested level.
+ * @param {string} text
+ * @param {{ level?: ECCLevel, minVersion?: number, mask?: number }} [options] - mask -1 picks the lowest-penalty mask
+ * @returns {QRMatrix}
+ * @throws {Error} on invalid options or if the text does not fit in version 40
+ */
+export function encode(text, { level = 'M', minVersion = MIN_VERSION, mask = -1 } = {}) {
+  if (typeof text !== 'string') throw new Error('QR payload must be a string');
+  if (!(level in FORMAT_BITS)) throw new Error(`Invalid error correction level "${level}"`);
+  if (!Number.isInteger(minVersion) || minVersion < MIN_VERSION || minVersion > MAX_VERSION) {
+    throw new Error(`minVersion must be an integer from ${MIN_VERSION} to ${MAX_VERSION}`);
+  }
+  if (!Number.isInteger(mask) || mask < -1 || mask > 7) throw new Error('mask must be -1 (auto) or 0–7');
+
+  const chars = Array.from(text);
+  let version, segments, bits;
+  for (version = minVersion; ; version++) {
+    const capacity = getNumDataCodewords(version, level) * 8;
+    segments = makeSegments(chars, version);
+    bits = getTotalBits(segments, version);
+    if (bits !== null && bits <= capacity) break;
+    if (version >= MAX_VERSION) {
+      throw new Error(`Data too long for a QR code at error correction level ${level}`);
+    }
+  }
+
+  const dataCodewords = buildDataCodewords(segments, version, level);
+  const allCodewords = addEccAndInterleave(dataCodewords, version, level);
+  const matrix = buildMatrix(version, level, allCodewords, mask);
+  return {
+    ...matrix,
+    level,
+    segments: segments.map(s => ({ mode: s.mode, text: s.chars.join('') })),
+  };
+}
+
+// ─── Segmentation ───────────────────────────────────────────────────────────
+
+/**
+ * Split characters into mode segments with the fewest total bits for this version,
+ * by dynamic programming over (character, current mode).
+ * @param {string[]} chars - code points
+ * @param {number} version
+ * @returns {{ mode: SegmentMode, chars: string[] }[]}
+ */
+function makeSegments(chars, version) {
+  if (chars.length === 0) return [];
+  const range = versionRange(version);
+  // Costs are in sixths of a bit so numeric (10/3) and alphanumeric (11/2) stay integral
+  const headCosts = MODE_NAMES.map(m => (4 + MODES[m].countBits[range]) * 6);
+  let prevCosts = headCosts.slice();
+  const charModes = [];
+
+  for (const c of chars) {
+    const modes = [null, null, null];
+    const costs = [0, 0, 0];
+    costs[0] = prevCosts[0] + utf8Length(c) * 8 * 6;
+    modes[0] = 'byte';
+    if (ALPHANUMERIC_CHARSET.includes(c)) {
+      costs[1] = prevCosts[1] + 33;
+      modes[1] = 'alphanumeric';
+    }
+    if (c >= '0' && c <= '9') {
+      costs[2] = prevCosts[2] + 20;
+      modes[2] = 'numeric';
+    }
+    // Switching mode after this character ends the segment (round up) and pays a new header
+    for (let j = 0; j < 3; j++) {
+      for (let k = 0; k < 3; k++) {
+        const cost = Math.ceil(costs[k] / 6) * 6 + headCosts[j];
+        if (modes[k] !== null && k !== j && (modes[j] === null || cost < costs[j])) {
+          costs[j] = cost;
+          modes[j] = MODE_NAMES[k];
+        }
+      }
+    }
+    charModes.push(modes);
+    prevCosts = costs;
+  }
+
+  let state = MODE_NAMES[prevCosts.indexOf(Math.min(...prevCosts))];
+  const perChar = [];
+  for (let i = charModes.length - 1; i >= 0; i--) {
+    state = charModes[i][MODE_NAMES.indexOf(state)];
+    perChar.push(state);
+  }
+  perChar.reverse();
+
+  const segments = [];
+  perChar.forEach((mode, i) => {
+    const last = segments[segments.length - 1];
+    if (last && last.mode === mode) last.chars.push(chars[i]);
+    else segments.push({ mode, chars: [chars[i]] });
+  });
+  return segments;
+}
+
+/**
+ * @param {{ mode: SegmentMode, chars: string[] }[]} segments
+ * @param {number} version
+ * @returns {number | null} null if a segment's length overflows its count field
+ */
+function getTotalBits(segments, version) {
+  let total = 0;
+  for (const seg of segments) {
+    const countBits = MODES[seg.mode].countBits[versionRange(version)];
+    const count = segmentCount(seg);
+    if (count >= 2 ** countBits) return null;
+    total += 4 + countBits + segmentDataBits(seg);
+  }
+  return total;
+}
+
+function segmentCount(seg) {
+  return seg.mode === 'byte' ? seg.chars.reduce((n, c) => n + utf8Length(c), 0) : seg.chars.length;
+}
+
+function segmentDataBits(seg) {
+  const n = seg.chars.length;
+  if (seg.mode === 'numeric') return Math.floor(n / 3) * 10 + [0, 4, 7][n % 3];
+  if (seg.mode === 'alphanumeric') return Math.floor(n / 2) * 11 + (n % 2) * 6;
+  return segmentCount(seg) * 8;
+}
+
+// ─── Codewords ──────────────────────────────────────────────────────────────
+
+/**
+ * Serialise segments and pad to the version's data capacity.
+ * @returns {number[]}
+ */
+function buildDataCodewords(segments, version, level) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  for (const seg of segments) {
+    push(MODES[seg.mode].indicator, 4);
+    push(segmentCount(seg), MODES[seg.mode].countBits[versionRange(version)]);
+    if (seg.mode === 'numeric') {
+      for (let i = 0; i < seg.chars.length; i += 3) {
+        const group = seg.chars.slice(i, i + 3).join('');
+        push(Number(group), group.length * 3 + 1);
+      }
+    } else if (seg.mode === 'alphanumeric') {
+      for (let i = 0; i < seg.chars.length; i += 2) {
+        const a = ALPHANUMERIC_CHARSET.indexOf(seg.chars[i]);
+        if (i + 1 < seg.chars.length) push(a * 45 + ALPHANUMERIC_CHARSET.indexOf(seg.chars[i + 1]), 11);
+        else push(a, 6);
+      }
+    } else {
+      for (const b of new TextEncoder().encode(seg.chars.join(''))) push(b, 8);
+    }
+  }
+
+  const capacity = getNumDataCodewords(version, level) * 8;
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/**
+ * Split data into blocks, append Reed-Solomon ECC to each, and interleave.
+ * @returns {number[]}
+ */
+function addEccAndInterleave(data, version, level) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = reedSolomonRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0); // placeholder, skipped when interleaving
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree - 1).fill(0);
+  result.push(1);
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  }
+  return result;
+}
+
+/** Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1. */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+// ─── Matrix ─────────────────────────────────────────────────────────────────
+
+/**
+ * Draw function patterns and codewords, then apply the chosen (or best) mask.
+ * @returns {{ version: number, size: number, mask: number, modules: boolean[][] }}
+ */
+function buildMatrix(version, level, codewords, fixedMask) {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { modules[y][x] = dark; isFunction[y][x] = true; };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  // Finder patterns with separators
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  // Alignment patterns, except where they would overlap finders
+  const positions = alignmentPositions(version);
+  const n = positions.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(positions[i] + dx, positions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+  drawFormatBits(level, 0, size, set); // reserve the area; redrawn once the mask is known
+  drawVersionBits(version, size, set);
+
+  drawCodewords(codewords, size, modules, isFunction);
+
+  let mask = fixedMask;
+  if (mask === -1) {
+    let minPenalty = Infinity;
+    for (let m = 0; m < 8; m++) {
+      applyMask(m, size, modules, isFunction);
+      drawFormatBits(level, m, size, set);
+      const penalty = getPenalty(modules, size);
+      if (penalty < minPenalty) { minPenalty = penalty; mask = m; }
+      applyMask(m, size, modules, isFunction); // XOR again to undo
+    }
+  }
+  applyMask(mask, size, modules, isFunction);
+  drawFormatBits(level, mask, size, set);
+
+  return { version, size, mask, modules };
+}
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function drawFormatBits(level, mask, size, set) {
+  const data = (FORMAT_BITS[level] << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+  // First copy, around the top-left finder
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+  // Second copy, split between the other two finders
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true); // always-dark module
+}
+
+function drawVersionBits(version, size, set) {
+  if (version < 7) return;
+  let rem = version;
+  for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+  const bits = (version << 12) | rem;
+  for (let i = 0; i < 18; i++) {
+    const dark = ((bits >>> i) & 1) !== 0;
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    set(a, b, dark);
+    set(b, a, dark);
+  }
+}
+
+/** Place codeword bits in the zigzag column-pair order, skipping function modules. */
+function drawCodewords(codewords, size, modules, isFunction) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing column
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+function applyMask(mask, size, modules, isFunction) {
+  const invert = MASKS[mask];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && invert(x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+/** Mask penalty score (ISO/IEC 18004 §7.8.3). Lower is better. */
+function getPenalty(modules, size) {
+  let penalty = 0;
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map(row => row[i]));
+  }
+
+  for (const line of lines) {
+    // Rule 1: runs of five or more same-coloured modules
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) { run++; continue; }
+      if (run >= 5) penalty += run - 2;
+      run = 1;
+    }
+    // Rule 3: finder-like 1:1:3:1:1 patterns next to four light modules
+    for (let i = 0; i + 11 <= size; i++) {
+      if (FINDER_LIKE.some(p => p.every((v, k) => line[i + k] === v))) penalty += 40;
+    }
+  }
+
+  // Rule 2: 2×2 blocks of one colour
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+  }
+
+  // Rule 4: balance of dark and light modules
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  return penalty + Math.max(0, k) * 10;
+}
+
+// ─── Capacity helpers ───────────────────────────────────────────────────────
+
+function versionRange(version) {
+  return version <= 9 ? 0 : version <= 26 ? 1 : 2;
+}
+
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, level) {
+  return Math.floor(getNumRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[level][version] * NUM_ERROR_CORRECTION_BLOCKS[level][version];
+}
+
+function utf8Length(c) {
+  const cp = c.codePointAt(0);
+  return cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+}
@@ -1,26 +1,298 @@
 /**
- * QR code generation using QRious (CDN-loaded).
- * No fake/placeholder fallback — fails clearly if library unavailable.
+ * QR code generation using the bundled encoder (no network access needed).
+ * Renders to a canvas the same way QRious did: black modules on white,
+ * scaled to whole pixels and centred. SVG and PDF exports are vector, with the
+ * standard 4-module quiet zone, so they stay sharp at any print size.
+ * Optional styling (colours, quiet zone, rounded modules, centre logo) is
+ * validated up front; styles a phone camera is unlikely to read are refused.
  */
 
+import { encode } from './qr-encoder.js';
+
+/** Light border, in modules, around vector exports (ISO/IEC 18004 minimum); never less there. */
+const QUIET_ZONE = 4;
+const MAX_QUIET_ZONE = 16;
+
+/** Minimum foreground/background contrast (WCAG ratio) for a styled code. */
+export const MIN_CONTRAST_RATIO = 4.5;
+
+/** Logo side as a fraction of the symbol width; H recovers up to 30% of codewords. */
+const LOGO_SCALE = 0.22;
+/** Longest side of the logo embedded in a PDF, in pixels. */
+const MAX_LOGO_PIXELS = 512;
+/** Corner radius of rounded modules, in modules. */
+const ROUND_RADIUS = 0.35;
+// Bezier control-point offset approximating a quarter circle
+const KAPPA = 0.5523;
+
+/**
+ * @typedef {{
+ *   size?: number,
+ *   level?: 'L'|'M'|'Q'|'H',
+ *   minVersion?: number,
+ *   foreground?: string,
+ *   background?: string,
+ *   quietZone?: number,
+ *   moduleShape?: 'square' | 'rounded',
+ *   logo?: HTMLImageElement | null
+ * }} QROptions
+ * @typedef {Required<Omit<QROptions, 'logo'>> & { logo: HTMLImageElement | null }} QRStyle
+ */
+
+/**
+ * The app's starting style: plain black on white, with no quiet zone on the
+ * canvas (the page around it is light). Vector exports still get QUIET_ZONE.
+ * @type {Readonly<QROptions>}
+ */
+export const DEFAULT_QR_OPTIONS = Object.freeze({
+  size: 300, level: 'M', foreground: '#000000', background: '#ffffff', quietZone: 0, moduleShape: 'square', logo: null,
+});
+
+/**
+ * Fill in defaults and refuse styles that would not scan reliably.
+ * A logo always forces error correction level H.
+ * @param {QROptions} options
+ * @param {number} [defaultQuietZone] - quiet zone when none is given
+ * @returns {QRStyle}
+ * @throws {Error} describing the first rejected setting
+ */
+export function resolveStyle(options = {}, defaultQuietZone = 0) {
+  const {
+    size = 300, level = 'M', minVersion = 1,
+    foreground = '#000000', background = '#ffffff',
+    quietZone = defaultQuietZone, moduleShape = 'square', logo = null,
+  } = options;
+
+  const fg = parseHexColor(foreground);
+  const bg = parseHexColor(background);
+  if (!fg) throw new Error(`Invalid foreground colour "${foreground}" (use #rgb or #rrggbb)`);
+  if (!bg) throw new Error(`Invalid background colour "${background}" (use #rgb or #rrggbb)`);
+  if (luminance(fg) >= luminance(bg)) {
+    throw new Error('The foreground must be darker than the background; many cameras cannot read inverted codes');
+  }
+  const ratio = contrastRatio(foreground, background);
+  if (ratio < MIN_CONTRAST_RATIO) {
+    throw new Error(`Colour contrast ${ratio.toFixed(1)}:1 is too low to scan reliably (minimum ${MIN_CONTRAST_RATIO}:1)`);
+  }
+  if (!Number.isInteger(quietZone) || quietZone < 0 || quietZone > MAX_QUIET_ZONE) {
+    throw new Error(`Quiet zone must be a whole number of modules from 0 to ${MAX_QUIET_ZONE}`);
+  }
+  if (moduleShape !== 'square' && moduleShape !== 'rounded') {
+    throw new Error(`Unknown module shape "${moduleShape}"`);
+  }
+
+  return {
+    size, minVersion, foreground, background, quietZone, moduleShape, logo,
+    level: logo ? 'H' : level,
+  };
+}
+
 /**
- * @typedef {{ size?: number, level?: 'L'|'M'|'Q'|'H' }} QROptions
+ * WCAG contrast ratio between two hex colours (1–21).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
  */
+export function contrastRatio(a, b) {
+  const la = luminance(parseHexColor(a));
+  const lb = luminance(parseHexColor(b));
+  return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+}
 
 /**
  * Generate a QR code canvas for the given LPA string.
- * Requires window.QRious to be loaded before calling.
+ * Without a quiet zone the symbol fills the canvas, as QRious drew it.
  * @param {string} lpaString
  * @param {QROptions} options
  * @returns {HTMLCanvasElement}
- * @throws {Error} if QRious is not available
+ * @throws {Error} if the data does not fit in a QR code or the style is refused
  */
-export function generate(lpaString, { size = 300, level = 'M' } = {}) {
-  if (!window.QRious) {
-    throw new Error('QR library not loaded. Please refresh the page and try again.');
+export function generate(lpaString, options = {}) {
+  const style = resolveStyle(options);
+  const { size } = style;
+  const qr = encode(lpaString, { level: style.level, minVersion: style.minVersion });
+  const modules = visibleModules(qr.modules, style);
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+
+  const ctx = canvas.getContext('2d');
+  const total = qr.size + style.quietZone * 2;
+  const moduleSize = Math.max(1, Math.floor(size / total));
+  const offset = Math.max(0, Math.floor((size - moduleSize * qr.size) / 2));
+  ctx.fillStyle = style.background;
+  ctx.fillRect(0, 0, size, size);
+  ctx.fillStyle = style.foreground;
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (!modules[y][x]) continue;
+      const px = offset + x * moduleSize;
+      const py = offset + y * moduleSize;
+      if (style.moduleShape === 'rounded' && !isFinderModule(x, y, qr.size)) {
+        ctx.beginPath();
+        ctx.roundRect(px, py, moduleSize, moduleSize, moduleSize * ROUND_RADIUS);
+        ctx.fill();
+      } else {
+        ctx.fillRect(px, py, moduleSize, moduleSize);
+      }
+    }
+  }
+
+  if (style.logo) {
+    const box = logoBox(qr.size);
+    const fit = fitLogo(style.logo, box.size);
+    ctx.drawImage(style.logo,
+      offset + (box.start + fit.x) * moduleSize, offset + (box.start + fit.y) * moduleSize,
+      fit.width * moduleSize, fit.height * moduleSize);
   }
-  const qr = new window.QRious({ value: lpaString, size, level });
-  return qr.canvas;
+  return canvas;
+}
+
+/**
+ * Style for SVG and PDF files, which leave the screen and get printed or placed
+ * anywhere: a smaller quiet zone than the standard one is widened to it.
+ * @param {QROptions} options
+ * @returns {QRStyle}
+ */
+function vectorStyle(options) {
+  const style = resolveStyle(options, QUIET_ZONE);
+  return { ...style, quietZone: Math.max(style.quietZone, QUIET_ZONE) };
+}
+
+/**
+ * Render a QR code as a standalone SVG document.
+ * `size` sets the nominal width/height in pixels; the drawing is resolution-independent.
+ * @param {string} lpaString
+ * @param {QROptions} options
+ * @returns {string}
+ * @throws {Error} if the data does not fit in a QR code or the style is refused
+ */
+export function toSVG(lpaString, options = {}) {
+  const style = vectorStyle(options);
+  const qr = encode(lpaString, { level: style.level, minVersion: style.minVersion });
+  const q = style.quietZone;
+  const total = qr.size + q * 2;
+  const { squares, rounded } = splitShapes(visibleModules(qr.modules, style), style);
+
+  const path = squares
+    .map(({ x, y, width }) => `M${x + q} ${y + q}h${width}v1h-${width}z`)
+    .concat(rounded.map(({ x, y }) => roundedSVGPath(x + q, y + q)))
+    .join('');
+
+  let logo = '';
+  if (style.logo) {
+    const box = logoBox(qr.size);
+    const fit = fitLogo(style.logo, box.size);
+    logo = `<image href="${escapeAttribute(style.logo.src)}" x="${formatNumber(q + box.start + fit.x)}" y="${formatNumber(q + box.start + fit.y)}"`
+      + ` width="${formatNumber(fit.width)}" height="${formatNumber(fit.height)}"/>`;
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${style.size}" height="${style.size}" viewBox="0 0 ${total} ${total}"${style.moduleShape === 'square' ? ' shape-rendering="crispEdges"' : ''}>`
+    + `<rect width="${total}" height="${total}" fill="${style.background}"/>`
+    + `<path d="${path}" fill="${style.foreground}"/>`
+    + logo
+    + '</svg>\n';
+}
+
+/**
+ * Render a QR code as a single-page vector PDF.
+ * The page is `size` points square (1pt = 1/72in), e.g. 300 → 4.17in.
+ * A logo is embedded as a JPEG flattened onto the background colour.
+ * @param {string} lpaString
+ * @param {QROptions} options
+ * @returns {Uint8Array}
+ * @throws {Error} if the data does not fit in a QR code or the style is refused
+ */
+export function toPDF(lpaString, options = {}) {
+  const style = vectorStyle(options);
+  const { size } = style;
+  const qr = encode(lpaString, { level: style.level, minVersion: style.minVersion });
+  const q = style.quietZone;
+  const scale = size / (qr.size + q * 2);
+  const { squares, rounded } = splitShapes(visibleModules(qr.modules, style), style);
+
+  const shapes = squares
+    .map(({ x, y, width }) => `${x + q} ${y + q} ${width} 1 re`)
+    .concat(rounded.map(({ x, y }) => roundedPDFPath(x + q, y + q)));
+  // Flip the y axis and scale so shapes are in module units from the top-left
+  const content = [
+    'q', `${pdfColor(style.background)} rg`, `0 0 ${size} ${size} re f`,
+    `${formatNumber(scale)} 0 0 ${formatNumber(-scale)} 0 ${size} cm`,
+    `${pdfColor(style.foreground)} rg`, ...shapes, 'f', 'Q',
+  ];
+
+  let logo = null;
+  if (style.logo) {
+    const box = logoBox(qr.size);
+    const fit = fitLogo(style.logo, box.size);
+    logo = logoJPEG(style.logo, style.background);
+    const x = (q + box.start + fit.x) * scale;
+    const y = size - (q + box.start + fit.y + fit.height) * scale;
+    content.push('q', `${formatNumber(fit.width * scale)} 0 0 ${formatNumber(fit.height * scale)} ${formatNumber(x)} ${formatNumber(y)} cm`, '/Logo Do', 'Q');
+  }
+  const stream = content.join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${size} ${size}] /Resources << ${logo ? '/XObject << /Logo 5 0 R >> ' : ''}>> /Contents 4 0 R >>`,
+    [`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`],
+  ];
+  if (logo) {
+    objects.push([
+      `<< /Type /XObject /Subtype /Image /Width ${logo.width} /Height ${logo.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${logo.bytes.length} >>\nstream\n`,
+      logo.bytes,
+      '\nendstream',
+    ]);
+  }
+
+  // Strings are ASCII, so their length is their byte length
+  const chunks = [];
+  let length = 0;
+  const write = (chunk) => { chunks.push(chunk); length += chunk.length; };
+  write('%PDF-1.4\n');
+  const offsets = objects.map((body, i) => {
+    const offset = length;
+    write(`${i + 1} 0 obj\n`);
+    [].concat(body).forEach(write);
+    write('\nendobj\n');
+    return offset;
+  });
+  const xref = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  write(offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join(''));
+  write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  const encoder = new TextEncoder();
+  let pos = 0;
+  for (const chunk of chunks) {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    pdf.set(bytes, pos);
+    pos += bytes.length;
+  }
+  return pdf;
+}
+
+/**
+ * Build a download file name from the carrier and date,
+ * e.g. "esim-t-mobile-2026-10-19.svg". Unknown carriers give "esim-qr-<date>".
+ * @param {string | null | undefined} carrierName
+ * @param {'png' | 'svg' | 'pdf' | 'csv' | 'json'} ext
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function exportFilename(carrierName, ext, date = new Date()) {
+  const slug = (carrierName || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  const day = [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map(n => String(n).padStart(2, '0'))
+    .join('-');
+  return `esim-${slug || 'qr'}-${day}.${ext}`;
 }
 
 /**
@@ -34,3 +306,171 @@ export function downloadCanvas(canvas, filename = 'esim-qr-code.png') {
   link.href = canvas.toDataURL('image/png');
   link.click();
 }
+
+/**
+ * Download a Blob (SVG, PDF) as a file.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ─── Geometry ───────────────────────────────────────────────────────────────
+
+/**
+ * Drop the modules hidden behind the logo, plus a one-module margin around it.
+ * @param {boolean[][]} modules
+ * @param {QRStyle} style
+ * @returns {boolean[][]}
+ */
+function visibleModules(modules, style) {
+  if (!style.logo) return modules;
+  const { start, size } = logoBox(modules.length);
+  const lo = Math.floor(start) - 1;
+  const hi = Math.ceil(start + size) + 1;
+  return modules.map((row, y) => row.map((dark, x) => dark && !(x >= lo && x < hi && y >= lo && y < hi)));
+}
+
+/**
+ * Centre square reserved for the logo, in modules.
+ * @param {number} n - symbol size in modules
+ * @returns {{ start: number, size: number }}
+ */
+function logoBox(n) {
+  const size = Math.round(n * LOGO_SCALE);
+  return { start: (n - size) / 2, size };
+}
+
+/**
+ * Fit a logo inside a square box, keeping its aspect ratio.
+ * @param {HTMLImageElement} logo
+ * @param {number} box
+ * @returns {{ x: number, y: number, width: number, height: number }} offsets inside the box
+ */
+function fitLogo(logo, box) {
+  const w = logo.naturalWidth || logo.width || 1;
+  const h = logo.naturalHeight || logo.height || 1;
+  const scale = box / Math.max(w, h);
+  return { x: (box - w * scale) / 2, y: (box - h * scale) / 2, width: w * scale, height: h * scale };
+}
+
+/**
+ * Split dark modules into merged square runs and individually rounded modules.
+ * Finder patterns always stay square so readers can lock on to them.
+ * @param {boolean[][]} modules
+ * @param {QRStyle} style
+ */
+function splitShapes(modules, style) {
+  if (style.moduleShape === 'square') return { squares: darkRuns(modules), rounded: [] };
+  const n = modules.length;
+  const finders = modules.map((row, y) => row.map((dark, x) => dark && isFinderModule(x, y, n)));
+  const rounded = [];
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark && !isFinderModule(x, y, n)) rounded.push({ x, y });
+  }));
+  return { squares: darkRuns(finders), rounded };
+}
+
+function isFinderModule(x, y, n) {
+  return (x < 7 && y < 7) || (x >= n - 7 && y < 7) || (x < 7 && y >= n - 7);
+}
+
+/**
+ * Merge horizontal runs of dark modules so vector output stays compact.
+ * @param {boolean[][]} modules
+ * @returns {{ x: number, y: number, width: number }[]}
+ */
+function darkRuns(modules) {
+  const runs = [];
+  modules.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      if (!row[x]) continue;
+      const start = x;
+      while (x + 1 < row.length && row[x + 1]) x++;
+      runs.push({ x: start, y, width: x - start + 1 });
+    }
+  });
+  return runs;
+}
+
+function roundedSVGPath(x, y) {
+  const r = ROUND_RADIUS;
+  const side = formatNumber(1 - 2 * r);
+  return `M${formatNumber(x + r)} ${y}h${side}a${r} ${r} 0 0 1 ${r} ${r}v${side}a${r} ${r} 0 0 1 -${r} ${r}`
+    + `h-${side}a${r} ${r} 0 0 1 -${r} -${r}v-${side}a${r} ${r} 0 0 1 ${r} -${r}z`;
+}
+
+function roundedPDFPath(x, y) {
+  const r = ROUND_RADIUS;
+  const k = r * KAPPA;
+  const f = (...nums) => nums.map(formatNumber).join(' ');
+  return [
+    `${f(x + r, y)} m`,
+    `${f(x + 1 - r, y)} l`, `${f(x + 1 - r + k, y, x + 1, y + r - k, x + 1, y + r)} c`,
+    `${f(x + 1, y + 1 - r)} l`, `${f(x + 1, y + 1 - r + k, x + 1 - r + k, y + 1, x + 1 - r, y + 1)} c`,
+    `${f(x + r, y + 1)} l`, `${f(x + r - k, y + 1, x, y + 1 - r + k, x, y + 1 - r)} c`,
+    `${f(x, y + r)} l`, `${f(x, y + r - k, x + r - k, y, x + r, y)} c`,
+    'h',
+  ].join('\n');
+}
+
+// ─── Colour and encoding helpers ────────────────────────────────────────────
+
+/**
+ * @param {string} hex - #rgb or #rrggbb
+ * @returns {[number, number, number] | null} channels 0–255
+ */
+function parseHexColor(hex) {
+  const m = typeof hex === 'string' && hex.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!m) return null;
+  const digits = m[1].length === 3 ? [...m[1]].map(c => c + c).join('') : m[1];
+  return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+}
+
+/** WCAG relative luminance. */
+function luminance(rgb) {
+  const [r, g, b] = rgb.map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function pdfColor(hex) {
+  return parseHexColor(hex).map(c => formatNumber(c / 255)).join(' ');
+}
+
+/**
+ * Flatten a logo onto the background colour and encode it as JPEG for the PDF.
+ * @param {HTMLImageElement} logo
+ * @param {string} background
+ * @returns {{ bytes: Uint8Array, width: number, height: number }}
+ */
+function logoJPEG(logo, background) {
+  const w = logo.naturalWidth || logo.width;
+  const h = logo.naturalHeight || logo.height;
+  const scale = Math.min(1, MAX_LOGO_PIXELS / Math.max(w, h));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(w * scale));
+  canvas.height = Math.max(1, Math.round(h * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(logo, 0, 0, canvas.width, canvas.height);
+  const base64 = canvas.toDataURL('image/jpeg', 0.92).split(',')[1];
+  return { bytes: Uint8Array.from(atob(base64), c => c.charCodeAt(0)), width: canvas.width, height: canvas.height };
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function formatNumber(n) {
+  return String(Math.round(n * 10000) / 10000);
+}
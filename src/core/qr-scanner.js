@@ -1,26 +1,296 @@
 /**
  * QR code scanning from image files and live camera feed.
- * Requires window.jsQR to be loaded before calling scan methods.
+ * The jsQR decoder is bundled into the build (and the camera worker), so scanning works offline.
  */
 
+import jsQR from 'jsqr';
+import { downscale, upscale, adaptiveThreshold, invert, rotate, crop, inkRegions } from './image-preprocess.js';
+import { createFrameDecoder } from './frame-decoder.js';
+import { videoConstraints } from './camera-controls.js';
+
 let cameraStream = null;
 let animFrameId = null;
+/** @type {import('./frame-decoder.js').FrameDecoder | null} */
+let frameDecoder = null;
+/** Bumped on every stop, so a start that is still waiting for permission can tell it was cancelled. */
+let cameraSession = 0;
+
+/**
+ * @typedef {{ data: string, bytes: Uint8Array }} DecodeResult
+ * @typedef {{ x: number, y: number, width: number, height: number }} Bounds
+ * @typedef {DecodeResult & { bounds: Bounds }} LocatedResult
+ * @typedef {{ data: Uint8ClampedArray, width: number, height: number }} Pixels
+ * @typedef {'original' | 'inverted' | 'downscaled' | 'upscaled' | 'thresholded' | 'rotated' | 'cropped'} StageId
+ * @typedef {{ id: StageId, label: string, variants: (pixels: Pixels) => Pixels[] }} DecodeStage
+ * @typedef {DecodeResult & { stage: StageId }} StagedResult
+ * @typedef {{ payloads: string[], stage: DecodeStage }} ScanReport
+ */
+
+/** Uploads are averaged down to this longer side first; jsQR time grows with pixel count. */
+const MAX_DECODE_SIZE = 2048;
+/** Longer side the retry stages work at. */
+const WORKING_SIZE = 1024;
+/** Images with a shorter long side than this are enlarged before decoding. */
+const SMALL_SIZE = 400;
+/** Angles tried by the rotation stage; jsQR already handles quarter turns. */
+const ROTATIONS = [22.5, 45];
+/** Ink regions tried by the crop stage. */
+const MAX_CROPS = 8;
+
+/** Minimum time between camera decodes; about seven a second is plenty for a code held up to the lens. */
+const SCAN_INTERVAL_MS = 150;
+/** Tile grids tried last, for codes jsQR misses when several share a frame. */
+const TILE_GRIDS = [2, 3];
+
+/**
+ * Decode a QR code from raw pixels. Shared by file, camera and verification paths.
+ * @param {{ data: Uint8ClampedArray, width: number, height: number }} imageData
+ * @returns {DecodeResult | null} null if no QR code was found
+ */
+export function decodeImageData(imageData) {
+  const result = jsQR(imageData.data, imageData.width, imageData.height);
+  if (!result) return null;
+  return { data: result.data, bytes: Uint8Array.from(result.binaryData) };
+}
+
+/**
+ * Decode stages, cheapest first. Each stage turns the image into zero or more
+ * variants; a stage with no variants does not apply to that image.
+ * @type {DecodeStage[]}
+ */
+export const DECODE_STAGES = [
+  { id: 'original', label: 'Original image', variants: pixels => [pixels] },
+  { id: 'inverted', label: 'Inverted colours', variants: pixels => [invert(downscale(pixels, WORKING_SIZE))] },
+  {
+    id: 'downscaled',
+    label: 'Downscaled',
+    variants: pixels => longSide(pixels) > WORKING_SIZE ? [downscale(pixels, WORKING_SIZE)] : [],
+  },
+  {
+    id: 'upscaled',
+    label: 'Upscaled',
+    variants: pixels => longSide(pixels) < SMALL_SIZE ? [enlarge(pixels)] : [],
+  },
+  {
+    id: 'thresholded',
+    label: 'Grayscale + adaptive threshold',
+    variants: pixels => {
+      const bw = adaptiveThreshold(enlarge(downscale(pixels, WORKING_SIZE)));
+      return [bw, invert(bw)];
+    },
+  },
+  {
+    id: 'rotated',
+    label: 'Rotated',
+    variants: pixels => ROTATIONS.map(degrees => rotate(downscale(pixels, WORKING_SIZE), degrees)),
+  },
+  {
+    id: 'cropped',
+    label: 'Cropped to code region',
+    variants: pixels => {
+      const working = downscale(pixels, WORKING_SIZE);
+      return inkRegions(working).slice(0, MAX_CROPS).map(region => enlarge(crop(working, region)));
+    },
+  },
+];
 
 /**
- * Decode a QR code from an image File.
+ * Try each stage in turn until one decodes, and say which stage it was.
+ * Variants are built one stage at a time, so an easy image costs one decode.
+ * @param {Pixels} imageData
+ * @param {{ stages?: DecodeStage[], decode?: (pixels: Pixels) => DecodeResult | null }} [options]
+ * @returns {StagedResult | null} null if no stage found a QR code
+ */
+export function decodeStaged(imageData, { stages = DECODE_STAGES, decode = decodeExact } = {}) {
+  for (const stage of stages) {
+    for (const variant of stage.variants(imageData)) {
+      const result = decode(variant);
+      if (result) return { ...result, stage: stage.id };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find every QR code in an image.
+ * jsQR reports one code per pass and often none when several share a frame, so
+ * each hit is painted over and the image re-scanned, then each separate patch of
+ * ink is scanned on its own, and finally overlapping tiles catch codes that sit
+ * too close together to separate. Codes with the same payload are reported once.
+ * @param {Pixels} imageData - not modified
+ * @param {{ maxCodes?: number }} [options]
+ * @returns {LocatedResult[]} in reading order (top to bottom, left to right)
+ */
+export function decodeAllImageData(imageData, { maxCodes = 16 } = {}) {
+  const { width, height } = imageData;
+  const work = { data: Uint8ClampedArray.from(imageData.data), width, height };
+  const found = [];
+  const seen = new Set();
+
+  /** Scan pixels repeatedly, masking each hit here and in the full image. */
+  const sweep = (pixels, offsetX, offsetY) => {
+    for (let pass = 0; pass < maxCodes * 2 && found.length < maxCodes; pass++) {
+      // Inverted codes are left to the preprocessing stages, which report them as such
+      const result = jsQR(pixels.data, pixels.width, pixels.height, { inversionAttempts: 'dontInvert' });
+      if (!result) return;
+      const local = boundsOf(result.location);
+      maskBounds(pixels, local);
+      const bounds = { ...local, x: local.x + offsetX, y: local.y + offsetY };
+      if (pixels !== work) maskBounds(work, bounds);
+      if (seen.has(result.data)) continue;
+      seen.add(result.data);
+      found.push({ data: result.data, bytes: Uint8Array.from(result.binaryData), bounds });
+    }
+  };
+
+  sweep(work, 0, 0);
+  const regions = inkRegions(work);
+  for (const region of regions) {
+    if (found.length >= maxCodes) break;
+    sweep(crop(work, region), region.x, region.y);
+  }
+  // No separate ink at all (blank, or noise everywhere): tiles would only repeat the misses
+  if (found.length === 0 && regions.length === 0) return found;
+  for (const grid of TILE_GRIDS) {
+    // Tiles span two grid steps so a code cut by one tile edge is whole in the next tile
+    const stepX = Math.floor(width / (grid + 1));
+    const stepY = Math.floor(height / (grid + 1));
+    for (let row = 0; row < grid; row++) {
+      for (let col = 0; col < grid; col++) {
+        if (found.length >= maxCodes) break;
+        const x = col * stepX;
+        const y = row * stepY;
+        const w = col === grid - 1 ? width - x : stepX * 2;
+        const h = row === grid - 1 ? height - y : stepY * 2;
+        sweep(crop(work, { x, y, width: w, height: h }), x, y);
+      }
+    }
+  }
+  return found.sort(readingOrder);
+}
+
+/**
+ * Decode a QR code from an image File. Use scanFileAll() to learn which decode stage worked.
  * @param {File} file
  * @returns {Promise<string>} raw QR content
- * @throws {Error} if no QR code detected or library missing
+ * @throws {Error} if no QR code detected
  */
 export async function scanFile(file) {
-  if (!window.jsQR) throw new Error('QR scanner library not loaded. Please refresh.');
+  const imageData = downscale(await readImageFile(file), MAX_DECODE_SIZE);
+  const result = decodeStaged(imageData);
+  if (!result) throw new Error('No QR code detected. Try a clearer image or use manual input.');
+  return result.data;
+}
+
+/**
+ * Decode every QR code in an image File.
+ * @param {File} file
+ * @returns {Promise<ScanReport>} raw QR contents in reading order (at least one) and the stage that found them
+ * @throws {Error} if no QR code detected
+ */
+export async function scanFileAll(file) {
+  const report = scanImageData(await readImageFile(file));
+  if (!report) throw new Error('No QR code detected. Try a clearer image or use manual input.');
+  return report;
+}
+
+/**
+ * Find every QR code in decoded pixels (an image file or a rendered PDF page).
+ * When the image as-is yields nothing, the preprocessing stages are tried for a single code.
+ * @param {Pixels} imageData
+ * @returns {ScanReport | null} null if no QR code was found
+ */
+export function scanImageData(imageData) {
+  const pixels = downscale(imageData, MAX_DECODE_SIZE);
+  const results = decodeAllImageData(pixels);
+  if (results.length > 0) return { payloads: results.map(r => r.data), stage: DECODE_STAGES[0] };
+
+  const staged = decodeStaged(pixels, { stages: DECODE_STAGES.slice(1) });
+  if (!staged) return null;
+  return { payloads: [staged.data], stage: DECODE_STAGES.find(s => s.id === staged.stage) };
+}
+
+/**
+ * Check an uploaded file and load its pixels.
+ * @param {File} file
+ * @returns {Promise<ImageData>}
+ * @throws {Error} if the file is not an image or too large
+ */
+function readImageFile(file) {
   if (!file.type.startsWith('image/')) throw new Error('File must be an image.');
   if (file.size > 10 * 1024 * 1024) throw new Error('File too large. Maximum 10MB.');
+  return loadImageData(file);
+}
 
-  const imageData = await loadImageData(file);
-  const result = window.jsQR(imageData.data, imageData.width, imageData.height);
-  if (!result) throw new Error('No QR code detected. Try a clearer image or use manual input.');
-  return result.data;
+/**
+ * Decode without jsQR's built-in inversion retry, so the inverted stage is
+ * what reports white-on-dark codes and each stage costs a single pass.
+ * @param {Pixels} pixels
+ * @returns {DecodeResult | null}
+ */
+function decodeExact(pixels) {
+  const result = jsQR(pixels.data, pixels.width, pixels.height, { inversionAttempts: 'dontInvert' });
+  if (!result) return null;
+  return { data: result.data, bytes: Uint8Array.from(result.binaryData) };
+}
+
+/**
+ * @param {Pixels} pixels
+ * @returns {number}
+ */
+function longSide(pixels) {
+  return Math.max(pixels.width, pixels.height);
+}
+
+/**
+ * Enlarge small images to at least SMALL_SIZE on the longer side.
+ * @param {Pixels} pixels
+ * @returns {Pixels}
+ */
+function enlarge(pixels) {
+  return upscale(pixels, Math.ceil(SMALL_SIZE / longSide(pixels)));
+}
+
+/**
+ * Axis-aligned box around a jsQR location, grown slightly so the whole symbol is covered.
+ * @param {{ topLeftCorner: {x:number,y:number}, topRightCorner: {x:number,y:number},
+ *   bottomLeftCorner: {x:number,y:number}, bottomRightCorner: {x:number,y:number} }} location
+ * @returns {Bounds}
+ */
+function boundsOf(location) {
+  const corners = [location.topLeftCorner, location.topRightCorner, location.bottomLeftCorner, location.bottomRightCorner];
+  const xs = corners.map(c => c.x);
+  const ys = corners.map(c => c.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const pad = Math.ceil(Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) * 0.05) + 1;
+  const x = Math.max(0, Math.floor(minX) - pad);
+  const y = Math.max(0, Math.floor(minY) - pad);
+  return { x, y, width: Math.ceil(Math.max(...xs)) + pad - x, height: Math.ceil(Math.max(...ys)) + pad - y };
+}
+
+/**
+ * Paint a box white so the next pass cannot find the same code.
+ * @param {Pixels} pixels
+ * @param {Bounds} bounds
+ */
+function maskBounds(pixels, { x, y, width, height }) {
+  const x0 = Math.max(0, x);
+  const x1 = Math.min(pixels.width, x + width);
+  for (let row = Math.max(0, y); row < Math.min(pixels.height, y + height); row++) {
+    if (x1 > x0) pixels.data.fill(255, (row * pixels.width + x0) * 4, (row * pixels.width + x1) * 4);
+  }
+}
+
+/**
+ * Codes whose boxes overlap vertically by more than half count as one row.
+ * @param {LocatedResult} a
+ * @param {LocatedResult} b
+ * @returns {number}
+ */
+function readingOrder(a, b) {
+  const sameRow = Math.abs(a.bounds.y - b.bounds.y) < Math.min(a.bounds.height, b.bounds.height) / 2;
+  return sameRow ? a.bounds.x - b.bounds.x : a.bounds.y - b.bounds.y;
 }
 
 /**
@@ -61,53 +331,84 @@ export async function isCameraAvailable() {
 
 /**
  * Start live camera scanning.
- * Continuously captures frames and calls onDetect when a QR code is found.
- * Automatically stops after detection.
+ * Frames are decoded a few times per second, cropped to the viewfinder, by the
+ * fastest available strategy (see frame-decoder.js), never more than one at a time.
+ * Calls onDetect when a QR code is found and automatically stops after detection,
+ * unless continuous, in which case it keeps scanning and calls onDetect for every
+ * decoded frame (the same code repeatedly while it stays in view).
  * @param {HTMLVideoElement} videoEl
  * @param {(data: string) => void} onDetect
- * @returns {Promise<void>}
+ * @param {{ deviceId?: string | null, continuous?: boolean }} [options] - deviceId: camera to open;
+ *   the rear camera by default
+ * @returns {Promise<MediaStreamTrack | null>} the video track, or null if stopped while starting
  * @throws {Error} if camera access denied or unavailable
  */
-export async function startCamera(videoEl, onDetect) {
-  if (!window.jsQR) throw new Error('QR scanner library not loaded. Please refresh.');
+export async function startCamera(videoEl, onDetect, { deviceId = null, continuous = false } = {}) {
   stopCamera();
+  const session = cameraSession;
 
-  cameraStream = await navigator.mediaDevices.getUserMedia({
-    video: { facingMode: { ideal: 'environment' }, width: { ideal: 1280 }, height: { ideal: 720 } }
-  });
+  const stream = await openCamera(deviceId);
+  if (session !== cameraSession) { // stopped or restarted while waiting for permission
+    stream.getTracks().forEach(t => t.stop());
+    return null;
+  }
+  cameraStream = stream;
 
-  videoEl.srcObject = cameraStream;
+  videoEl.srcObject = stream;
   await videoEl.play();
 
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
+  const decoder = await createFrameDecoder(decodeImageData);
+  if (cameraStream !== stream) { decoder.dispose(); return null; } // stopped while starting
+  frameDecoder = decoder;
 
-  function tick() {
-    if (!cameraStream || videoEl.readyState !== videoEl.HAVE_ENOUGH_DATA) {
-      animFrameId = requestAnimationFrame(tick);
-      return;
-    }
-    canvas.width = videoEl.videoWidth;
-    canvas.height = videoEl.videoHeight;
-    ctx.drawImage(videoEl, 0, 0, canvas.width, canvas.height);
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const result = window.jsQR(imageData.data, imageData.width, imageData.height);
-    if (result) {
-      stopCamera();
-      onDetect(result.data);
-      return;
-    }
+  let lastScan = -Infinity;
+  let busy = false;
+
+  function tick(now) {
+    if (cameraStream !== stream) return;
     animFrameId = requestAnimationFrame(tick);
+    if (busy || now - lastScan < SCAN_INTERVAL_MS || videoEl.readyState !== videoEl.HAVE_ENOUGH_DATA) return;
+
+    busy = true;
+    lastScan = now;
+    decoder.decode(videoEl).then(
+      (text) => {
+        busy = false;
+        if (text === null || cameraStream !== stream) return;
+        if (!continuous) stopCamera();
+        onDetect(text);
+      },
+      // A frame that cannot be grabbed (e.g. mid resolution change) is skipped
+      () => { busy = false; },
+    );
   }
 
   animFrameId = requestAnimationFrame(tick);
+  return stream.getVideoTracks()[0];
 }
 
 /** Stop the camera stream and cancel the scan loop. */
 export function stopCamera() {
+  cameraSession++;
   if (animFrameId) { cancelAnimationFrame(animFrameId); animFrameId = null; }
+  if (frameDecoder) { frameDecoder.dispose(); frameDecoder = null; }
   if (cameraStream) {
     cameraStream.getTracks().forEach(t => t.stop());
     cameraStream = null;
   }
 }
+
+/**
+ * Open the given camera. A remembered camera may since have been unplugged,
+ * in which case the default one is opened instead.
+ * @param {string | null} deviceId
+ * @returns {Promise<MediaStream>}
+ */
+async function openCamera(deviceId) {
+  try {
+    return await navigator.mediaDevices.getUserMedia({ video: videoConstraints(deviceId) });
+  } catch (err) {
+    if (!deviceId || !['OverconstrainedError', 'NotFoundError'].includes(err?.name)) throw err;
+    return navigator.mediaDevices.getUserMedia({ video: videoConstraints() });
+  }
+}
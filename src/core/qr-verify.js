@@ -0,0 +1,151 @@
+/**
+ * Decode-back check for generated QR codes.
+ * Every rendered image is decoded again with the scanner pipeline and compared
+ * byte-for-byte with the intended payload before it is shown, printed or exported.
+ */
+
+import { decodeImageData } from './qr-scanner.js';
+import { probePixelReadback } from './capabilities.js';
+
+/** Probed once: whether canvas pixels can be read back faithfully. */
+let pixelReadback = null;
+
+/**
+ * @typedef {'verified' | 'failed' | 'unavailable'} VerifyStatus
+ * @typedef {{ status: VerifyStatus, decoded: string | null, message: string }} VerifyResult
+ * @typedef {{ data: Uint8ClampedArray, width: number, height: number }} Pixels
+ */
+
+/**
+ * Decode pixels and compare the payload with the expected text.
+ * The image is checked as rendered: a code drawn without a quiet zone gets no
+ * help. Only a render that already has a light border is widened, since a reader
+ * then sees it on the light page around it.
+ * Returns 'unavailable' (not 'failed') when the decoder itself errors.
+ * @param {Pixels} imageData
+ * @param {string} expected
+ * @param {(imageData: Pixels) => import('./qr-scanner.js').DecodeResult | null} [decode]
+ * @returns {VerifyResult}
+ */
+export function verifyImageData(imageData, expected, decode = decodeImageData) {
+  let result;
+  try {
+    result = decode(lightBorder(imageData) > 0
+      ? withQuietZone(imageData, Math.ceil(Math.max(imageData.width, imageData.height) / 8))
+      : imageData);
+  } catch (err) {
+    return unavailable(`The QR decoder failed (${err.message}); the image was not checked`);
+  }
+  if (!result) {
+    return { status: 'failed', decoded: null, message: 'The generated QR code could not be decoded' };
+  }
+  if (!sameBytes(result.bytes, new TextEncoder().encode(expected))) {
+    return { status: 'failed', decoded: result.data, message: 'The generated QR code decodes to different content' };
+  }
+  return { status: 'verified', decoded: result.data, message: 'Decodes to the exact activation code' };
+}
+
+/**
+ * Verify a rendered canvas.
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} expected
+ * @returns {VerifyResult}
+ */
+export function verifyCanvas(canvas, expected) {
+  pixelReadback ??= probePixelReadback(document);
+  if (!pixelReadback) {
+    // Reading back altered pixels would fail every code, so skip rather than block
+    return unavailable('This browser does not allow reading image pixels; the image was not checked');
+  }
+  let imageData;
+  try {
+    imageData = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvas.width, canvas.height);
+  } catch {
+    return unavailable('The image could not be read back; it was not checked');
+  }
+  return verifyImageData(imageData, expected);
+}
+
+/**
+ * Verify a loaded image (e.g. an SVG data URL on a printed card) at its natural size.
+ * @param {HTMLImageElement} img
+ * @param {string} expected
+ * @returns {Promise<VerifyResult>}
+ */
+export async function verifyImage(img, expected) {
+  await img.decode();
+  const canvas = document.createElement('canvas');
+  canvas.width = img.naturalWidth;
+  canvas.height = img.naturalHeight;
+  canvas.getContext('2d').drawImage(img, 0, 0);
+  return verifyCanvas(canvas, expected);
+}
+
+/**
+ * Rasterize an SVG document and verify it.
+ * @param {string} svg
+ * @param {string} expected
+ * @returns {Promise<VerifyResult>}
+ */
+export function verifySVG(svg, expected) {
+  const img = new Image();
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  return verifyImage(img, expected);
+}
+
+/**
+ * Copy pixels onto a larger white image with a border of `margin` pixels.
+ * @param {Pixels} imageData
+ * @param {number} margin
+ * @returns {Pixels}
+ */
+export function withQuietZone(imageData, margin) {
+  const { width, height } = imageData;
+  const outWidth = width + margin * 2;
+  const outHeight = height + margin * 2;
+  const data = new Uint8ClampedArray(outWidth * outHeight * 4).fill(255);
+  for (let y = 0; y < height; y++) {
+    const src = y * width * 4;
+    data.set(imageData.data.subarray(src, src + width * 4), ((y + margin) * outWidth + margin) * 4);
+  }
+  return { data, width: outWidth, height: outHeight };
+}
+
+/**
+ * Width in pixels of the light border around an image: the number of rows or
+ * columns, counted in from the nearest edge, that contain no dark pixel.
+ * @param {Pixels} imageData
+ * @returns {number}
+ */
+export function lightBorder({ data, width, height }) {
+  const dark = (x, y) => {
+    const i = (y * width + x) * 4;
+    return data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114 < 128;
+  };
+  let top = 0, bottom = height - 1, left = 0, right = width - 1;
+  const rowLight = y => { for (let x = 0; x < width; x++) if (dark(x, y)) return false; return true; };
+  const columnLight = x => { for (let y = 0; y < height; y++) if (dark(x, y)) return false; return true; };
+  while (top < height && rowLight(top)) top++;
+  if (top === height) return 0; // blank image: nothing to frame
+  while (rowLight(bottom)) bottom--;
+  while (columnLight(left)) left++;
+  while (columnLight(right)) right--;
+  return Math.min(top, height - 1 - bottom, left, width - 1 - right);
+}
+
+/**
+ * @param {string} message
+ * @returns {VerifyResult}
+ */
+function unavailable(message) {
+  return { status: 'unavailable', decoded: null, message };
+}
+
+/**
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function sameBytes(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
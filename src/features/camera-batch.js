@@ -0,0 +1,109 @@
+/**
+ * Continuous camera scanning of many cards in one session.
+ * Collects each distinct eSIM once — a code held in front of the lens is decoded
+ * on every frame — and repairs non-standard codes on the way in.
+ */
+
+import { parse, repair } from '../core/parser.js';
+import { lookup as lookupCarrier } from './carrier-db.js';
+import { toCSV } from './csv.js';
+
+/**
+ * @typedef {{
+ *   raw: string,
+ *   status: 'decoded' | 'repair',
+ *   data: import('../core/parser.js').ESIMData,
+ *   problem: string | null,
+ *   carrierName: string
+ * }} BatchEntry - data is the repaired eSIM when status is 'repair'
+ * @typedef {{ outcome: 'new', entry: BatchEntry }
+ *   | { outcome: 'duplicate', entry: BatchEntry | null }
+ *   | { outcome: 'ignored', entry: null }} BatchAddResult - ignored: the first sighting of a non-eSIM code
+ */
+
+const CSV_COLUMNS = ['status', 'carrierName', 'smdpAddress', 'activationCode', 'confirmationCode', 'lpaString', 'raw'];
+
+/** Create an empty scan batch. */
+export function createScanBatch() {
+  /** @type {BatchEntry[]} */
+  let entries = [];
+  /** Every payload seen, raw and normalised, mapped to its entry (null for non-eSIM codes). */
+  let seen = new Map();
+
+  /**
+   * Add a decoded payload.
+   * The same eSIM is recognised whether it arrives standard or needing repair.
+   * @param {string} raw
+   * @returns {BatchAddResult}
+   */
+  function add(raw) {
+    const key = raw.trim();
+    if (seen.has(key)) return { outcome: 'duplicate', entry: seen.get(key) };
+
+    const entry = toEntry(key);
+    if (!entry) {
+      seen.set(key, null);
+      return { outcome: 'ignored', entry: null };
+    }
+    const existing = seen.get(entry.data.lpaString);
+    if (existing) {
+      seen.set(key, existing);
+      return { outcome: 'duplicate', entry: existing };
+    }
+    seen.set(key, entry);
+    seen.set(entry.data.lpaString, entry);
+    entries.push(entry);
+    return { outcome: 'new', entry };
+  }
+
+  /**
+   * Drop one entry; scanning its code again adds it back.
+   * @param {BatchEntry} entry
+   */
+  function remove(entry) {
+    entries = entries.filter(e => e !== entry);
+    for (const [key, value] of seen) if (value === entry) seen.delete(key);
+  }
+
+  function clear() {
+    entries = [];
+    seen = new Map();
+  }
+
+  return {
+    add,
+    remove,
+    clear,
+    /** @returns {BatchEntry[]} in scan order */
+    getAll: () => [...entries],
+  };
+}
+
+/**
+ * The batch as CSV, one row per eSIM, for spreadsheets.
+ * @param {BatchEntry[]} entries
+ * @returns {string}
+ */
+export function batchToCSV(entries) {
+  const rows = entries.map(({ raw, status, carrierName, data }) =>
+    [status, carrierName, data.smdpAddress, data.activationCode, data.confirmationCode, data.lpaString, raw]);
+  return toCSV([CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * @param {string} raw
+ * @returns {BatchEntry | null} null when the payload is not an eSIM code
+ */
+function toEntry(raw) {
+  const parsed = parse(raw);
+  if (parsed.success) return { raw, status: 'decoded', data: parsed.data, problem: null, carrierName: carrierOf(parsed.data) };
+  const repaired = repair(raw);
+  if (!repaired.success) return null;
+  const { data, problem } = repaired.candidates[0];
+  return { raw, status: 'repair', data, problem, carrierName: carrierOf(data) };
+}
+
+/** @param {import('../core/parser.js').ESIMData} data */
+function carrierOf(data) {
+  return lookupCarrier(data.smdpAddress)?.name || '';
+}
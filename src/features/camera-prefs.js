@@ -0,0 +1,46 @@
+/**
+ * Remembers the camera picked in the camera panel, so the next session opens it again.
+ * Designed with an injectable storage interface for testability.
+ */
+
+const STORAGE_KEY = 'esimswap_camera';
+
+/**
+ * Create a camera preference store backed by the given storage.
+ * @param {Storage} storage - localStorage or compatible mock
+ */
+export function createCameraPrefs(storage) {
+  /** @returns {string | null} the remembered deviceId */
+  function getDeviceId() {
+    try {
+      return storage.getItem(STORAGE_KEY) || null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Remember a camera, or forget it when given null.
+   * A storage failure only means the choice is not remembered, so it is ignored.
+   * @param {string | null} deviceId
+   */
+  function setDeviceId(deviceId) {
+    try {
+      if (deviceId) storage.setItem(STORAGE_KEY, deviceId);
+      else storage.removeItem(STORAGE_KEY);
+    } catch {
+      // Storage disabled or full
+    }
+  }
+
+  return { getDeviceId, setDeviceId };
+}
+
+/** Singleton backed by window.localStorage (used in browser). */
+export const CameraPrefs = createCameraPrefs(
+  typeof localStorage !== 'undefined' ? localStorage : {
+    getItem: () => null,
+    setItem: () => {},
+    removeItem: () => {},
+  }
+);
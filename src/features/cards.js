@@ -0,0 +1,235 @@
+/**
+ * Printable eSIM activation cards.
+ * Builds a card model from parsed eSIM data, tiles cards onto A4 or Letter sheets,
+ * and prints them through the browser (which also offers "Save as PDF").
+ */
+
+import { lookup as lookupCarrier } from './carrier-db.js';
+import { toSVG } from '../core/qr-generator.js';
+import { verifySVG } from '../core/qr-verify.js';
+
+/**
+ * @typedef {{
+ *   lpaString: string,
+ *   carrierName: string,
+ *   region: string,
+ *   smdpAddress: string,
+ *   activationCode: string,
+ *   confirmationCode: string,
+ *   confirmationCodeRequired: boolean
+ * }} CardModel
+ * @typedef {'a4' | 'letter'} PaperSize
+ * @typedef {{
+ *   paper: PaperSize,
+ *   width: number,
+ *   height: number,
+ *   margin: number,
+ *   gap: number,
+ *   card: { width: number, height: number },
+ *   columns: number,
+ *   rows: number,
+ *   perPage: number
+ * }} SheetLayout - all lengths in millimetres
+ */
+
+/** Paper sizes in millimetres. */
+export const PAPER_SIZES = {
+  a4: { width: 210, height: 297, label: 'A4' },
+  letter: { width: 215.9, height: 279.4, label: 'Letter' },
+};
+
+const CARD_SIZE = { width: 90, height: 64 };
+const SHEET_MARGIN = 10;
+const CARD_GAP = 5;
+
+export const INSTALL_STEPS = [
+  'Settings → Mobile / Cellular → Add eSIM',
+  'Choose "Use QR code" and scan the code',
+  'No camera? Enter the SM-DP+ address and activation code manually',
+];
+
+/**
+ * Build a card model from parsed eSIM data, filling in the carrier.
+ * Accepts history entries too (they carry the same fields).
+ * @param {import('../core/parser.js').ESIMData} data
+ * @returns {CardModel}
+ */
+export function toCard(data) {
+  const carrier = lookupCarrier(data.smdpAddress);
+  return {
+    lpaString: data.lpaString,
+    carrierName: carrier?.name || 'Unknown carrier',
+    region: carrier?.region || '',
+    smdpAddress: data.smdpAddress,
+    activationCode: data.activationCode,
+    confirmationCode: data.confirmationCode || '',
+    confirmationCodeRequired: Boolean(data.confirmationCodeRequired),
+  };
+}
+
+/**
+ * Work out how many cards fit on one sheet.
+ * @param {PaperSize} paper
+ * @returns {SheetLayout}
+ * @throws {Error} on an unknown paper size
+ */
+export function sheetLayout(paper) {
+  const size = PAPER_SIZES[paper];
+  if (!size) throw new Error(`Unknown paper size "${paper}"`);
+  const fit = (length, cardLength) =>
+    Math.max(1, Math.floor((length - SHEET_MARGIN * 2 + CARD_GAP) / (cardLength + CARD_GAP)));
+  const columns = fit(size.width, CARD_SIZE.width);
+  const rows = fit(size.height, CARD_SIZE.height);
+  return {
+    paper,
+    width: size.width,
+    height: size.height,
+    margin: SHEET_MARGIN,
+    gap: CARD_GAP,
+    card: { ...CARD_SIZE },
+    columns,
+    rows,
+    perPage: columns * rows,
+  };
+}
+
+/**
+ * Split cards into sheets.
+ * @template T
+ * @param {T[]} cards
+ * @param {SheetLayout} layout
+ * @returns {T[][]}
+ */
+export function paginate(cards, layout) {
+  const pages = [];
+  for (let i = 0; i < cards.length; i += layout.perPage) {
+    pages.push(cards.slice(i, i + layout.perPage));
+  }
+  return pages;
+}
+
+/**
+ * Build one card element. The QR is an SVG image so it prints sharply.
+ * @param {CardModel} card
+ * @param {{ level?: 'L'|'M'|'Q'|'H' }} [qrOptions]
+ * @returns {HTMLElement}
+ */
+export function buildCard(card, { level = 'M' } = {}) {
+  const el = document.createElement('div');
+  el.className = 'esim-card';
+
+  const qr = document.createElement('img');
+  qr.className = 'esim-card-qr';
+  qr.alt = 'eSIM QR code';
+  qr.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(cardSVG(card, level))}`;
+
+  const details = document.createElement('div');
+  details.className = 'esim-card-details';
+
+  const carrier = document.createElement('div');
+  carrier.className = 'esim-card-carrier';
+  carrier.textContent = card.region ? `${card.carrierName} · ${card.region}` : card.carrierName;
+  details.appendChild(carrier);
+
+  const fields = [
+    ['SM-DP+', card.smdpAddress],
+    ['Activation', card.activationCode],
+  ];
+  if (card.confirmationCode) fields.push(['Confirmation', card.confirmationCode]);
+  else if (card.confirmationCodeRequired) fields.push(['Confirmation', 'Required (ask your carrier)']);
+
+  const dl = document.createElement('dl');
+  dl.className = 'esim-card-fields';
+  for (const [label, value] of fields) {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    dl.append(dt, dd);
+  }
+  details.appendChild(dl);
+
+  const steps = document.createElement('ol');
+  steps.className = 'esim-card-steps';
+  for (const step of INSTALL_STEPS) {
+    const li = document.createElement('li');
+    li.textContent = step;
+    steps.appendChild(li);
+  }
+  details.appendChild(steps);
+
+  el.append(qr, details);
+  return el;
+}
+
+/**
+ * Decode every card's QR image back and report the ones that do not match.
+ * @param {CardModel[]} cards
+ * @param {{ level?: 'L'|'M'|'Q'|'H' }} [qrOptions]
+ * @returns {Promise<{ lpaString: string, check: import('../core/qr-verify.js').VerifyResult }[]>} failures, empty if all passed
+ */
+export async function verifyCards(cards, { level = 'M' } = {}) {
+  const failures = [];
+  for (const card of cards) {
+    const check = await verifySVG(cardSVG(card, level), card.lpaString);
+    if (check.status === 'failed') failures.push({ lpaString: card.lpaString, check });
+  }
+  return failures;
+}
+
+/**
+ * Lay cards out on sheets and open the print dialog.
+ * The sheets are removed again once printing finishes.
+ * @param {CardModel[]} cards
+ * @param {{ paper?: PaperSize, level?: 'L'|'M'|'Q'|'H' }} [options]
+ * @returns {Promise<void>} resolves once the print dialog has opened
+ */
+export async function printCards(cards, { paper = 'a4', level = 'M' } = {}) {
+  if (cards.length === 0) throw new Error('No cards to print');
+  const layout = sheetLayout(paper);
+
+  const root = document.createElement('div');
+  root.className = 'print-sheets';
+  for (const page of paginate(cards, layout)) {
+    const sheet = document.createElement('div');
+    sheet.className = 'print-sheet';
+    sheet.style.width = `${layout.width}mm`;
+    sheet.style.height = `${layout.height}mm`;
+    sheet.style.padding = `${layout.margin}mm`;
+    sheet.style.gap = `${layout.gap}mm`;
+    sheet.style.gridTemplateColumns = `repeat(${layout.columns}, ${layout.card.width}mm)`;
+    sheet.style.gridAutoRows = `${layout.card.height}mm`;
+    for (const card of page) sheet.appendChild(buildCard(card, { level }));
+    root.appendChild(sheet);
+  }
+
+  // @page size cannot be set per element, so inject it for this print job only
+  const pageStyle = document.createElement('style');
+  pageStyle.textContent = `@page { size: ${layout.width}mm ${layout.height}mm; margin: 0; }`;
+
+  document.head.appendChild(pageStyle);
+  document.body.appendChild(root);
+  document.body.classList.add('printing-cards');
+
+  const cleanup = () => {
+    root.remove();
+    pageStyle.remove();
+    document.body.classList.remove('printing-cards');
+    window.removeEventListener('afterprint', cleanup);
+  };
+  window.addEventListener('afterprint', cleanup);
+
+  // Wait for the QR images so they are not printed blank
+  await Promise.all([...root.querySelectorAll('img')].map(img => img.decode().catch(() => {})));
+  window.print();
+}
+
+/**
+ * The QR image used on a card.
+ * @param {CardModel} card
+ * @param {'L'|'M'|'Q'|'H'} level
+ * @returns {string}
+ */
+function cardSVG(card, level) {
+  return toSVG(card.lpaString, { size: 300, level });
+}
@@ -273,13 +273,13 @@ const SUFFIX_PATTERNS = [
 ];
 
 /**
- * Look up a carrier by SM-DP+ address.
+ * Look up a carrier by SM-DP+ address. A trailing `:port` is ignored.
  * @param {string} smdpAddress
  * @returns {CarrierInfo | null}
  */
 export function lookup(smdpAddress) {
   if (!smdpAddress || typeof smdpAddress !== 'string') return null;
-  const domain = smdpAddress.trim().toLowerCase();
+  const domain = smdpAddress.trim().toLowerCase().replace(/:\d+$/, '');
   if (!domain) return null;
 
   // 1. Exact match
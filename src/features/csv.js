@@ -0,0 +1,73 @@
+/**
+ * Minimal RFC 4180 CSV writing and reading for exports and imports.
+ * Fields a spreadsheet would run as a formula are written with a leading
+ * apostrophe, which parseCSV removes again.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * @param {unknown[][]} rows - the first row is usually the header
+ * @returns {string} CRLF line endings, with a trailing line break
+ */
+export function toCSV(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Split CSV text into rows of fields. Quoted fields may contain commas,
+ * quotes ("") and line breaks. Blank lines are skipped.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const endField = () => {
+    row.push(unguard(field));
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  const input = text.replace(/^\uFEFF/, ''); // byte order mark written by spreadsheet apps
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      endField();
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {string}
+ */
+function csvField(value) {
+  let text = String(value ?? '');
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** Remove the apostrophe csvField adds in front of formula characters. */
+function unguard(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
@@ -0,0 +1,105 @@
+/**
+ * Passphrase encryption for stored history, using WebCrypto only.
+ * A key is derived from the passphrase with PBKDF2-SHA-256 and the entries are
+ * sealed with AES-GCM; the salt, iteration count and IV travel in the envelope.
+ */
+
+/** OWASP's 2023 recommendation for PBKDF2-HMAC-SHA-256. */
+export const PBKDF2_ITERATIONS = 600_000;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const ENVELOPE_FORMAT = 'esimswap-encrypted';
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * @typedef {{ name: 'PBKDF2', hash: 'SHA-256', iterations: number, salt: string }} KdfParams - salt in base64
+ * @typedef {{
+ *   format: 'esimswap-encrypted',
+ *   version: 1,
+ *   kdf: KdfParams,
+ *   cipher: { name: 'AES-GCM', iv: string },
+ *   data: string
+ * }} Envelope - iv and data in base64
+ */
+
+/**
+ * @param {unknown} value - parsed JSON from storage
+ * @returns {value is Envelope}
+ */
+export function isEnvelope(value) {
+  return value !== null && typeof value === 'object' && value.format === ENVELOPE_FORMAT;
+}
+
+/**
+ * Fresh key-derivation parameters with a random salt.
+ * @param {Crypto} crypto
+ * @param {number} [iterations]
+ * @returns {KdfParams}
+ */
+export function newKdf(crypto, iterations = PBKDF2_ITERATIONS) {
+  return { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES))) };
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase. The key cannot be exported.
+ * @param {Crypto} crypto
+ * @param {string} passphrase
+ * @param {KdfParams} kdf
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveKey(crypto, passphrase, kdf) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+/**
+ * Encrypt a JSON value. Every call uses a new random IV.
+ * @param {Crypto} crypto
+ * @param {CryptoKey} key
+ * @param {KdfParams} kdf - stored alongside so the key can be derived again
+ * @param {unknown} value
+ * @returns {Promise<Envelope>}
+ */
+export async function seal(crypto, key, kdf, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { format: ENVELOPE_FORMAT, version: 1, kdf, cipher: { name: 'AES-GCM', iv: toBase64(iv) }, data: toBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt an envelope.
+ * @param {Crypto} crypto
+ * @param {CryptoKey} key
+ * @param {Envelope} envelope
+ * @returns {Promise<unknown>}
+ * @throws {Error} if the key does not match (wrong passphrase) or the data was altered
+ */
+export async function unseal(crypto, key, envelope) {
+  let plain;
+  try {
+    plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) }, key, fromBase64(envelope.data));
+  } catch {
+    // AES-GCM cannot tell a wrong key from tampered data
+    throw new Error('Wrong passphrase, or the stored history is damaged.');
+  }
+  return JSON.parse(new TextDecoder().decode(plain));
+}
+
+/** @param {Uint8Array} bytes */
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/** @param {string} text */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
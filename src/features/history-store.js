@@ -0,0 +1,227 @@
+/**
+ * History storage backends: IndexedDB in the browser, one record per entry
+ * indexed by timestamp, and an in-memory stand-in with the same interface for tests.
+ */
+
+const DB_NAME = 'esimswap';
+const ENTRIES = 'entries';
+const META = 'meta';
+
+/**
+ * Schema migrations, one per version: upgrading from version N runs
+ * MIGRATIONS[N] onwards. Never change a shipped migration; append a new one.
+ * @type {((db: IDBDatabase, tx: IDBTransaction) => void)[]}
+ */
+const MIGRATIONS = [
+  // 1: entries by id with a timestamp index for newest-first paging; key/value metadata
+  (db) => {
+    db.createObjectStore(ENTRIES, { keyPath: 'id' }).createIndex('timestamp', 'timestamp');
+    db.createObjectStore(META, { keyPath: 'key' });
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * @typedef {{ id: string, timestamp: number, sealed?: import('./history-crypto.js').Envelope }} StoredRecord -
+ *   a HistoryEntry, or only id, timestamp and the sealed entry when history is encrypted
+ * @typedef {{
+ *   clear?: boolean,
+ *   put?: StoredRecord[],
+ *   remove?: string[],
+ *   meta?: Record<string, unknown>
+ * }} WriteBatch - applied in this order; a meta value of undefined deletes the key
+ * @typedef {{
+ *   open: () => Promise<void>,
+ *   getMeta: () => Promise<Record<string, unknown>>,
+ *   get: (id: string) => Promise<StoredRecord | null>,
+ *   count: () => Promise<number>,
+ *   page: (offset: number, limit: number) => Promise<StoredRecord[]>,
+ *   all: () => Promise<StoredRecord[]>,
+ *   oldestIds: (count: number) => Promise<string[]>,
+ *   idsBefore: (timestamp: number) => Promise<string[]>,
+ *   write: (batch: WriteBatch) => Promise<void>
+ * }} HistoryBackend - page and all return newest first; write is atomic
+ */
+
+/**
+ * @param {IDBFactory} [factory]
+ * @param {string} [name] - database name
+ * @returns {HistoryBackend}
+ */
+export function createIndexedDBBackend(factory = globalThis.indexedDB, name = DB_NAME) {
+  /** @type {Promise<IDBDatabase> | null} */
+  let opening = null;
+
+  function open() {
+    opening ??= new Promise((resolve, reject) => {
+      const request = factory.open(name, SCHEMA_VERSION);
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < SCHEMA_VERSION; version++) {
+          MIGRATIONS[version](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        // A newer version of the app opened in another tab; let it upgrade and reopen on next use
+        db.onversionchange = () => { db.close(); opening = null; };
+        resolve(db);
+      };
+      request.onerror = () => {
+        opening = null;
+        reject(new Error('History storage could not be opened.'));
+      };
+    });
+    return opening.then(() => {});
+  }
+
+  /**
+   * @param {string[]} stores
+   * @param {IDBTransactionMode} mode
+   */
+  async function transaction(stores, mode) {
+    await open();
+    return (await opening).transaction(stores, mode);
+  }
+
+  return {
+    open,
+
+    async getMeta() {
+      const rows = await result((await transaction([META], 'readonly')).objectStore(META).getAll());
+      return Object.fromEntries(rows.map(row => [row.key, row.value]));
+    },
+
+    async get(id) {
+      return (await result((await transaction([ENTRIES], 'readonly')).objectStore(ENTRIES).get(id))) ?? null;
+    },
+
+    async count() {
+      return result((await transaction([ENTRIES], 'readonly')).objectStore(ENTRIES).count());
+    },
+
+    async page(offset, limit) {
+      const index = (await transaction([ENTRIES], 'readonly')).objectStore(ENTRIES).index('timestamp');
+      return new Promise((resolve, reject) => {
+        const records = [];
+        let skipped = offset === 0;
+        const request = index.openCursor(null, 'prev');
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor || records.length >= limit) { resolve(records); return; }
+          if (!skipped) { skipped = true; cursor.advance(offset); return; }
+          records.push(cursor.value);
+          cursor.continue();
+        };
+        request.onerror = () => reject(request.error);
+      });
+    },
+
+    async all() {
+      const index = (await transaction([ENTRIES], 'readonly')).objectStore(ENTRIES).index('timestamp');
+      return (await result(index.getAll())).reverse();
+    },
+
+    async oldestIds(count) {
+      if (count <= 0) return [];
+      const index = (await transaction([ENTRIES], 'readonly')).objectStore(ENTRIES).index('timestamp');
+      return result(index.getAllKeys(null, count));
+    },
+
+    async idsBefore(timestamp) {
+      const index = (await transaction([ENTRIES], 'readonly')).objectStore(ENTRIES).index('timestamp');
+      return result(index.getAllKeys(IDBKeyRange.upperBound(timestamp, true)));
+    },
+
+    async write({ clear = false, put = [], remove = [], meta = {} }) {
+      const tx = await transaction([ENTRIES, META], 'readwrite');
+      const done = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = tx.onabort = () => reject(tx.error ?? new Error('History could not be saved.'));
+      });
+      try {
+        const entries = tx.objectStore(ENTRIES);
+        const metaStore = tx.objectStore(META);
+        if (clear) entries.clear();
+        for (const record of put) entries.put(record);
+        for (const id of remove) entries.delete(id);
+        for (const [key, value] of Object.entries(meta)) {
+          if (value === undefined) metaStore.delete(key);
+          else metaStore.put({ key, value });
+        }
+      } catch (err) {
+        // A request refused up front (no key, uncloneable value) does not abort the
+        // transaction by itself; without this the requests before it would commit
+        done.catch(() => {});
+        tx.abort();
+        throw err;
+      }
+      await done;
+    },
+  };
+}
+
+/**
+ * Same behaviour as the IndexedDB backend, kept in memory. Values are cloned
+ * on the way in and out, as IndexedDB does.
+ * @returns {HistoryBackend}
+ */
+export function createMemoryBackend() {
+  const entries = new Map();
+  const meta = new Map();
+  // Ties are broken by id, like an IndexedDB index
+  const newestFirst = () => [...entries.values()]
+    .sort((a, b) => b.timestamp - a.timestamp || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0));
+
+  return {
+    async open() {},
+    async getMeta() {
+      return structuredClone(Object.fromEntries(meta));
+    },
+    async get(id) {
+      return entries.has(id) ? structuredClone(entries.get(id)) : null;
+    },
+    async count() {
+      return entries.size;
+    },
+    async page(offset, limit) {
+      return structuredClone(newestFirst().slice(offset, offset + limit));
+    },
+    async all() {
+      return structuredClone(newestFirst());
+    },
+    async oldestIds(count) {
+      return count <= 0 ? [] : newestFirst().reverse().slice(0, count).map(r => r.id);
+    },
+    async idsBefore(timestamp) {
+      return newestFirst().reverse().filter(r => r.timestamp < timestamp).map(r => r.id);
+    },
+    async write({ clear = false, put = [], remove = [], meta: changes = {} }) {
+      // Everything is checked and copied before the first change, so a refused write changes nothing
+      const records = put.map((record) => {
+        if (typeof record?.id !== 'string') throw new Error('History record has no id.');
+        return structuredClone(record);
+      });
+      const values = Object.entries(changes).map(([key, value]) => [key, structuredClone(value)]);
+      if (clear) entries.clear();
+      for (const record of records) entries.set(record.id, record);
+      for (const id of remove) entries.delete(id);
+      for (const [key, value] of values) {
+        if (value === undefined) meta.delete(key);
+        else meta.set(key, value);
+      }
+    },
+  };
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>} request
+ * @returns {Promise<T>}
+ */
+function result(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
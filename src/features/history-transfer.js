@@ -0,0 +1,137 @@
+/**
+ * History files: export to versioned JSON or CSV, and read either back for import.
+ * Every imported row is checked with parse(), so a hand-edited file can never
+ * put an invalid eSIM into history.
+ */
+
+import { parse } from '../core/parser.js';
+import { lookup as lookupCarrier } from './carrier-db.js';
+import { toCSV, parseCSV } from './csv.js';
+import { statusOf } from './lifecycle.js';
+
+export const EXPORT_FORMAT = 'esimswap-history';
+export const EXPORT_VERSION = 1;
+
+const CSV_COLUMNS = ['timestamp', 'action', 'carrierName', 'smdpAddress', 'activationCode', 'confirmationCode', 'lpaString', 'note', 'tags', 'status', 'device'];
+
+/**
+ * @typedef {import('./history.js').HistoryEntry} HistoryEntry
+ * @typedef {{
+ *   format: 'esimswap-history',
+ *   version: 1,
+ *   exportedAt: string,
+ *   entries: HistoryEntry[]
+ * }} HistoryExport
+ * @typedef {{ label: string, error: string }} ImportProblem - label names the row, e.g. "Row 3"
+ * @typedef {{ entries: Omit<HistoryEntry, 'id'>[], invalid: ImportProblem[] }} ImportRead
+ */
+
+/**
+ * @param {HistoryEntry[]} entries
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function toExportJSON(entries, date = new Date()) {
+  /** @type {HistoryExport} */
+  const file = { format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: date.toISOString(), entries };
+  return JSON.stringify(file, null, 2);
+}
+
+/**
+ * One row per entry; tags are joined with commas (they cannot contain one).
+ * @param {HistoryEntry[]} entries
+ * @returns {string}
+ */
+export function toExportCSV(entries) {
+  const rows = entries.map(e => [
+    new Date(e.timestamp).toISOString(), e.action, e.carrierName, e.smdpAddress, e.activationCode,
+    e.confirmationCode, e.lpaString, e.note ?? '', (e.tags ?? []).join(', '), statusOf(e), e.device ?? '',
+  ]);
+  return toCSV([CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Read an exported JSON or CSV file into entries without ids.
+ * Rows that do not hold a valid eSIM are reported instead of imported.
+ * @param {string} text
+ * @returns {ImportRead}
+ * @throws {Error} if the file is not a history export at all
+ */
+export function readImport(text) {
+  const trimmed = text.trim();
+  const { records, labelOf } = trimmed.startsWith('{') || trimmed.startsWith('[')
+    ? readJSONRecords(trimmed)
+    : readCSVRecords(trimmed);
+
+  const entries = [];
+  const invalid = [];
+  records.forEach((record, i) => {
+    const result = toEntry(record);
+    if (result.error) invalid.push({ label: labelOf(i), error: result.error });
+    else entries.push(result.entry);
+  });
+  return { entries, invalid };
+}
+
+/**
+ * @param {string} text
+ * @returns {{ records: Record<string, unknown>[], labelOf: (i: number) => string }}
+ */
+function readJSONRecords(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!Array.isArray(file)) {
+    if (file?.format !== EXPORT_FORMAT || !Array.isArray(file.entries)) throw new Error('This is not an eSIM history export.');
+    if (file.version > EXPORT_VERSION) throw new Error('This file was exported by a newer version. Update the app and try again.');
+    file = file.entries;
+  }
+  return { records: file, labelOf: i => `Entry ${i + 1}` };
+}
+
+/**
+ * @param {string} text
+ * @returns {{ records: Record<string, string>[], labelOf: (i: number) => string }}
+ */
+function readCSVRecords(text) {
+  const [header = [], ...rows] = parseCSV(text);
+  const columns = header.map(h => h.trim());
+  if (!columns.includes('lpaString')) throw new Error('The CSV file needs an lpaString column.');
+  const records = rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ''])));
+  // Row 1 is the header
+  return { records, labelOf: i => `Row ${i + 2}` };
+}
+
+/**
+ * @param {Record<string, unknown>} record
+ * @returns {{ entry: Omit<HistoryEntry, 'id'>, error?: undefined } | { error: string }}
+ */
+function toEntry(record) {
+  if (!record || typeof record !== 'object') return { error: 'Not an entry' };
+  const lpa = typeof record.lpaString === 'string' ? record.lpaString.trim() : '';
+  if (!lpa) return { error: 'No LPA string' };
+  const parsed = parse(lpa);
+  if (!parsed.success) return { error: parsed.error };
+
+  const timestamp = typeof record.timestamp === 'number' ? record.timestamp : Date.parse(String(record.timestamp ?? ''));
+  const carrierName = typeof record.carrierName === 'string' && record.carrierName.trim()
+    ? record.carrierName.trim()
+    : lookupCarrier(parsed.data.smdpAddress)?.name || '';
+  return {
+    entry: {
+      ...parsed.data,
+      action: record.action === 'generate' ? 'generate' : 'scan',
+      timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+      carrierName,
+      note: typeof record.note === 'string' ? record.note : '',
+      tags: Array.isArray(record.tags) || typeof record.tags === 'string' ? record.tags : [],
+      // Checked along with the rest of the lifecycle when added to history
+      status: record.status,
+      device: record.device,
+      statusLog: record.statusLog,
+    },
+  };
+}
@@ -1,10 +1,40 @@
 /**
- * eSIM operation history — persisted in localStorage.
- * Designed with an injectable storage interface for testability.
+ * eSIM operation history — one record per entry in IndexedDB (see history-store.js).
+ * Designed with an injectable backend for testability.
+ *
+ * History is plain by default. With encryption enabled every record is sealed
+ * with AES-GCM (see history-crypto.js), leaving only its id and timestamp
+ * readable so pages can still be read in order, and history starts locked:
+ * nothing can be read until the passphrase is entered.
  */
 
-const STORAGE_KEY = 'esimswap_history';
-const MAX_ENTRIES = 20;
+import { isEnvelope, newKdf, deriveKey, seal, unseal, PBKDF2_ITERATIONS, MIN_PASSPHRASE_LENGTH } from './history-crypto.js';
+import { lookup as lookupCarrier } from './carrier-db.js';
+import { toExportJSON, toExportCSV, readImport } from './history-transfer.js';
+import { createIndexedDBBackend, createMemoryBackend } from './history-store.js';
+import { cleanLifecycle, transition, statusOf } from './lifecycle.js';
+import { parse, generateLPA } from '../core/parser.js';
+import { createTabChannel } from './tab-sync.js';
+
+/** localStorage key that held all of history before it moved to IndexedDB. */
+const LEGACY_KEY = 'esimswap_history';
+/** sessionStorage key: private sessions last as long as the tab. */
+const PRIVATE_KEY = 'esimswap_private';
+export const DEFAULT_MAX_ENTRIES = 20;
+/** Sizes offered in settings; setMaxEntries() accepts any whole number. */
+export const MAX_ENTRIES_OPTIONS = [20, 50, 100, 250, 500, 1000, 5000];
+export const PAGE_SIZE = 50;
+/** Retention periods offered in settings; setRetention() accepts any whole number of days. */
+export const RETENTION_DAY_OPTIONS = [1, 7, 30, 90, 365];
+/** keep: store confirmation codes; redact: store only that there was one; drop: store nothing. */
+export const CODE_POLICIES = ['keep', 'redact', 'drop'];
+export const REDACTED_CODE = '••••••';
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Open tabs purge expired entries on reads at most this often. */
+const PURGE_INTERVAL_MS = 60 * 1000;
+export const MAX_NOTE_LENGTH = 500;
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS = 10;
 
 /**
  * @typedef {{
@@ -15,64 +45,802 @@ const MAX_ENTRIES = 20;
  *   activationCode: string,
  *   confirmationCode: string,
  *   carrierName: string,
- *   lpaString: string
- * }} HistoryEntry
+ *   lpaString: string,
+ *   note?: string,
+ *   tags?: string[],
+ *   status?: import('./lifecycle.js').Status,
+ *   device?: string,
+ *   statusLog?: import('./lifecycle.js').StatusChange[]
+ * }} HistoryEntry - note, tags and the lifecycle fields are missing on entries saved before they existed
+ * @typedef {{
+ *   text?: string,
+ *   action?: 'generate' | 'scan' | '',
+ *   carrier?: string,
+ *   region?: string,
+ *   tag?: string,
+ *   from?: number | null,
+ *   to?: number | null
+ * }} HistoryQuery - empty fields match everything; from and to are inclusive timestamps
+ * @typedef {{ entries: HistoryEntry[], total: number }} HistoryPage - total: all entries matching the query
+ * @typedef {{ carriers: string[], regions: string[], tags: string[] }} HistoryFacets
+ * @typedef {{
+ *   add: HistoryEntry[],
+ *   duplicates: number,
+ *   expired: number,
+ *   invalid: import('./history-transfer.js').ImportProblem[],
+ *   overflow: number
+ * }} ImportPreview - add: entries not yet in history; duplicates: already in history or repeated
+ *   in the file; expired: older than the retention period; overflow: how many of the oldest
+ *   entries will not fit under the size limit
+ * @typedef {{ remote: boolean }} HistoryChange - remote: made in another tab
+ * @typedef {'keep' | 'redact' | 'drop'} CodePolicy
+ * @typedef {{ days: number | null, confirmationCodes: CodePolicy }} Retention - days: null keeps entries
+ *   until they fall off the size limit
+ * @typedef {{
+ *   kdf: import('./history-crypto.js').KdfParams,
+ *   check: import('./history-crypto.js').Envelope
+ * }} EncryptionMeta - check seals a list of entries not yet stored as records: empty,
+ *   or the whole of a history encrypted before the move to IndexedDB
  */
 
 /**
- * Create a history manager backed by the given storage.
- * @param {Storage} storage - localStorage or compatible mock
+ * Create a history manager backed by the given store.
+ * Call init() first; every other async method waits for it.
+ * The retention settings and private sessions are enforced here, whatever the UI does.
+ * @param {import('./history-store.js').HistoryBackend} backend - IndexedDB, or the in-memory stand-in
+ * @param {{
+ *   legacyStorage?: Storage | null,
+ *   sessionStorage?: Storage | null,
+ *   channel?: import('./tab-sync.js').TabChannel | null,
+ *   crypto?: Crypto,
+ *   iterations?: number
+ * }} [options] - legacyStorage: localStorage, to import history saved by older versions;
+ *   sessionStorage: to remember a private session across reloads; channel: to tell other
+ *   tabs about changes and hear about theirs; WebCrypto implementation and PBKDF2
+ *   iterations for newly encrypted history (tests use fewer)
  */
-export function createHistory(storage) {
-  function getAll() {
+export function createHistory(backend, {
+  legacyStorage = null,
+  sessionStorage = null,
+  channel = null,
+  crypto = globalThis.crypto,
+  iterations = PBKDF2_ITERATIONS,
+} = {}) {
+  /**
+   * Stored settings: maxEntries, retentionDays, confirmationCodes (CodePolicy),
+   * and encryption (EncryptionMeta) when encrypted.
+   */
+  let meta = {};
+  /** @type {Promise<void> | null} */
+  let ready = null;
+  /**
+   * Key and decrypted entries while encrypted history is unlocked.
+   * @type {{ key: CryptoKey, kdf: import('./history-crypto.js').KdfParams, cache: Map<string, HistoryEntry> } | null}
+   */
+  let session = null;
+  /**
+   * Entries added while locked. There is no key to seal them with, so they are
+   * only kept in memory until unlock saves them, and lost if the page closes first.
+   */
+  let pending = [];
+  /** Changes run one at a time, so each sees the result of the last. */
+  let queue = Promise.resolve();
+  let lastTimestamp = 0;
+  let lastPurge = 0;
+  let privateSession = readPrivate();
+  /** Set by every write; announced once the change that made it is done. */
+  let changed = false;
+  /** @type {Set<(change: HistoryChange) => void>} */
+  const listeners = new Set();
+
+  channel?.subscribe(message => {
+    if (message?.type === 'changed') reload();
+  });
+
+  /**
+   * Open the store and import history saved by older versions. Safe to call
+   * more than once; rejects if the store cannot be opened.
+   * @returns {Promise<void>}
+   */
+  function init() {
+    ready ??= (async () => {
+      await backend.open();
+      meta = await backend.getMeta();
+      await importLegacy();
+      await purgeExpired();
+      announce();
+    })();
+    return ready;
+  }
+
+  /**
+   * Another tab changed history: reread the settings and forget decrypted
+   * entries, which may be out of date. A key that no longer fits — encryption
+   * turned off, or on again with a new passphrase — is dropped too.
+   */
+  function reload() {
+    serial(async () => {
+      meta = await backend.getMeta();
+      if (session && meta.encryption?.kdf.salt !== session.kdf.salt) session = null;
+      session?.cache.clear();
+    }).then(() => emit({ remote: true }), err => console.error('History reload failed:', err));
+  }
+
+  /** Tell this tab's listeners and the other tabs about local writes, if any. */
+  function announce() {
+    if (!changed) return;
+    changed = false;
+    channel?.post({ type: 'changed' });
+    emit({ remote: false });
+  }
+
+  /** @param {HistoryChange} change */
+  function emit(change) {
+    for (const listener of listeners) listener(change);
+  }
+
+  /**
+   * Listen for changes to history, made here or in another tab.
+   * @param {(change: HistoryChange) => void} listener
+   * @returns {() => void} stops listening
+   */
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  /**
+   * One-time move of the old localStorage array, or of the single envelope it
+   * became when encrypted. The key is only removed once the store has the data.
+   * A plaintext array waits while encrypted history is locked, so that it is
+   * only ever stored sealed; unlock() imports it.
+   */
+  async function importLegacy() {
+    if (!legacyStorage) return;
+    let stored;
     try {
-      return JSON.parse(storage.getItem(STORAGE_KEY) || '[]');
+      stored = JSON.parse(legacyStorage.getItem(LEGACY_KEY) ?? 'null');
     } catch {
-      return [];
+      stored = null;
+    }
+    if (Array.isArray(stored)) {
+      if (isLocked()) return;
+      await write({ put: await Promise.all(stored.filter(isStoredEntry).map(cleanEntry).map(encode)) });
+    } else if (isEnvelope(stored)) {
+      // Two passphrases cannot be merged; leave it for a store that is not encrypted
+      if (meta.encryption) return;
+      await write({ meta: { encryption: { kdf: stored.kdf, check: stored } } });
+    } else if (stored !== null) {
+      return;
     }
+    legacyStorage.removeItem(LEGACY_KEY);
   }
 
-  function save(entries) {
-    storage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  /**
+   * @param {import('./history-store.js').WriteBatch} batch
+   */
+  async function write(batch) {
+    await backend.write(batch);
+    changed = true;
+    for (const [key, value] of Object.entries(batch.meta ?? {})) {
+      if (value === undefined) delete meta[key];
+      else meta[key] = value;
+    }
+    if (session) {
+      if (batch.clear) session.cache.clear();
+      for (const id of batch.remove ?? []) session.cache.delete(id);
+    }
   }
 
   /**
-   * Add a new history entry (most recent first, capped at MAX_ENTRIES).
+   * @template T
+   * @param {() => Promise<T>} change
+   * @returns {Promise<T>}
+   */
+  function serial(change) {
+    const run = queue.then(init).then(change).finally(announce);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  /** @returns {boolean} */
+  function readPrivate() {
+    try {
+      return sessionStorage?.getItem(PRIVATE_KEY) === '1';
+    } catch {
+      return false;
+    }
+  }
+
+  /** Drop the entries older than the retention period, readable or not. */
+  async function purgeExpired() {
+    lastPurge = Date.now();
+    if (!meta.retentionDays) return [];
+    const remove = await backend.idsBefore(cutoff());
+    if (remove.length) await write({ remove });
+    return remove;
+  }
+
+  /** Purge before a read once in a while, so a tab left open keeps to the policy too. */
+  async function expire() {
+    await init();
+    if (meta.retentionDays && Date.now() - lastPurge >= PURGE_INTERVAL_MS) await serial(purgeExpired);
+  }
+
+  /** @returns {number} entries saved before this are expired; 0 if none expire */
+  function cutoff() {
+    return meta.retentionDays ? Date.now() - meta.retentionDays * DAY_MS : 0;
+  }
+
+  /** @returns {boolean} true if history is stored encrypted */
+  function isEncrypted() {
+    return Boolean(meta.encryption);
+  }
+
+  /**
+   * Only meaningful once init() has resolved; until then no settings are read
+   * and history reports itself unencrypted.
+   * @returns {boolean} true if history is encrypted and the passphrase has not been entered
+   */
+  function isLocked() {
+    return !session && isEncrypted();
+  }
+
+  /** @returns {number} how many entries history keeps before dropping the oldest */
+  function getMaxEntries() {
+    return meta.maxEntries ?? DEFAULT_MAX_ENTRIES;
+  }
+
+  /**
+   * @param {import('./history-store.js').StoredRecord} record
+   * @returns {Promise<HistoryEntry>}
+   */
+  async function decode(record) {
+    if (!record.sealed) return record;
+    const cached = session.cache.get(record.id);
+    if (cached) return cached;
+    const entry = await unseal(crypto, session.key, record.sealed);
+    session.cache.set(record.id, entry);
+    return entry;
+  }
+
+  /**
+   * @param {HistoryEntry} entry
+   * @returns {Promise<import('./history-store.js').StoredRecord>}
+   */
+  async function encode(entry) {
+    if (!session) return entry;
+    session.cache.set(entry.id, entry);
+    return { id: entry.id, timestamp: entry.timestamp, sealed: await seal(crypto, session.key, session.kdf, entry) };
+  }
+
+  /** Drop the oldest entries over the size limit. */
+  async function prune() {
+    const excess = (await backend.count()) - getMaxEntries();
+    const remove = await backend.oldestIds(excess);
+    if (remove.length) await write({ remove });
+    return remove;
+  }
+
+  /** @returns {Promise<HistoryEntry[]>} most recent first; empty while locked */
+  async function getAll() {
+    await expire();
+    return readAll();
+  }
+
+  /** getAll() for use inside changes, which must not wait for the queue they run in. */
+  async function readAll() {
+    if (isLocked()) return [];
+    return Promise.all((await backend.all()).map(decode));
+  }
+
+  /** @returns {Promise<number>} entries stored, readable or not */
+  async function count() {
+    await expire();
+    return backend.count();
+  }
+
+  /**
+   * One page of entries, most recent first. Without filters only the page is
+   * read from the store; with filters every entry is searched.
+   * @param {{ offset?: number, limit?: number, filters?: HistoryQuery }} [options]
+   * @returns {Promise<HistoryPage>} empty while locked
+   */
+  async function getPage({ offset = 0, limit = PAGE_SIZE, filters = {} } = {}) {
+    await expire();
+    if (isLocked()) return { entries: [], total: 0 };
+    if (!Object.values(filters).some(value => value != null && value !== '')) {
+      const [records, total] = await Promise.all([backend.page(offset, limit), backend.count()]);
+      return { entries: await Promise.all(records.map(decode)), total };
+    }
+    const matches = await query(filters);
+    return { entries: matches.slice(offset, offset + limit), total: matches.length };
+  }
+
+  /**
+   * Add a new history entry, dropping the oldest over the size limit and any
+   * past the retention period. Confirmation codes are kept, redacted or left
+   * out as configured. In a private session nothing is saved.
+   * While locked the entry is kept in memory only and saved once history is
+   * unlocked; see pendingCount().
    * @param {Omit<HistoryEntry, 'id' | 'timestamp'>} entry
-   * @returns {HistoryEntry}
+   * @returns {Promise<HistoryEntry | null>} null in a private session
    */
   function add(entry) {
-    const newEntry = {
-      ...entry,
-      id: String(Date.now()) + Math.random().toString(36).slice(2, 6),
-      timestamp: Date.now(),
-    };
-    const entries = [newEntry, ...getAll()].slice(0, MAX_ENTRIES);
-    save(entries);
-    return newEntry;
+    return addAll([entry]).then(added => added[0] ?? null);
+  }
+
+  /**
+   * Add several entries in a single write, oldest first: either all of them are
+   * saved or, if the write fails, none. Otherwise as add().
+   * @param {Omit<HistoryEntry, 'id' | 'timestamp'>[]} entries
+   * @returns {Promise<HistoryEntry[]>} empty in a private session
+   */
+  function addAll(entries) {
+    if (privateSession) return Promise.resolve([]);
+    return serial(async () => {
+      const added = entries.map(entry => {
+        // Distinct timestamps keep the order of entries added in the same millisecond
+        lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+        return applyCodePolicy(cleanEntry({ ...entry, id: newId(), timestamp: lastTimestamp }), codePolicy());
+      });
+      if (isLocked()) {
+        pending = [...[...added].reverse(), ...pending].slice(0, getMaxEntries());
+        return added;
+      }
+      await write({ put: await Promise.all(added.map(encode)) });
+      await prune();
+      await purgeExpired();
+      return added;
+    });
   }
 
   /**
-   * Remove a single entry by id.
+   * Remove a single entry by id. Does nothing while locked.
    * @param {string} id
+   * @returns {Promise<void>}
    */
   function remove(id) {
-    save(getAll().filter(e => e.id !== id));
+    return serial(async () => {
+      if (!isLocked()) await write({ remove: [id] });
+    });
+  }
+
+  /**
+   * Change the note or tags of an entry. Does nothing while locked.
+   * @param {string} id
+   * @param {{ note?: string, tags?: string[] | string }} changes - tags may be a comma-separated string
+   * @returns {Promise<HistoryEntry | null>} the updated entry, or null if not found
+   */
+  function update(id, { note, tags }) {
+    return serial(async () => {
+      if (isLocked()) return null;
+      const record = await backend.get(id);
+      if (!record) return null;
+      const entry = await decode(record);
+      const updated = {
+        ...entry,
+        note: note === undefined ? cleanNote(entry.note) : cleanNote(note),
+        tags: normalizeTags(tags === undefined ? entry.tags : tags),
+      };
+      await write({ put: [await encode(updated)] });
+      return updated;
+    });
+  }
+
+  /**
+   * Move an entry to a lifecycle status, recording when. Does nothing while locked.
+   * @param {string} id
+   * @param {import('./lifecycle.js').Status} status
+   * @param {{ device?: string }} [options] - the device it was installed on or shared to
+   * @returns {Promise<HistoryEntry | null>} the updated entry, or null if not found
+   * @throws {Error} for an unknown status
+   */
+  function setStatus(id, status, { device } = {}) {
+    return serial(async () => {
+      if (isLocked()) return null;
+      const record = await backend.get(id);
+      if (!record) return null;
+      const entry = await decode(record);
+      const updated = { ...entry, ...transition(entry, status, { device }) };
+      await write({ put: [await encode(updated)] });
+      return updated;
+    });
+  }
+
+  /**
+   * The most recent entry for an eSIM that is marked installed, to warn before
+   * its activation code is used again. Matched on SM-DP+ address and activation
+   * code, so a confirmation code left out of history does not hide it.
+   * @param {string} lpaString
+   * @returns {Promise<HistoryEntry | null>} null if none, or while locked
+   */
+  async function findInstalled(lpaString) {
+    const parsed = parse(lpaString);
+    const sameProfile = parsed.success
+      ? e => e.smdpAddress.toLowerCase() === parsed.data.smdpAddress.toLowerCase() && e.activationCode === parsed.data.activationCode
+      : e => e.lpaString === lpaString;
+    return (await getAll()).find(e => sameProfile(e) && statusOf(e) === 'installed') ?? null;
+  }
+
+  /**
+   * Entries matching a search and filters, most recent first.
+   * @param {HistoryQuery} [filters]
+   * @returns {Promise<HistoryEntry[]>}
+   */
+  async function query(filters = {}) {
+    return (await getAll()).filter(e => matchesQuery(e, filters));
+  }
+
+  /**
+   * The carriers, regions and tags present, for filter menus.
+   * @returns {Promise<HistoryFacets>}
+   */
+  async function facets() {
+    const carriers = new Set();
+    const regions = new Set();
+    const tags = new Map();
+    for (const entry of await getAll()) {
+      if (entry.carrierName) carriers.add(entry.carrierName);
+      const region = entryRegion(entry);
+      if (region) regions.add(region);
+      for (const tag of entry.tags ?? []) if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    }
+    const sorted = values => [...values].sort((a, b) => a.localeCompare(b));
+    return { carriers: sorted(carriers), regions: sorted(regions), tags: sorted(tags.values()) };
+  }
+
+  /**
+   * Change how many entries history keeps. Lowering it drops the oldest at once.
+   * @param {number} limit
+   * @returns {Promise<number>} how many entries were dropped
+   * @throws {Error} if limit is not a whole number of at least 1
+   */
+  function setMaxEntries(limit) {
+    if (!Number.isInteger(limit) || limit < 1) return Promise.reject(new Error('History size must be a whole number of entries.'));
+    return serial(async () => {
+      await write({ meta: { maxEntries: limit } });
+      pending = pending.slice(0, limit);
+      return (await prune()).length;
+    });
+  }
+
+  /** @returns {CodePolicy} */
+  function codePolicy() {
+    return meta.confirmationCodes ?? 'keep';
+  }
+
+  /** @returns {Retention} */
+  function getRetention() {
+    return { days: meta.retentionDays ?? null, confirmationCodes: codePolicy() };
+  }
+
+  /**
+   * Change the retention settings and apply them to history at once: expired
+   * entries are deleted and stored confirmation codes redacted or removed.
+   * @param {Partial<Retention>} changes
+   * @returns {Promise<{ expired: number, rewritten: number }>} entries deleted, and entries
+   *   whose confirmation code was redacted or removed
+   * @throws {Error} for invalid settings, or if confirmation codes must be removed while locked
+   */
+  function setRetention({ days = getRetention().days, confirmationCodes = codePolicy() }) {
+    if (days !== null && (!Number.isInteger(days) || days < 1)) {
+      return Promise.reject(new Error('Retention must be a whole number of days.'));
+    }
+    if (!CODE_POLICIES.includes(confirmationCodes)) {
+      return Promise.reject(new Error(`Unknown confirmation code setting: ${confirmationCodes}`));
+    }
+    return serial(async () => {
+      let rewritten = [];
+      if (confirmationCodes !== 'keep') {
+        const entries = await readAll();
+        rewritten = entries.map(e => applyCodePolicy(e, confirmationCodes)).filter((e, i) => e !== entries[i]);
+        if (rewritten.length && isLocked()) throw new Error('Unlock history first.');
+      }
+      pending = pending.map(e => applyCodePolicy(e, confirmationCodes));
+      await write({
+        put: await Promise.all(rewritten.map(encode)),
+        meta: { retentionDays: days ?? undefined, confirmationCodes },
+      });
+      return { expired: (await purgeExpired()).length, rewritten: rewritten.length };
+    });
+  }
+
+  /** @returns {boolean} true while nothing is being saved */
+  function isPrivate() {
+    return privateSession;
+  }
+
+  /**
+   * Start or end a private session, in which add() saves nothing.
+   * Lasts until turned off or the tab is closed.
+   * @param {boolean} on
+   */
+  function setPrivate(on) {
+    privateSession = Boolean(on);
+    try {
+      if (privateSession) sessionStorage?.setItem(PRIVATE_KEY, '1');
+      else sessionStorage?.removeItem(PRIVATE_KEY);
+    } catch {
+      // Still private for as long as the page stays open
+    }
   }
 
-  /** Remove all history entries. */
+  /**
+   * Export entries to a file.
+   * @param {'json' | 'csv'} format
+   * @param {string[]} [ids] - only these entries; all of them by default
+   * @returns {Promise<string>} file contents
+   * @throws {Error} while locked
+   */
+  async function exportEntries(format, ids) {
+    await init();
+    if (isLocked()) throw new Error('Unlock history first.');
+    const wanted = ids ? new Set(ids) : null;
+    const entries = (await getAll()).filter(e => !wanted || wanted.has(e.id));
+    return format === 'csv' ? toExportCSV(entries) : toExportJSON(entries);
+  }
+
+  /**
+   * Check an exported file against history without changing anything.
+   * Entries are matched by LPA string, so an eSIM already saved is not added twice.
+   * @param {string} text - JSON or CSV file contents
+   * @returns {Promise<ImportPreview>}
+   * @throws {Error} while locked, or if the file is not a history export
+   */
+  async function previewImport(text) {
+    await init();
+    if (isLocked()) throw new Error('Unlock history first.');
+    const { entries, invalid } = readImport(text);
+    const existing = await getAll();
+    const known = new Set(existing.map(e => e.lpaString));
+    const add = [];
+    let duplicates = 0;
+    let expired = 0;
+    for (const entry of entries) {
+      if (entry.timestamp < cutoff()) { expired++; continue; }
+      const cleaned = applyCodePolicy(cleanEntry({ ...entry, id: newId() }), codePolicy());
+      if (known.has(cleaned.lpaString)) { duplicates++; continue; }
+      known.add(cleaned.lpaString);
+      add.push(cleaned);
+    }
+    const overflow = Math.max(0, existing.length + add.length - getMaxEntries());
+    return { add, duplicates, expired, invalid, overflow };
+  }
+
+  /**
+   * Add the entries of an import preview, merged into history by date.
+   * Entries saved in the meantime with the same LPA string are not duplicated.
+   * @param {ImportPreview} preview
+   * @returns {Promise<number>} how many imported entries are now in history
+   * @throws {Error} while locked
+   */
+  function commitImport(preview) {
+    return serial(async () => {
+      if (isLocked()) throw new Error('Unlock history first.');
+      const known = new Set((await readAll()).map(e => e.lpaString));
+      const add = preview.add
+        .filter(e => !known.has(e.lpaString) && e.timestamp >= cutoff())
+        .map(e => applyCodePolicy(e, codePolicy()));
+      await write({ put: await Promise.all(add.map(encode)) });
+      const dropped = new Set(await prune());
+      return add.filter(e => !dropped.has(e.id)).length;
+    });
+  }
+
+  /**
+   * Remove all history entries. Unlocked encrypted history stays encrypted;
+   * locked history is deleted outright, which also turns encryption off —
+   * the way out when the passphrase is forgotten.
+   * @returns {Promise<void>}
+   */
   function clear() {
-    storage.removeItem(STORAGE_KEY);
+    return serial(async () => {
+      pending = [];
+      await write({ clear: true, meta: session ? {} : { encryption: undefined } });
+    });
+  }
+
+  /**
+   * Encrypt history with a passphrase. The existing entries are sealed, and
+   * checked to decrypt, before they replace the plaintext in a single
+   * transaction, so a failure leaves the old history untouched.
+   * History stays unlocked afterwards.
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} if already encrypted or the passphrase is too short
+   */
+  function enableEncryption(passphrase) {
+    return serial(async () => {
+      if (isEncrypted()) throw new Error('History is already encrypted.');
+      checkPassphrase(passphrase);
+      const kdf = newKdf(crypto, iterations);
+      const key = await deriveKey(crypto, passphrase, kdf);
+      const check = await seal(crypto, key, kdf, []);
+      await unseal(crypto, key, check);
+      const entries = await readAll();
+      session = { key, kdf, cache: new Map() };
+      try {
+        await write({ put: await Promise.all(entries.map(encode)), meta: { encryption: { kdf, check } } });
+      } catch (err) {
+        session = null;
+        throw err;
+      }
+    });
   }
 
-  return { getAll, add, remove, clear };
+  /**
+   * Turn encryption off, storing the unlocked entries in plaintext again.
+   * @returns {Promise<void>}
+   * @throws {Error} if history is locked
+   */
+  function disableEncryption() {
+    return serial(async () => {
+      if (!session) throw new Error(isEncrypted() ? 'Unlock history first.' : 'History is not encrypted.');
+      const entries = await readAll();
+      await write({ put: entries, meta: { encryption: undefined } });
+      session = null;
+    });
+  }
+
+  /**
+   * Decrypt history with the passphrase. Entries added while locked, and any
+   * stored in plaintext or carried over from older versions, are sealed and saved,
+   * as is history still waiting in localStorage.
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} if the passphrase is wrong
+   */
+  function unlock(passphrase) {
+    return serial(async () => {
+      if (!isEncrypted()) throw new Error('History is not encrypted.');
+      const { kdf, check } = meta.encryption;
+      const key = await deriveKey(crypto, passphrase, kdf);
+      const carried = await unseal(crypto, key, check);
+      session = { key, kdf, cache: new Map() };
+
+      const plain = (await backend.all()).filter(record => !record.sealed);
+      const carriedEntries = Array.isArray(carried) ? carried.filter(isStoredEntry).map(cleanEntry) : [];
+      const unsealed = [...pending, ...plain, ...carriedEntries];
+      pending = [];
+      if (unsealed.length > 0) {
+        await write({
+          put: await Promise.all(unsealed.map(encode)),
+          meta: carriedEntries.length ? { encryption: { kdf, check: await seal(crypto, key, kdf, []) } } : {},
+        });
+      }
+      await importLegacy();
+      await prune();
+    });
+  }
+
+  /** @returns {number} entries added while locked, lost unless history is unlocked before the page closes */
+  function pendingCount() {
+    return pending.length;
+  }
+
+  /** Forget the key and the decrypted entries. */
+  function lock() {
+    session = null;
+  }
+
+  return {
+    init, subscribe, getAll, getPage, count, add, addAll, update, setStatus, findInstalled, remove, clear, query, facets,
+    getMaxEntries, setMaxEntries, getRetention, setRetention, isPrivate, setPrivate,
+    exportEntries, previewImport, commitImport,
+    isEncrypted, isLocked, pendingCount, enableEncryption, disableEncryption, unlock, lock,
+  };
 }
 
-/** Singleton backed by window.localStorage (used in browser). */
-export const History = createHistory(
-  typeof localStorage !== 'undefined' ? localStorage : {
-    getItem: () => null,
-    setItem: () => {},
-    removeItem: () => {},
+/**
+ * Whether an entry matches a query. Text is searched case-insensitively in the
+ * carrier, SM-DP+ address, note, tags and device; every word must appear.
+ * @param {HistoryEntry} entry
+ * @param {HistoryQuery} query
+ * @returns {boolean}
+ */
+export function matchesQuery(entry, { text = '', action = '', carrier = '', region = '', tag = '', from = null, to = null }) {
+  if (action && entry.action !== action) return false;
+  if (carrier && entry.carrierName !== carrier) return false;
+  if (region && entryRegion(entry) !== region) return false;
+  if (tag && !(entry.tags ?? []).some(t => t.toLowerCase() === tag.toLowerCase())) return false;
+  if (from != null && entry.timestamp < from) return false;
+  if (to != null && entry.timestamp > to) return false;
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const haystack = [entry.carrierName, entry.smdpAddress, entry.note, ...(entry.tags ?? []), entry.device].join('\n').toLowerCase();
+  return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Clean up user-entered tags: trimmed, inner spaces collapsed, duplicates
+ * (ignoring case) dropped, and long or excess tags cut.
+ * @param {string[] | string | undefined} tags - a list, or a comma-separated string
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : (tags ?? []);
+  const seen = new Set();
+  const result = [];
+  for (const raw of list) {
+    const tag = String(raw).replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH);
+    if (!tag || seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    result.push(tag);
   }
+  return result.slice(0, MAX_TAGS);
+}
+
+function newId() {
+  return String(Date.now()) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * @param {unknown} value - from storage or an import
+ * @returns {boolean} true if it has what the store needs to keep it in order
+ */
+function isStoredEntry(value) {
+  return value !== null && typeof value === 'object' && typeof value.id === 'string' && typeof value.timestamp === 'number';
+}
+
+/**
+ * @param {HistoryEntry} entry
+ * @returns {HistoryEntry} with a clean note, tags and lifecycle
+ */
+function cleanEntry(entry) {
+  return { ...entry, note: cleanNote(entry.note), tags: normalizeTags(entry.tags), ...cleanLifecycle(entry) };
+}
+
+/**
+ * Keep, redact or remove the confirmation code of an entry, including the copy in its LPA string.
+ * @template {{ confirmationCode: string, lpaString: string }} T
+ * @param {T} entry - a history entry, or parsed eSIM data
+ * @param {CodePolicy} policy
+ * @returns {T} the same object if nothing changes
+ */
+export function applyCodePolicy(entry, policy) {
+  const code = policy === 'redact' ? REDACTED_CODE : '';
+  if (policy === 'keep' || !entry.confirmationCode || entry.confirmationCode === code) return entry;
+  const parsed = parse(entry.lpaString);
+  const lpaString = parsed.success ? generateLPA({ ...parsed.data, confirmationCode: '' }) : entry.lpaString;
+  return { ...entry, confirmationCode: code, lpaString };
+}
+
+/** @param {unknown} note */
+function cleanNote(note) {
+  return typeof note === 'string' ? note.trim().slice(0, MAX_NOTE_LENGTH) : '';
+}
+
+/**
+ * Region from the carrier database; not stored, so older entries have one too.
+ * @param {HistoryEntry} entry
+ */
+function entryRegion(entry) {
+  return lookupCarrier(entry.smdpAddress)?.region || '';
+}
+
+/**
+ * @param {string} passphrase
+ * @throws {Error} if it is too short to resist guessing
+ */
+function checkPassphrase(passphrase) {
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+  }
+}
+
+/**
+ * Singleton backed by IndexedDB (used in browser), importing the localStorage
+ * history of older versions and kept in step with other open tabs.
+ * Falls back to memory where IndexedDB is missing.
+ */
+const persistent = typeof indexedDB !== 'undefined';
+export const History = createHistory(
+  persistent ? createIndexedDBBackend(indexedDB) : createMemoryBackend(),
+  {
+    legacyStorage: typeof localStorage !== 'undefined' ? localStorage : null,
+    sessionStorage: typeof sessionStorage !== 'undefined' ? sessionStorage : null,
+    // Tabs only share history kept in IndexedDB
+    channel: persistent ? createTabChannel('history') : null,
+  },
 );
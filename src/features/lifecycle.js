@@ -0,0 +1,81 @@
+/**
+ * Lifecycle status of the eSIM behind a history entry.
+ * Activation codes are normally single-use, so recording which were installed,
+ * and on which device, stops one being handed out twice.
+ */
+
+/** @typedef {'new' | 'shared' | 'installed' | 'failed' | 'removed'} Status */
+
+/** In lifecycle order; 'removed' means deleted from the device. */
+export const STATUSES = /** @type {Status[]} */ (['new', 'shared', 'installed', 'failed', 'removed']);
+
+/** @type {Record<Status, string>} */
+export const STATUS_LABELS = {
+  new: 'New',
+  shared: 'Shared',
+  installed: 'Installed',
+  failed: 'Install failed',
+  removed: 'Deleted from device',
+};
+
+export const MAX_DEVICE_LENGTH = 60;
+/** Older changes are dropped beyond this many. */
+const MAX_LOG_LENGTH = 50;
+
+/**
+ * @typedef {{ status: Status, at: number, device: string }} StatusChange
+ * @typedef {{ status: Status, device: string, statusLog: StatusChange[] }} Lifecycle
+ */
+
+/**
+ * @param {{ status?: unknown }} entry
+ * @returns {Status} 'new' for entries saved before statuses existed
+ */
+export function statusOf(entry) {
+  return STATUSES.includes(entry.status) ? entry.status : 'new';
+}
+
+/**
+ * The valid recorded changes, oldest first. Entries without any get a single
+ * change to their current status at the time they were saved.
+ * @param {{ status?: unknown, statusLog?: unknown, timestamp: number }} entry
+ * @returns {StatusChange[]}
+ */
+export function statusLogOf(entry) {
+  const log = Array.isArray(entry.statusLog)
+    ? entry.statusLog
+      .filter(c => c && STATUSES.includes(c.status) && Number.isFinite(c.at))
+      .map(c => ({ status: c.status, at: c.at, device: cleanDevice(c.device) }))
+    : [];
+  return log.length ? log.slice(-MAX_LOG_LENGTH) : [{ status: statusOf(entry), at: entry.timestamp, device: '' }];
+}
+
+/**
+ * Lifecycle fields checked and filled in, for stored or imported entries.
+ * @param {{ status?: unknown, device?: unknown, statusLog?: unknown, timestamp: number }} entry
+ * @returns {Lifecycle}
+ */
+export function cleanLifecycle(entry) {
+  return { status: statusOf(entry), device: cleanDevice(entry.device), statusLog: statusLogOf(entry) };
+}
+
+/**
+ * Move an entry to a status, recording the change.
+ * @param {{ status?: unknown, device?: unknown, statusLog?: unknown, timestamp: number }} entry
+ * @param {Status} status
+ * @param {{ device?: string, at?: number }} [options] - device: the target device label;
+ *   unchanged when omitted
+ * @returns {Lifecycle} fields to merge into the entry
+ * @throws {Error} for an unknown status
+ */
+export function transition(entry, status, { device, at = Date.now() } = {}) {
+  if (!STATUSES.includes(status)) throw new Error(`Unknown status: ${status}`);
+  const label = device === undefined ? cleanDevice(entry.device) : cleanDevice(device);
+  const statusLog = [...statusLogOf(entry), { status, at, device: label }].slice(-MAX_LOG_LENGTH);
+  return { status, device: label, statusLog };
+}
+
+/** @param {unknown} device */
+function cleanDevice(device) {
+  return typeof device === 'string' ? device.replace(/\s+/g, ' ').trim().slice(0, MAX_DEVICE_LENGTH) : '';
+}
@@ -0,0 +1,99 @@
+/**
+ * Batch scanning of several files at once (multi-file drop, file picker or paste).
+ * Files are scanned one after another so a large batch never decodes in parallel,
+ * and each result is classified for the summary table.
+ */
+
+import { parse, repair } from '../core/parser.js';
+
+/**
+ * @typedef {'decoded' | 'repair' | 'failed'} QueueStatus
+ * @typedef {{
+ *   name: string,
+ *   status: QueueStatus,
+ *   payloads: string[],
+ *   detail: string
+ * }} QueueResult
+ * @typedef {{ decoded: number, repair: number, failed: number }} QueueSummary
+ */
+
+/**
+ * Classify one decoded payload.
+ * @param {string} raw
+ * @returns {QueueStatus} 'failed' when it is not an eSIM code at all
+ */
+export function classifyPayload(raw) {
+  if (parse(raw).success) return 'decoded';
+  if (repair(raw).success) return 'repair';
+  return 'failed';
+}
+
+/**
+ * Classify a file from the codes found in it. A file counts as decoded only if
+ * every code is a valid eSIM; one near miss means it needs repair.
+ * @param {string} name
+ * @param {string[]} payloads
+ * @returns {QueueResult}
+ */
+export function classifyFile(name, payloads) {
+  const statuses = payloads.map(classifyPayload);
+  const count = payloads.length === 1 ? '1 code' : `${payloads.length} codes`;
+  if (statuses.length === 0) return { name, status: 'failed', payloads, detail: 'No QR code detected' };
+  if (statuses.every(s => s === 'decoded')) return { name, status: 'decoded', payloads, detail: count };
+  if (statuses.includes('repair')) {
+    const fixable = statuses.filter(s => s === 'repair').length;
+    return { name, status: 'repair', payloads, detail: `${count}, ${fixable} non-standard` };
+  }
+  return { name, status: 'failed', payloads, detail: `${count}, not an eSIM code` };
+}
+
+/**
+ * Scan files in order.
+ * @param {File[]} files
+ * @param {{
+ *   scan: (file: File) => Promise<string[]>,
+ *   onProgress?: (index: number, total: number, result: QueueResult | null) => void
+ * }} options - scan returns the payloads found in one file and throws when it cannot be read;
+ *   onProgress is called with a null result before each file and with its result after
+ * @returns {Promise<QueueResult[]>} one per file, in the given order
+ */
+export async function scanQueue(files, { scan, onProgress }) {
+  const results = [];
+  for (const [index, file] of files.entries()) {
+    onProgress?.(index, files.length, null);
+    let result;
+    try {
+      result = classifyFile(file.name, await scan(file));
+    } catch (err) {
+      result = { name: file.name, status: 'failed', payloads: [], detail: err.message };
+    }
+    results.push(result);
+    onProgress?.(index, files.length, result);
+  }
+  return results;
+}
+
+/**
+ * Count results by status.
+ * @param {QueueResult[]} results
+ * @returns {QueueSummary}
+ */
+export function summarize(results) {
+  const summary = { decoded: 0, repair: 0, failed: 0 };
+  for (const result of results) summary[result.status]++;
+  return summary;
+}
+
+/**
+ * Image files from a paste event's clipboard data, named so they can be told apart.
+ * @param {DataTransfer | null} clipboardData
+ * @returns {File[]}
+ */
+export function pastedImages(clipboardData) {
+  if (!clipboardData) return [];
+  const files = [...(clipboardData.files ?? [])].filter(f => f.type.startsWith('image/'));
+  return files.map((file, i) => {
+    const name = files.length > 1 ? `Pasted image ${i + 1}` : 'Pasted image';
+    return new File([file], name, { type: file.type });
+  });
+}
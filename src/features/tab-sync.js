@@ -0,0 +1,78 @@
+/**
+ * Messages between open tabs of the app.
+ * Uses BroadcastChannel where available, otherwise localStorage `storage`
+ * events, which browsers fire in every tab except the one that wrote.
+ */
+
+const STORAGE_PREFIX = 'esimswap_sync_';
+
+/**
+ * @typedef {{
+ *   transport: 'broadcast' | 'storage' | 'none',
+ *   post: (message: unknown) => void,
+ *   subscribe: (listener: (message: unknown) => void) => () => void,
+ *   close: () => void
+ * }} TabChannel - post reaches the other tabs only, never the sender. With the
+ *   'storage' transport messages pass through localStorage, however briefly, so
+ *   they must not carry secrets; 'none' reaches no one
+ */
+
+/**
+ * @param {string} name - tabs talk to each other on channels of the same name
+ * @param {{
+ *   BroadcastChannel?: typeof BroadcastChannel | null,
+ *   storage?: Storage,
+ *   target?: EventTarget
+ * }} [env] - defaults to the global scope; target receives storage events, a
+ *   null BroadcastChannel forces the storage fallback and a null storage rules it out
+ * @returns {TabChannel}
+ */
+export function createTabChannel(name, {
+  BroadcastChannel: Channel = globalThis.BroadcastChannel,
+  storage = globalThis.localStorage,
+  target = globalThis,
+} = {}) {
+  const listeners = new Set();
+  const deliver = (message) => { for (const listener of listeners) listener(message); };
+
+  if (Channel) {
+    const channel = new Channel(`esimswap-${name}`);
+    channel.addEventListener('message', (e) => deliver(e.data));
+    return {
+      transport: 'broadcast',
+      post: (message) => channel.postMessage(message),
+      subscribe: (listener) => { listeners.add(listener); return () => listeners.delete(listener); },
+      close: () => { listeners.clear(); channel.close(); },
+    };
+  }
+
+  if (!storage || !target?.addEventListener) {
+    return { transport: 'none', post() {}, subscribe: () => () => {}, close() {} };
+  }
+
+  const key = STORAGE_PREFIX + name;
+  const onStorage = (e) => {
+    if (e.key !== key || !e.newValue) return;
+    try {
+      deliver(JSON.parse(e.newValue).message);
+    } catch {
+      // Not one of ours
+    }
+  };
+  target.addEventListener('storage', onStorage);
+  return {
+    transport: 'storage',
+    post(message) {
+      try {
+        // The nonce makes repeated messages fire again; removing the item right away
+        // still notifies the other tabs and leaves nothing behind in storage
+        storage.setItem(key, JSON.stringify({ message, nonce: Math.random() }));
+        storage.removeItem(key);
+      } catch {
+        // Storage disabled: the other tabs catch up on their next reload
+      }
+    },
+    subscribe: (listener) => { listeners.add(listener); return () => listeners.delete(listener); },
+    close: () => { listeners.clear(); target.removeEventListener('storage', onStorage); },
+  };
+}
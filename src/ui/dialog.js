@@ -99,4 +99,84 @@ export function buildDataDisplay(fields) {
   return container;
 }
 
-export const Dialog = { show, close, buildDataDisplay };
+/**
+ * Build a safe DOM list of parser diagnostics.
+ * When onLocate is given, each row gets a "Show" button that closes the dialog
+ * and passes the diagnostic back so the caller can highlight its span.
+ * @param {import('../core/lint.js').Diagnostic[]} diagnostics
+ * @param {(diagnostic: import('../core/lint.js').Diagnostic) => void} [onLocate]
+ * @returns {HTMLElement}
+ */
+export function buildDiagnosticList(diagnostics, onLocate) {
+  const list = document.createElement('ul');
+  list.className = 'dialog-diagnostics';
+  for (const d of diagnostics) {
+    const item = document.createElement('li');
+    item.className = `dialog-diagnostic dialog-diagnostic-${d.severity}`;
+    const code = document.createElement('code');
+    code.className = 'dialog-diagnostic-code';
+    code.textContent = d.code;
+    const message = document.createElement('span');
+    message.className = 'dialog-diagnostic-message';
+    message.textContent = d.message; // safe: textContent
+    item.append(code, message);
+    if (d.suggestion) {
+      const hint = document.createElement('small');
+      hint.className = 'dialog-diagnostic-hint';
+      hint.textContent = d.suggestion;
+      item.appendChild(hint);
+    }
+    if (onLocate) {
+      const btn = document.createElement('button');
+      btn.className = 'dialog-diagnostic-locate';
+      btn.textContent = 'Show';
+      btn.addEventListener('click', () => {
+        close();
+        onLocate(d);
+      });
+      item.appendChild(btn);
+    }
+    list.appendChild(item);
+  }
+  return list;
+}
+
+/**
+ * Build a safe radio list for picking one of several options.
+ * The first option starts selected.
+ * @param {{ label: string, detail?: string }[]} choices
+ * @param {(index: number) => void} onSelect
+ * @returns {HTMLElement}
+ */
+export function buildChoiceList(choices, onSelect) {
+  const list = document.createElement('div');
+  list.className = 'dialog-choices';
+  list.setAttribute('role', 'radiogroup');
+  const name = `dialog-choice-${Date.now()}`;
+  choices.forEach(({ label, detail }, index) => {
+    const row = document.createElement('label');
+    row.className = 'dialog-choice';
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = name;
+    radio.checked = index === 0;
+    radio.addEventListener('change', () => { if (radio.checked) onSelect(index); });
+    const text = document.createElement('span');
+    text.className = 'dialog-choice-text';
+    const labelEl = document.createElement('code');
+    labelEl.className = 'dialog-data-value';
+    labelEl.textContent = label; // safe: textContent
+    text.appendChild(labelEl);
+    if (detail) {
+      const detailEl = document.createElement('small');
+      detailEl.className = 'dialog-choice-detail';
+      detailEl.textContent = detail;
+      text.appendChild(detailEl);
+    }
+    row.append(radio, text);
+    list.appendChild(row);
+  });
+  return list;
+}
+
+export const Dialog = { show, close, buildDataDisplay, buildDiagnosticList, buildChoiceList };
@@ -0,0 +1,36 @@
+/**
+ * Short beep and vibration when the camera picks up a new code,
+ * so batch scanning works without watching the screen.
+ */
+
+let audioContext = null;
+
+const TONES = {
+  new: { frequency: 880, duration: 0.08, vibrate: 60 },
+  ignored: { frequency: 220, duration: 0.15, vibrate: [40, 60, 40] },
+};
+
+/**
+ * Signal a scan. Browsers without audio or vibration simply stay silent.
+ * @param {'new' | 'ignored'} kind - a new eSIM, or a code that is not one
+ */
+export function signal(kind) {
+  const tone = TONES[kind];
+  navigator.vibrate?.(tone.vibrate);
+  try {
+    // Created on first use, after a click (Start Scanning), so autoplay rules allow it
+    audioContext ??= new AudioContext();
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = tone.frequency;
+    gain.gain.setValueAtTime(0.2, audioContext.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + tone.duration);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start();
+    oscillator.stop(audioContext.currentTime + tone.duration);
+  } catch {
+    // No Web Audio
+  }
+}
+
+export const Feedback = { signal };
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createScanBatch, batchToCSV } from '../src/features/camera-batch.js';
+
+const VALID = 'LPA:1$SMDP.EXAMPLE.COM$ABC12-DEF34-GHI56-JKL78';
+const NEAR_MISS = 'LPA:SMDP.EXAMPLE.COM$ABC12-DEF34'; // version number missing
+const NEAR_MISS_FIXED = 'LPA:1$SMDP.EXAMPLE.COM$ABC12-DEF34';
+const OTHER = 'LPA:1$rsp.example.net$ZZZ99-YYY88';
+
+describe('scan batch', () => {
+  it('adds each eSIM once, however often it is seen', () => {
+    const batch = createScanBatch();
+    assert.equal(batch.add(VALID).outcome, 'new');
+    assert.equal(batch.add(VALID).outcome, 'duplicate');
+    assert.equal(batch.add(` ${VALID}\n`).outcome, 'duplicate');
+    assert.equal(batch.add(OTHER).outcome, 'new');
+    assert.deepEqual(batch.getAll().map(e => e.raw), [VALID, OTHER]);
+  });
+
+  it('repairs non-standard codes and matches them to the standard form', () => {
+    const batch = createScanBatch();
+    const { outcome, entry } = batch.add(NEAR_MISS);
+    assert.equal(outcome, 'new');
+    assert.equal(entry.status, 'repair');
+    assert.equal(entry.data.lpaString, NEAR_MISS_FIXED);
+    assert.ok(entry.problem);
+    assert.deepEqual(batch.add(NEAR_MISS_FIXED), { outcome: 'duplicate', entry });
+  });
+
+  it('reports a non-eSIM code once, then treats it as a duplicate', () => {
+    const batch = createScanBatch();
+    assert.deepEqual(batch.add('https://example.com/menu'), { outcome: 'ignored', entry: null });
+    assert.equal(batch.add('https://example.com/menu').outcome, 'duplicate');
+    assert.deepEqual(batch.getAll(), []);
+  });
+
+  it('forgets removed entries so they can be scanned again', () => {
+    const batch = createScanBatch();
+    const { entry } = batch.add(VALID);
+    batch.add(OTHER);
+    batch.remove(entry);
+    assert.equal(batch.getAll().length, 1);
+    assert.equal(batch.add(VALID).outcome, 'new');
+    batch.clear();
+    assert.deepEqual(batch.getAll(), []);
+    assert.equal(batch.add(OTHER).outcome, 'new');
+  });
+});
+
+describe('batchToCSV', () => {
+  it('writes a header and one quoted-as-needed row per eSIM', () => {
+    const batch = createScanBatch();
+    batch.add(VALID);
+    const entry = { ...batch.getAll()[0], carrierName: 'Carrier, Inc.', raw: '=cmd' };
+    const lines = batchToCSV([entry]).split('\r\n');
+    assert.equal(lines[0], 'status,carrierName,smdpAddress,activationCode,confirmationCode,lpaString,raw');
+    assert.equal(lines[1], `decoded,"Carrier, Inc.",SMDP.EXAMPLE.COM,ABC12-DEF34-GHI56-JKL78,,${VALID},'=cmd`);
+    assert.equal(lines[2], '');
+  });
+});
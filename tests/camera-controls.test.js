@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { videoConstraints, listCameras, readControls, focusAt, setTorch, tapPoint } from '../src/core/camera-controls.js';
+
+/** A MediaStreamTrack stand-in that records applied constraints. */
+function fakeTrack(capabilities, settings = {}) {
+  const applied = [];
+  return {
+    applied,
+    getCapabilities: () => capabilities,
+    getSettings: () => settings,
+    applyConstraints: async (c) => { applied.push(c); },
+  };
+}
+
+describe('videoConstraints', () => {
+  it('asks for the exact camera when one is given, else the rear camera', () => {
+    assert.deepEqual(videoConstraints('abc').deviceId, { exact: 'abc' });
+    assert.equal(videoConstraints('abc').facingMode, undefined);
+    assert.deepEqual(videoConstraints(null).facingMode, { ideal: 'environment' });
+  });
+});
+
+describe('listCameras', () => {
+  it('keeps video inputs and numbers unlabelled ones', async () => {
+    const cameras = await listCameras({
+      enumerateDevices: async () => [
+        { kind: 'audioinput', deviceId: 'mic', label: 'Mic' },
+        { kind: 'videoinput', deviceId: 'a', label: 'Back Camera' },
+        { kind: 'videoinput', deviceId: 'b', label: '' },
+      ],
+    });
+    assert.deepEqual(cameras, [{ deviceId: 'a', label: 'Back Camera' }, { deviceId: 'b', label: 'Camera 2' }]);
+  });
+});
+
+describe('readControls', () => {
+  it('reports torch, zoom and focus from capabilities', () => {
+    const controls = readControls(fakeTrack(
+      { torch: true, zoom: { min: 1, max: 8, step: 0.1 }, focusMode: ['continuous', 'manual'], focusDistance: { min: 0, max: 1, step: 0.01 } },
+      { zoom: 2 },
+    ));
+    assert.equal(controls.torch, true);
+    assert.deepEqual(controls.zoom, { min: 1, max: 8, step: 0.1, value: 2 });
+    assert.equal(controls.tapToFocus, true);
+    assert.deepEqual(controls.focusDistance, { min: 0, max: 1, step: 0.01, value: 0 });
+  });
+
+  it('offers nothing for cameras without capabilities', () => {
+    const none = { torch: false, zoom: null, tapToFocus: false, focusDistance: null };
+    assert.deepEqual(readControls({}), none);
+    assert.deepEqual(readControls(fakeTrack({ zoom: { min: 1, max: 1 }, focusMode: ['fixed'] })), none);
+  });
+});
+
+describe('track constraints', () => {
+  it('focuses at a point with single-shot focus where available', async () => {
+    const track = fakeTrack({ focusMode: ['continuous', 'single-shot'] });
+    await focusAt(track, { x: 0.25, y: 0.5 });
+    assert.deepEqual(track.applied, [{ advanced: [{ focusMode: 'single-shot', pointsOfInterest: [{ x: 0.25, y: 0.5 }] }] }]);
+  });
+
+  it('switches the torch through advanced constraints', async () => {
+    const track = fakeTrack({ torch: true });
+    await setTorch(track, true);
+    assert.deepEqual(track.applied, [{ advanced: [{ torch: true }] }]);
+  });
+});
+
+describe('tapPoint', () => {
+  it('maps a tap into the 0–1 range of the video, clamped to its edges', () => {
+    const rect = { left: 100, top: 50, width: 400, height: 200 };
+    assert.deepEqual(tapPoint(200, 150, rect), { x: 0.25, y: 0.5 });
+    assert.deepEqual(tapPoint(0, 500, rect), { x: 0, y: 1 });
+  });
+});
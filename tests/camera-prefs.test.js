@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCameraPrefs } from '../src/features/camera-prefs.js';
+
+// In-memory mock for localStorage
+function createMockStorage() {
+  const store = {};
+  return {
+    getItem: (k) => store[k] ?? null,
+    setItem: (k, v) => { store[k] = String(v); },
+    removeItem: (k) => { delete store[k]; },
+  };
+}
+
+describe('camera prefs', () => {
+  it('remembers and forgets the chosen camera', () => {
+    const storage = createMockStorage();
+    assert.equal(createCameraPrefs(storage).getDeviceId(), null);
+    createCameraPrefs(storage).setDeviceId('abc');
+    assert.equal(createCameraPrefs(storage).getDeviceId(), 'abc');
+    createCameraPrefs(storage).setDeviceId(null);
+    assert.equal(createCameraPrefs(storage).getDeviceId(), null);
+  });
+
+  it('ignores storage that throws', () => {
+    const broken = { getItem() { throw new Error('denied'); }, setItem() { throw new Error('denied'); }, removeItem() {} };
+    const prefs = createCameraPrefs(broken);
+    assert.doesNotThrow(() => prefs.setDeviceId('abc'));
+    assert.equal(prefs.getDeviceId(), null);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCapabilities, probePixelReadback } from '../src/core/capabilities.js';
+
+/** Fake document whose canvas returns the given pixels, or throws. */
+function fakeDocument(read) {
+  return {
+    createElement: () => ({
+      getContext: () => ({ fillRect() {}, getImageData: () => ({ data: read() }) }),
+    }),
+  };
+}
+
+const exact = () => Uint8ClampedArray.of(0, 0, 0, 255, 255, 255, 255, 255);
+
+const fakeStorage = () => {
+  const store = new Map();
+  return { setItem: (k, v) => store.set(k, v), removeItem: k => store.delete(k) };
+};
+
+describe('probePixelReadback', () => {
+  it('passes when pixels read back exactly', () => {
+    assert.equal(probePixelReadback(fakeDocument(exact)), true);
+  });
+  it('fails when the browser adds noise to pixels', () => {
+    assert.equal(probePixelReadback(fakeDocument(() => Uint8ClampedArray.of(1, 0, 0, 255, 255, 254, 255, 255))), false);
+  });
+  it('fails when reading is blocked or canvas is missing', () => {
+    assert.equal(probePixelReadback(fakeDocument(() => { throw new Error('SecurityError'); })), false);
+    assert.equal(probePixelReadback(undefined), false);
+  });
+});
+
+describe('detectCapabilities', () => {
+  it('reports everything available in a capable browser', () => {
+    const caps = detectCapabilities({
+      document: fakeDocument(exact),
+      navigator: { mediaDevices: { getUserMedia() {} } },
+      isSecureContext: true,
+      localStorage: fakeStorage(),
+      indexedDB: {},
+    });
+    assert.deepEqual(caps.map(c => [c.id, c.available]), [['pixels', true], ['camera', true], ['storage', true]]);
+  });
+  it('explains each missing capability', () => {
+    const caps = detectCapabilities({
+      document: fakeDocument(exact),
+      navigator: { mediaDevices: { getUserMedia() {} } },
+      isSecureContext: false,
+      localStorage: { setItem() { throw new Error('QuotaExceededError'); } },
+    });
+    const missing = caps.filter(c => !c.available);
+    assert.deepEqual(missing.map(c => c.id), ['camera', 'storage']);
+    assert.ok(missing.every(c => c.feature && c.reason));
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCard, sheetLayout, paginate, PAPER_SIZES } from '../src/features/cards.js';
+import { parse } from '../src/core/parser.js';
+
+describe('toCard', () => {
+  it('fills in the carrier name and region', () => {
+    const { data } = parse('LPA:1$lpa.fi.google.com$ABC12-DEF34-GHI56$1234');
+    const card = toCard(data);
+    assert.equal(card.carrierName, 'Google Fi');
+    assert.equal(card.region, 'US');
+    assert.equal(card.activationCode, 'ABC12-DEF34-GHI56');
+    assert.equal(card.confirmationCode, '1234');
+    assert.equal(card.lpaString, data.lpaString);
+  });
+  it('works for unknown carriers and history entries', () => {
+    const entry = { id: '1', timestamp: 0, action: 'scan', smdpAddress: 'unknown.carrier.xyz', activationCode: 'ABC12-DEF34', lpaString: 'LPA:1$unknown.carrier.xyz$ABC12-DEF34' };
+    const card = toCard(entry);
+    assert.equal(card.carrierName, 'Unknown carrier');
+    assert.equal(card.region, '');
+    assert.equal(card.confirmationCode, '');
+    assert.equal(card.confirmationCodeRequired, false);
+  });
+});
+
+describe('sheetLayout', () => {
+  it('tiles cards within the printable area of each paper size', () => {
+    for (const paper of Object.keys(PAPER_SIZES)) {
+      const l = sheetLayout(paper);
+      assert.ok(l.perPage >= 6, paper);
+      assert.equal(l.perPage, l.columns * l.rows);
+      assert.ok(l.margin * 2 + l.columns * l.card.width + (l.columns - 1) * l.gap <= l.width, paper);
+      assert.ok(l.margin * 2 + l.rows * l.card.height + (l.rows - 1) * l.gap <= l.height, paper);
+    }
+  });
+  it('fits more rows on A4 than on Letter', () => {
+    assert.ok(sheetLayout('a4').rows > sheetLayout('letter').rows);
+  });
+  it('rejects unknown paper sizes', () => {
+    assert.throws(() => sheetLayout('a3'), /Unknown paper size/);
+  });
+});
+
+describe('paginate', () => {
+  it('splits cards into full sheets plus a remainder', () => {
+    const layout = sheetLayout('a4');
+    const cards = Array.from({ length: layout.perPage * 2 + 1 }, (_, i) => i);
+    const pages = paginate(cards, layout);
+    assert.equal(pages.length, 3);
+    assert.equal(pages[0].length, layout.perPage);
+    assert.deepEqual(pages[2], [layout.perPage * 2]);
+    assert.deepEqual(pages.flat(), cards);
+  });
+  it('returns no sheets for no cards', () => {
+    assert.deepEqual(paginate([], sheetLayout('letter')), []);
+  });
+});
@@ -21,6 +21,9 @@ describe('lookup', () => {
     assert.equal(lookup(''), null);
     assert.equal(lookup(null), null);
   });
+  it('ignores a trailing port', () => {
+    assert.deepEqual(lookup('lpa.fi.google.com:8443'), lookup('lpa.fi.google.com'));
+  });
   it('is case-insensitive', () => {
     const r1 = lookup('LPA.FI.GOOGLE.COM');
     const r2 = lookup('lpa.fi.google.com');
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The worker script talks to its global scope; give it one before loading
+const posted = [];
+globalThis.self = { postMessage: (message) => posted.push(message) };
+globalThis.OffscreenCanvas = class {
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+  }
+  getContext() {
+    return {
+      drawImage: (bitmap) => { if (bitmap.broken) throw new Error('detached bitmap'); },
+      getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4).fill(255), width, height }),
+    };
+  }
+};
+await import('../src/core/decode-worker.js');
+
+/** An ImageBitmap stand-in that records being closed. */
+function bitmap(options = {}) {
+  return { width: 40, height: 40, closed: false, close() { this.closed = true; }, ...options };
+}
+
+describe('decode worker', () => {
+  it('replies null for a frame without a code and closes the bitmap', () => {
+    const frame = bitmap();
+    self.onmessage({ data: { id: 1, bitmap: frame } });
+    assert.deepEqual(posted.pop(), { id: 1, text: null });
+    assert.equal(frame.closed, true);
+  });
+
+  it('replies null instead of failing when a frame throws', () => {
+    const frame = bitmap({ broken: true });
+    assert.doesNotThrow(() => self.onmessage({ data: { id: 2, bitmap: frame } }));
+    assert.deepEqual(posted.pop(), { id: 2, text: null });
+    assert.equal(frame.closed, true);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extract, normalizeText } from '../src/core/extractor.js';
+
+const lpas = (text) => extract(text).map(d => d.lpaString);
+
+describe('normalizeText', () => {
+  it('folds full-width forms and strips invisible characters', () => {
+    assert.equal(normalizeText('LPA：1＄carrier.example.com＄ABC\u200B12'), 'LPA:1$carrier.example.com$ABC12');
+  });
+  it('decodes HTML entities and strips tags', () => {
+    assert.equal(normalizeText('<p>LPA:1&#36;a.example.com&dollar;X</p>'), 'LPA:1$a.example.com$X\n');
+  });
+  it('maps dash variants to hyphen', () => {
+    assert.equal(normalizeText('ABC12–DEF34‑GHI'), 'ABC12-DEF34-GHI');
+  });
+  it('returns empty string for non-string input', () => {
+    assert.equal(normalizeText(null), '');
+  });
+});
+
+describe('extract', () => {
+  it('finds labelled fields in a carrier email', () => {
+    const email = 'Dear customer,\n\nSM-DP+ Address: lpa.airalo.com\nActivation Code: ABC12-DEF34-GHI56\nConfirmation Code: 1234\n\nRegards';
+    const [data] = extract(email);
+    assert.equal(data.smdpAddress, 'lpa.airalo.com');
+    assert.equal(data.activationCode, 'ABC12-DEF34-GHI56');
+    assert.equal(data.confirmationCode, '1234');
+  });
+  it('re-joins a code wrapped after a hyphen', () => {
+    assert.deepEqual(
+      lpas('SM-DP+ Address: smdp.example.com\nActivation Code: ABC12-DEF34-\nGHI56-JKL78'),
+      ['LPA:1$smdp.example.com$ABC12-DEF34-GHI56-JKL78'],
+    );
+  });
+  it('finds LPA strings with full-width dollar signs', () => {
+    assert.deepEqual(lpas('Your eSIM: LPA：1＄carrier.example.com＄ABC12-DEF34-GHI56.'), ['LPA:1$carrier.example.com$ABC12-DEF34-GHI56']);
+  });
+  it('re-joins an LPA string wrapped across lines', () => {
+    assert.deepEqual(lpas('LPA:1$carrier.example.com$ABC12-DEF34-\nGHI56'), ['LPA:1$carrier.example.com$ABC12-DEF34-GHI56']);
+  });
+  it('reads HTML email bodies', () => {
+    const html = '<p>SM&#8209;DP+ Address:&nbsp;<b>smdp.example.com</b></p><p>Activation code&nbsp;: <code>XYZ98\u200B-KLM76-PQR54</code></p>';
+    assert.deepEqual(lpas(html), ['LPA:1$smdp.example.com$XYZ98-KLM76-PQR54']);
+  });
+  it('returns every eSIM, reusing a shared SM-DP+ address', () => {
+    const text = 'SM-DP+ Address: smdp.example.com\nActivation Code (Mom): AAAA1-BBBB2\nActivation Code (Dad): CCCC3-DDDD4';
+    assert.deepEqual(lpas(text), ['LPA:1$smdp.example.com$AAAA1-BBBB2', 'LPA:1$smdp.example.com$CCCC3-DDDD4']);
+  });
+  it('understands labels in other languages', () => {
+    assert.deepEqual(lpas('SM-DP+-Adresse: smdp.example.de\nAktivierungscode: AAAA1-BBBB2\nBestätigungscode: 5555'), ['LPA:1$smdp.example.de$AAAA1-BBBB2$5555']);
+    assert.deepEqual(lpas('SM-DP+地址：smdp.example.cn\n激活码：AAAA1-BBBB2'), ['LPA:1$smdp.example.cn$AAAA1-BBBB2']);
+    assert.deepEqual(lpas('Adresse SM-DP+ : smdp.example.fr\nCode d\'activation : AAAA1-BBBB2'), ['LPA:1$smdp.example.fr$AAAA1-BBBB2']);
+  });
+  it('maps Cyrillic look-alike letters in codes', () => {
+    assert.deepEqual(lpas('SM-DP+ Address: smdp.example.com\nActivation Code: \u0410BC12-DEF34'), ['LPA:1$smdp.example.com$ABC12-DEF34']);
+  });
+  it('de-duplicates the same eSIM given as labels and LPA string', () => {
+    const text = 'LPA:1$smdp.example.com$AAAA1-BBBB2\nSM-DP+ Address: smdp.example.com\nActivation Code: AAAA1-BBBB2';
+    assert.equal(extract(text).length, 1);
+  });
+  it('does not treat a domain starting with "smdp" as a label', () => {
+    assert.deepEqual(extract('visit smdp.example.com for help'), []);
+  });
+  it('returns empty array for text without eSIM data', () => {
+    assert.deepEqual(extract('hello world'), []);
+    assert.deepEqual(extract(''), []);
+  });
+});
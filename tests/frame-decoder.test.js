@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { viewfinderRegion, decodeSize, pickDecoderKind } from '../src/core/frame-decoder.js';
+
+const fn = () => {};
+
+/** A BarcodeDetector stand-in that reports the given formats. */
+function detector(formats) {
+  return { getSupportedFormats: async () => formats };
+}
+
+describe('viewfinderRegion', () => {
+  it('keeps the viewfinder plus a margin, centred', () => {
+    assert.deepEqual(viewfinderRegion(1000, 500), { x: 150, y: 75, width: 700, height: 350 });
+  });
+
+  it('uses the whole frame when the inset is no wider than the margin', () => {
+    assert.deepEqual(viewfinderRegion(640, 480, 0), { x: 0, y: 0, width: 640, height: 480 });
+  });
+});
+
+describe('decodeSize', () => {
+  it('scales the longer side down to the decode size, keeping the aspect ratio', () => {
+    assert.deepEqual(decodeSize({ x: 0, y: 0, width: 1344, height: 756 }), { width: 640, height: 360 });
+  });
+
+  it('never scales a small region up', () => {
+    assert.deepEqual(decodeSize({ x: 0, y: 0, width: 300, height: 200 }), { width: 300, height: 200 });
+  });
+});
+
+describe('pickDecoderKind', () => {
+  const offscreen = { Worker: fn, OffscreenCanvas: fn, createImageBitmap: fn };
+
+  it('prefers BarcodeDetector when it reads QR codes', async () => {
+    assert.equal(await pickDecoderKind({ ...offscreen, BarcodeDetector: detector(['ean_13', 'qr_code']) }), 'native');
+  });
+
+  it('falls back to a worker when BarcodeDetector lacks QR support or fails', async () => {
+    assert.equal(await pickDecoderKind({ ...offscreen, BarcodeDetector: detector(['ean_13']) }), 'worker');
+    const broken = { getSupportedFormats: async () => { throw new Error('not supported'); } };
+    assert.equal(await pickDecoderKind({ ...offscreen, BarcodeDetector: broken }), 'worker');
+  });
+
+  it('decodes on the main thread without OffscreenCanvas', async () => {
+    assert.equal(await pickDecoderKind({ Worker: fn, createImageBitmap: fn }), 'main');
+    assert.equal(await pickDecoderKind({}), 'main');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { createIndexedDBBackend, createMemoryBackend, SCHEMA_VERSION } from '../src/features/history-store.js';
+
+// Browsers provide this global; the backend uses it for timestamp ranges
+globalThis.IDBKeyRange = IDBKeyRange;
+
+const record = (id, timestamp) => ({ id, timestamp, activationCode: id });
+
+describe('in-memory history backend', () => {
+  it('reads pages newest first, breaking timestamp ties by id', async () => {
+    const backend = createMemoryBackend();
+    await backend.write({ put: [record('a', 1), record('c', 3), record('b', 3), record('d', 2)] });
+    assert.deepEqual((await backend.all()).map(r => r.id), ['c', 'b', 'd', 'a']);
+    assert.deepEqual((await backend.page(1, 2)).map(r => r.id), ['b', 'd']);
+    assert.deepEqual(await backend.page(10, 2), []);
+    assert.deepEqual(await backend.oldestIds(2), ['a', 'd']);
+    assert.deepEqual(await backend.oldestIds(0), []);
+    assert.deepEqual(await backend.idsBefore(3), ['a', 'd']);
+    assert.equal(await backend.count(), 4);
+  });
+
+  it('applies clear, put, remove and meta in one write', async () => {
+    const backend = createMemoryBackend();
+    await backend.write({ put: [record('old', 1)], meta: { maxEntries: 50, encryption: { kdf: {} } } });
+    await backend.write({ clear: true, put: [record('a', 1), record('b', 2)], remove: ['b'], meta: { encryption: undefined } });
+    assert.deepEqual((await backend.all()).map(r => r.id), ['a']);
+    assert.deepEqual(await backend.getMeta(), { maxEntries: 50 });
+    assert.equal(await backend.get('missing'), null);
+
+    await assert.rejects(backend.write({ clear: true, put: [record('c', 3), { timestamp: 4 }] }), /no id/);
+    assert.deepEqual((await backend.all()).map(r => r.id), ['a']);
+  });
+
+  it('copies records in and out like IndexedDB', async () => {
+    const backend = createMemoryBackend();
+    const stored = record('a', 1);
+    await backend.write({ put: [stored] });
+    stored.activationCode = 'changed';
+    const read = await backend.get('a');
+    read.activationCode = 'changed again';
+    assert.equal((await backend.get('a')).activationCode, 'a');
+  });
+});
+
+describe('IndexedDB history backend', () => {
+  /** @param {IDBFactory} factory */
+  const openRaw = (factory, version) => new Promise((resolve, reject) => {
+    const request = factory.open('esimswap', version);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  it('creates the schema when upgrading from no database', async () => {
+    const factory = new IDBFactory();
+    const backend = createIndexedDBBackend(factory);
+    await backend.open();
+    assert.equal(await backend.count(), 0);
+    assert.deepEqual(await backend.getMeta(), {});
+
+    const db = await openRaw(factory);
+    assert.equal(db.version, SCHEMA_VERSION);
+    assert.deepEqual([...db.objectStoreNames].sort(), ['entries', 'meta']);
+    assert.deepEqual([...db.transaction('entries').objectStore('entries').indexNames], ['timestamp']);
+    db.close();
+  });
+
+  it('reads pages newest first past an offset, like the in-memory backend', async () => {
+    const backend = createIndexedDBBackend(new IDBFactory());
+    await backend.write({ put: [record('a', 1), record('c', 3), record('b', 3), record('d', 2), record('e', 4)] });
+    assert.deepEqual((await backend.all()).map(r => r.id), ['e', 'c', 'b', 'd', 'a']);
+    assert.deepEqual((await backend.page(0, 2)).map(r => r.id), ['e', 'c']);
+    assert.deepEqual((await backend.page(2, 2)).map(r => r.id), ['b', 'd']);
+    assert.deepEqual((await backend.page(4, 2)).map(r => r.id), ['a']);
+    assert.deepEqual(await backend.page(10, 2), []);
+    assert.deepEqual(await backend.oldestIds(2), ['a', 'd']);
+    assert.deepEqual(await backend.oldestIds(0), []);
+    assert.deepEqual(await backend.idsBefore(3), ['a', 'd']);
+    assert.equal((await backend.get('b')).timestamp, 3);
+    assert.equal(await backend.get('missing'), null);
+  });
+
+  it('applies a write atomically and rolls back one that fails', async () => {
+    const backend = createIndexedDBBackend(new IDBFactory());
+    await backend.write({ put: [record('old', 1)], meta: { maxEntries: 50, encryption: { kdf: {} } } });
+    await backend.write({ clear: true, put: [record('a', 1), record('b', 2)], remove: ['b'], meta: { encryption: undefined } });
+    assert.deepEqual((await backend.all()).map(r => r.id), ['a']);
+    assert.deepEqual(await backend.getMeta(), { maxEntries: 50 });
+
+    // The second record has no id, so the store refuses it part-way through the batch
+    await assert.rejects(backend.write({ clear: true, put: [record('c', 3), { timestamp: 4 }], meta: { maxEntries: 10 } }));
+    assert.deepEqual((await backend.all()).map(r => r.id), ['a']);
+    assert.deepEqual(await backend.getMeta(), { maxEntries: 50 });
+  });
+
+  it('steps aside when a newer version of the app upgrades the database', async () => {
+    const factory = new IDBFactory();
+    const backend = createIndexedDBBackend(factory);
+    await backend.write({ put: [record('a', 1)] });
+
+    // Would stay blocked if the open connection did not close on versionchange
+    const newer = await openRaw(factory, SCHEMA_VERSION + 1);
+    newer.close();
+    await assert.rejects(backend.count(), /could not be opened/);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toExportJSON, toExportCSV, readImport } from '../src/features/history-transfer.js';
+import { parseCSV, toCSV } from '../src/features/csv.js';
+
+const entry = {
+  id: '1', timestamp: Date.UTC(2026, 5, 1), action: 'generate',
+  smdpAddress: 'lpa.airalo.com', activationCode: 'ABC12-DEF34', confirmationCode: '',
+  carrierName: 'Airalo', lpaString: 'LPA:1$lpa.airalo.com$ABC12-DEF34',
+  note: 'Tokyo, "day one"', tags: ['Japan trip', "Alice's iPad"],
+  status: 'installed', device: 'iPhone 15',
+};
+
+describe('history export', () => {
+  it('writes a versioned JSON file', () => {
+    const file = JSON.parse(toExportJSON([entry], new Date(Date.UTC(2026, 5, 2))));
+    assert.equal(file.format, 'esimswap-history');
+    assert.equal(file.version, 1);
+    assert.equal(file.exportedAt, '2026-06-02T00:00:00.000Z');
+    assert.deepEqual(file.entries, [entry]);
+  });
+
+  it('round-trips entries through JSON and CSV', () => {
+    for (const text of [toExportJSON([entry]), toExportCSV([entry])]) {
+      const { entries, invalid } = readImport(text);
+      assert.deepEqual(invalid, []);
+      assert.equal(entries.length, 1);
+      const [read] = entries;
+      assert.equal(read.lpaString, entry.lpaString);
+      assert.equal(read.timestamp, entry.timestamp);
+      assert.equal(read.action, 'generate');
+      assert.equal(read.note, entry.note);
+      assert.equal(read.status, 'installed');
+      assert.equal(read.device, 'iPhone 15');
+    }
+  });
+});
+
+describe('history import', () => {
+  it('reports rows that do not hold a valid eSIM', () => {
+    const csv = 'lpaString,note\r\nLPA:1$lpa.airalo.com$ABC12-DEF34,ok\r\nnot an esim,bad\r\n,empty\r\n';
+    const { entries, invalid } = readImport(csv);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].carrierName, 'Airalo');
+    assert.equal(entries[0].action, 'scan');
+    assert.deepEqual(invalid.map(p => p.label), ['Row 3', 'Row 4']);
+    assert.equal(invalid[1].error, 'No LPA string');
+  });
+
+  it('rejects files that are not history exports', () => {
+    assert.throws(() => readImport('{"hello": 1}'), /not an eSIM history export/);
+    assert.throws(() => readImport('{"format":"esimswap-history","version":2,"entries":[]}'), /newer version/);
+    assert.throws(() => readImport('name,value\r\na,b'), /lpaString column/);
+    assert.throws(() => readImport('{oops'), /not valid JSON/);
+  });
+});
+
+describe('csv', () => {
+  it('quotes, guards formulas and parses back what it wrote', () => {
+    const rows = [['a,b', 'say "hi"', 'line\nbreak', '=SUM(A1)', '-5', '']];
+    const text = toCSV(rows);
+    assert.ok(text.includes("'=SUM(A1)"));
+    assert.deepEqual(parseCSV(text), rows);
+    assert.deepEqual(parseCSV('﻿x,y\n\n1,2'), [['x', 'y'], ['1', '2']]);
+  });
+});
@@ -1,8 +1,11 @@
 import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { createHistory } from '../src/features/history.js';
+import { webcrypto } from 'node:crypto';
+import { createHistory, matchesQuery, normalizeTags } from '../src/features/history.js';
+import { createMemoryBackend } from '../src/features/history-store.js';
+import { seal, newKdf, deriveKey } from '../src/features/history-crypto.js';
 
-// In-memory mock for localStorage
+// In-memory mock for the localStorage of older versions
 function createMockStorage() {
   const store = {};
   return {
@@ -14,19 +17,20 @@ function createMockStorage() {
 
 describe('history', () => {
   let history;
-  let storage;
+  let backend;
 
-  beforeEach(() => {
-    storage = createMockStorage();
-    history = createHistory(storage);
+  beforeEach(async () => {
+    backend = createMemoryBackend();
+    history = createHistory(backend);
+    await history.init();
   });
 
-  it('starts empty', () => {
-    assert.deepEqual(history.getAll(), []);
+  it('starts empty', async () => {
+    assert.deepEqual(await history.getAll(), []);
   });
 
-  it('adds an entry with id and timestamp', () => {
-    const entry = history.add({
+  it('adds an entry with id and timestamp', async () => {
+    const entry = await history.add({
       action: 'generate',
       smdpAddress: 'carrier.example.com',
       activationCode: 'ABC12-DEF34',
@@ -36,38 +40,475 @@ describe('history', () => {
     });
     assert.ok(entry.id);
     assert.ok(entry.timestamp);
-    assert.equal(history.getAll().length, 1);
+    assert.equal((await history.getAll()).length, 1);
   });
 
-  it('prepends new entries (most recent first)', () => {
-    history.add({ action: 'generate', smdpAddress: 'first.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
-    history.add({ action: 'generate', smdpAddress: 'second.com', activationCode: 'BBBBBBBB', confirmationCode: '', carrierName: '', lpaString: '' });
-    assert.equal(history.getAll()[0].smdpAddress, 'second.com');
+  it('prepends new entries (most recent first)', async () => {
+    await history.add({ action: 'generate', smdpAddress: 'first.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
+    await history.add({ action: 'generate', smdpAddress: 'second.com', activationCode: 'BBBBBBBB', confirmationCode: '', carrierName: '', lpaString: '' });
+    assert.equal((await history.getAll())[0].smdpAddress, 'second.com');
   });
 
-  it('caps at 20 entries', () => {
+  it('caps at 20 entries', async () => {
     for (let i = 0; i < 25; i++) {
-      history.add({ action: 'generate', smdpAddress: `carrier${i}.com`, activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
+      await history.add({ action: 'generate', smdpAddress: `carrier${i}.com`, activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
+    }
+    assert.equal((await history.getAll()).length, 20);
+  });
+
+  it('keeps a configurable number of entries, dropping the oldest when lowered', async () => {
+    await history.setMaxEntries(30);
+    for (let i = 0; i < 25; i++) {
+      await history.add({ action: 'generate', smdpAddress: `carrier${i}.com`, activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
+    }
+    assert.equal(await history.count(), 25);
+    assert.equal(await history.setMaxEntries(10), 15);
+    assert.equal((await history.getAll()).at(-1).smdpAddress, 'carrier15.com');
+    await assert.rejects(history.setMaxEntries(0), /whole number/);
+
+    const reopened = createHistory(backend);
+    await reopened.init();
+    assert.equal(reopened.getMaxEntries(), 10);
+  });
+
+  it('reads pages, most recent first, with or without filters', async () => {
+    await history.setMaxEntries(100);
+    for (let i = 0; i < 60; i++) {
+      await history.add({ action: i % 2 ? 'scan' : 'generate', smdpAddress: `carrier${i}.com`, activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
     }
-    assert.equal(history.getAll().length, 20);
+    const first = await history.getPage({ limit: 25 });
+    assert.equal(first.total, 60);
+    assert.equal(first.entries[0].smdpAddress, 'carrier59.com');
+    const last = await history.getPage({ offset: 50, limit: 25 });
+    assert.deepEqual(last.entries.map(e => e.smdpAddress).slice(0, 2), ['carrier9.com', 'carrier8.com']);
+    assert.equal(last.entries.length, 10);
+
+    const scans = await history.getPage({ offset: 10, limit: 5, filters: { action: 'scan', text: '' } });
+    assert.equal(scans.total, 30);
+    assert.deepEqual(scans.entries.map(e => e.smdpAddress), ['carrier39.com', 'carrier37.com', 'carrier35.com', 'carrier33.com', 'carrier31.com']);
+  });
+
+  it('adds a batch in one write, all or nothing', async () => {
+    const batch = ['first.com', 'second.com', 'third.com'].map(smdpAddress => (
+      { action: 'scan', smdpAddress, activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' }
+    ));
+    const write = backend.write;
+    backend.write = async () => { throw new Error('Quota exceeded'); };
+    await assert.rejects(history.addAll(batch), /Quota exceeded/);
+    assert.equal(await history.count(), 0);
+
+    backend.write = write;
+    const added = await history.addAll(batch);
+    assert.deepEqual(added.map(e => e.smdpAddress), ['first.com', 'second.com', 'third.com']);
+    assert.deepEqual((await history.getAll()).map(e => e.smdpAddress), ['third.com', 'second.com', 'first.com']);
+  });
+
+  it('removes entry by id', async () => {
+    const entry = await history.add({ action: 'generate', smdpAddress: 'carrier.example.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
+    await history.remove(entry.id);
+    assert.equal((await history.getAll()).length, 0);
+  });
+
+  it('clears all entries', async () => {
+    await history.add({ action: 'generate', smdpAddress: 'carrier.example.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
+    await history.add({ action: 'scan', smdpAddress: 'other.com', activationCode: 'BBBBBBBB', confirmationCode: '', carrierName: '', lpaString: '' });
+    await history.clear();
+    assert.deepEqual(await history.getAll(), []);
+  });
+});
+
+describe('history moved from localStorage', () => {
+  const options = { crypto: webcrypto, iterations: 1000 };
+  const legacyEntry = (code, timestamp) => ({ id: `legacy-${timestamp}`, timestamp, action: 'scan', smdpAddress: 'carrier.example.com', activationCode: code, confirmationCode: '', carrierName: '', lpaString: `LPA:1$carrier.example.com$${code}` });
+
+  it('imports the old entries once and removes the key', async () => {
+    const legacyStorage = createMockStorage();
+    legacyStorage.setItem('esimswap_history', JSON.stringify([legacyEntry('BBBBBBBB', 2000), legacyEntry('AAAAAAAA', 1000)]));
+    const backend = createMemoryBackend();
+    const history = createHistory(backend, { legacyStorage });
+    await history.init();
+
+    assert.equal(legacyStorage.getItem('esimswap_history'), null);
+    const entries = await history.getAll();
+    assert.deepEqual(entries.map(e => e.activationCode), ['BBBBBBBB', 'AAAAAAAA']);
+    assert.deepEqual(entries[0].tags, []);
+
+    const again = createHistory(backend, { legacyStorage });
+    await again.init();
+    assert.equal((await again.getAll()).length, 2);
+  });
+
+  it('keeps old encrypted history locked and moves it into records on unlock', async () => {
+    const kdf = newKdf(webcrypto, 1000);
+    const key = await deriveKey(webcrypto, 'correct horse', kdf);
+    const legacyStorage = createMockStorage();
+    legacyStorage.setItem('esimswap_history', JSON.stringify(await seal(webcrypto, key, kdf, [legacyEntry('SECRET-CODE-1', 1000)])));
+    const backend = createMemoryBackend();
+    const history = createHistory(backend, { ...options, legacyStorage });
+    await history.init();
+
+    assert.equal(legacyStorage.getItem('esimswap_history'), null);
+    assert.equal(history.isLocked(), true);
+    await history.unlock('correct horse');
+    assert.equal((await history.getAll())[0].activationCode, 'SECRET-CODE-1');
+    assert.ok(!JSON.stringify(await backend.all()).includes('SECRET-CODE'));
+
+    const reopened = createHistory(backend, options);
+    await reopened.unlock('correct horse');
+    assert.equal((await reopened.getAll()).length, 1);
   });
 
-  it('removes entry by id', () => {
-    const entry = history.add({ action: 'generate', smdpAddress: 'carrier.example.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
-    history.remove(entry.id);
-    assert.equal(history.getAll().length, 0);
+  it('leaves old plaintext history in place while encrypted history is locked, and seals it on unlock', async () => {
+    const backend = createMemoryBackend();
+    await createHistory(backend, options).enableEncryption('correct horse');
+    const legacyStorage = createMockStorage();
+    legacyStorage.setItem('esimswap_history', JSON.stringify([legacyEntry('SECRET-CODE-1', 1000)]));
+    const history = createHistory(backend, { ...options, legacyStorage });
+    await history.init();
+
+    assert.equal(await backend.count(), 0);
+    assert.notEqual(legacyStorage.getItem('esimswap_history'), null);
+    await history.unlock('correct horse');
+    assert.equal(legacyStorage.getItem('esimswap_history'), null);
+    assert.equal((await history.getAll())[0].activationCode, 'SECRET-CODE-1');
+    assert.ok(!JSON.stringify(await backend.all()).includes('SECRET-CODE'));
+  });
+
+  it('survives corrupt localStorage gracefully', async () => {
+    const legacyStorage = createMockStorage();
+    legacyStorage.setItem('esimswap_history', '{not valid json}');
+    const history = createHistory(createMemoryBackend(), { legacyStorage });
+    await assert.doesNotReject(history.init());
+    assert.deepEqual(await history.getAll(), []);
+  });
+});
+
+describe('encrypted history', () => {
+  const options = { crypto: webcrypto, iterations: 1000 };
+  const sample = (code) => ({ action: 'scan', smdpAddress: 'carrier.example.com', activationCode: code, confirmationCode: '1234', carrierName: '', lpaString: `LPA:1$carrier.example.com$${code}` });
+  let backend;
+
+  beforeEach(() => {
+    backend = createMemoryBackend();
+  });
+
+  it('migrates plaintext entries and stores no activation codes in the clear', async () => {
+    const history = createHistory(backend, options);
+    await history.add(sample('SECRET-CODE-1'));
+    await history.enableEncryption('correct horse');
+    await history.add(sample('SECRET-CODE-2'));
+
+    const raw = JSON.stringify(await backend.all());
+    assert.ok(!raw.includes('SECRET-CODE'));
+    assert.ok(!raw.includes('1234'));
+    assert.equal(history.isEncrypted(), true);
+    assert.deepEqual((await history.getAll()).map(e => e.activationCode), ['SECRET-CODE-2', 'SECRET-CODE-1']);
+  });
+
+  it('starts locked in a new session and unlocks with the passphrase only', async () => {
+    const first = createHistory(backend, options);
+    await first.add(sample('AAAAAAAA'));
+    await first.enableEncryption('correct horse');
+
+    const history = createHistory(backend, options);
+    await history.init();
+    assert.equal(history.isLocked(), true);
+    assert.deepEqual(await history.getAll(), []);
+    await assert.rejects(history.unlock('wrong horse'), /Wrong passphrase/);
+    assert.equal(history.isLocked(), true);
+    await history.unlock('correct horse');
+    assert.equal((await history.getAll())[0].activationCode, 'AAAAAAAA');
+    assert.equal((await history.getPage()).entries[0].activationCode, 'AAAAAAAA');
+    history.lock();
+    assert.deepEqual(await history.getAll(), []);
   });
 
-  it('clears all entries', () => {
-    history.add({ action: 'generate', smdpAddress: 'carrier.example.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' });
-    history.add({ action: 'scan', smdpAddress: 'other.com', activationCode: 'BBBBBBBB', confirmationCode: '', carrierName: '', lpaString: '' });
-    history.clear();
-    assert.deepEqual(history.getAll(), []);
+  it('reports an encrypted store as locked once init has read its settings', async () => {
+    const first = createHistory(backend, options);
+    await first.add(sample('AAAAAAAA'));
+    await first.enableEncryption('correct horse');
+
+    const history = createHistory(backend, options);
+    assert.equal(history.isLocked(), false);
+    await history.init();
+    assert.equal(history.isEncrypted(), true);
+    assert.equal(history.isLocked(), true);
+    assert.deepEqual(await history.getAll(), []);
+  });
+
+  it('keeps entries added while locked in memory and saves them on unlock', async () => {
+    await createHistory(backend, options).enableEncryption('correct horse');
+    const history = createHistory(backend, options);
+    await history.add(sample('BBBBBBBB'));
+    assert.equal(await backend.count(), 0);
+    assert.equal(history.pendingCount(), 1);
+    await history.unlock('correct horse');
+    assert.equal(history.pendingCount(), 0);
+
+    const reopened = createHistory(backend, options);
+    await reopened.unlock('correct horse');
+    assert.equal((await reopened.getAll())[0].activationCode, 'BBBBBBBB');
+  });
+
+  it('rejects short passphrases and can be turned off again', async () => {
+    const history = createHistory(backend, options);
+    await history.add(sample('CCCCCCCC'));
+    await assert.rejects(history.enableEncryption('short'), /at least 8/);
+    assert.equal(history.isEncrypted(), false);
+
+    await history.enableEncryption('correct horse');
+    await history.disableEncryption();
+    assert.equal(history.isEncrypted(), false);
+    assert.equal((await backend.all())[0].activationCode, 'CCCCCCCC');
+  });
+
+  it('deletes locked history on clear, turning encryption off', async () => {
+    await createHistory(backend, options).enableEncryption('correct horse');
+    const history = createHistory(backend, options);
+    await history.clear();
+    assert.equal(history.isEncrypted(), false);
+    assert.equal(history.isLocked(), false);
+  });
+});
+
+describe('history notes, tags and search', () => {
+  let history;
+
+  beforeEach(() => {
+    history = createHistory(createMemoryBackend());
+  });
+
+  it('stores notes and tags and updates them', async () => {
+    const entry = await history.add({ action: 'scan', smdpAddress: 'lpa.airalo.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: 'Airalo', lpaString: '' });
+    assert.equal(entry.note, '');
+    assert.deepEqual(entry.tags, []);
+
+    const updated = await history.update(entry.id, { note: '  eSIM for the trip  ', tags: 'Japan trip, japan TRIP,  Alice\'s   iPad ,' });
+    assert.equal(updated.note, 'eSIM for the trip');
+    assert.deepEqual(updated.tags, ['Japan trip', "Alice's iPad"]);
+    assert.deepEqual((await history.getAll())[0].tags, ['Japan trip', "Alice's iPad"]);
+    assert.equal(await history.update('missing', { note: 'x' }), null);
+  });
+
+  it('searches text and filters by action, carrier, region, tag and date', async () => {
+    const airalo = await history.add({ action: 'scan', smdpAddress: 'lpa.airalo.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: 'Airalo', lpaString: '' });
+    const verizon = await history.add({ action: 'generate', smdpAddress: 'smdp.vzwentp.com', activationCode: 'BBBBBBBB', confirmationCode: '', carrierName: 'Verizon', lpaString: '' });
+    await history.update(airalo.id, { note: 'Tokyo hotel', tags: ['Japan trip'] });
+
+    const ids = async (q) => (await history.query(q)).map(e => e.id);
+    assert.deepEqual(await ids({ text: 'tokyo AIRALO' }), [airalo.id]);
+    assert.deepEqual(await ids({ text: 'vzwentp' }), [verizon.id]);
+    assert.deepEqual(await ids({ action: 'generate' }), [verizon.id]);
+    assert.deepEqual(await ids({ carrier: 'Airalo' }), [airalo.id]);
+    assert.deepEqual(await ids({ region: 'US' }), [verizon.id]);
+    assert.deepEqual(await ids({ tag: 'japan trip' }), [airalo.id]);
+    assert.deepEqual(await ids({}), [verizon.id, airalo.id]);
+    assert.deepEqual(await history.facets(), { carriers: ['Airalo', 'Verizon'], regions: ['Global', 'US'], tags: ['Japan trip'] });
+  });
+
+  it('matches date ranges inclusively and handles entries saved without notes or tags', () => {
+    const legacy = { id: '1', timestamp: 1000, action: 'scan', smdpAddress: 'a.example.com', activationCode: 'AAAAAAAA', confirmationCode: '', carrierName: '', lpaString: '' };
+    assert.equal(matchesQuery(legacy, { from: 1000, to: 1000 }), true);
+    assert.equal(matchesQuery(legacy, { from: 1001 }), false);
+    assert.equal(matchesQuery(legacy, { to: 999 }), false);
+    assert.equal(matchesQuery(legacy, { text: 'a.example', tag: '' }), true);
+    assert.equal(matchesQuery(legacy, { tag: 'x' }), false);
+  });
+
+  it('cuts overlong and excess tags', () => {
+    assert.equal(normalizeTags(['x'.repeat(60)])[0].length, 40);
+    assert.equal(normalizeTags(Array.from({ length: 15 }, (_, i) => `t${i}`)).length, 10);
+    assert.deepEqual(normalizeTags(undefined), []);
+  });
+});
+
+describe('history lifecycle status', () => {
+  const sample = (code) => ({ action: 'generate', smdpAddress: 'lpa.airalo.com', activationCode: code, confirmationCode: '', carrierName: 'Airalo', lpaString: `LPA:1$lpa.airalo.com$${code}` });
+
+  it('starts new and records each change with its device', async () => {
+    const history = createHistory(createMemoryBackend());
+    const entry = await history.add(sample('AAAAAAAA'));
+    assert.equal(entry.status, 'new');
+    assert.deepEqual(entry.statusLog, [{ status: 'new', at: entry.timestamp, device: '' }]);
+
+    await history.setStatus(entry.id, 'shared', { device: '  Alice\'s   iPhone ' });
+    const installed = await history.setStatus(entry.id, 'installed');
+    assert.equal(installed.device, "Alice's iPhone");
+    assert.deepEqual(installed.statusLog.map(c => [c.status, c.device]), [['new', ''], ['shared', "Alice's iPhone"], ['installed', "Alice's iPhone"]]);
+    assert.equal((await history.getAll())[0].status, 'installed');
+    await assert.rejects(history.setStatus(entry.id, 'lost'), /Unknown status/);
+    assert.equal(await history.setStatus('missing', 'failed'), null);
+  });
+
+  it('finds an installed eSIM by LPA string', async () => {
+    const history = createHistory(createMemoryBackend());
+    const entry = await history.add(sample('AAAAAAAA'));
+    await history.add(sample('AAAAAAAA'));
+    assert.equal(await history.findInstalled(entry.lpaString), null);
+    await history.setStatus(entry.id, 'installed', { device: 'Pixel 8' });
+    assert.equal((await history.findInstalled(entry.lpaString)).device, 'Pixel 8');
+    assert.deepEqual((await history.query({ text: 'pixel' })).map(e => e.id), [entry.id]);
+  });
+});
+
+describe('history retention and private sessions', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const sample = (code, confirmationCode = '') => ({ action: 'scan', smdpAddress: 'lpa.airalo.com', activationCode: code, confirmationCode, carrierName: 'Airalo', lpaString: `LPA:1$lpa.airalo.com$${code}${confirmationCode ? `$${confirmationCode}` : ''}` });
+  const stored = (id, age) => ({ ...sample(`OLD${id}`), id, timestamp: Date.now() - age });
+
+  it('deletes entries older than the retention period, also on add and on opening', async () => {
+    const backend = createMemoryBackend();
+    await backend.write({ put: [stored('a', 10 * DAY), stored('b', 2 * DAY)] });
+    const history = createHistory(backend);
+    assert.equal(await history.count(), 2);
+    assert.deepEqual(await history.setRetention({ days: 7 }), { expired: 1, rewritten: 0 });
+    assert.deepEqual((await history.getAll()).map(e => e.id), ['b']);
+    await assert.rejects(history.setRetention({ days: 0 }), /whole number of days/);
+
+    await backend.write({ put: [stored('c', 30 * DAY)] });
+    await history.add(sample('NEWCODE1'));
+    assert.equal(await history.count(), 2);
+
+    await backend.write({ put: [stored('d', 30 * DAY)] });
+    const reopened = createHistory(backend);
+    assert.equal(await reopened.count(), 2);
+    assert.deepEqual(reopened.getRetention(), { days: 7, confirmationCodes: 'keep' });
+  });
+
+  it('redacts or leaves out confirmation codes, including in stored entries and the LPA string', async () => {
+    const history = createHistory(createMemoryBackend());
+    const kept = await history.add(sample('AAAAAAAA', '1234'));
+    assert.equal(kept.lpaString, 'LPA:1$lpa.airalo.com$AAAAAAAA$1234');
+
+    assert.deepEqual(await history.setRetention({ confirmationCodes: 'redact' }), { expired: 0, rewritten: 1 });
+    const [redacted] = await history.getAll();
+    assert.equal(redacted.confirmationCode, '••••••');
+    assert.equal(redacted.lpaString, 'LPA:1$lpa.airalo.com$AAAAAAAA');
+
+    await history.setRetention({ confirmationCodes: 'drop' });
+    const dropped = await history.add(sample('BBBBBBBB', '5678'));
+    assert.equal(dropped.confirmationCode, '');
+    assert.ok(!JSON.stringify(await history.getAll()).includes('5678'));
+    await assert.rejects(history.setRetention({ confirmationCodes: 'hide' }), /Unknown confirmation code setting/);
+  });
+
+  it('saves nothing in a private session, which lasts for the tab', async () => {
+    const backend = createMemoryBackend();
+    const sessionStorage = createMockStorage();
+    const history = createHistory(backend, { sessionStorage });
+    history.setPrivate(true);
+    assert.equal(await history.add(sample('AAAAAAAA')), null);
+    assert.equal(await history.count(), 0);
+
+    const reloaded = createHistory(backend, { sessionStorage });
+    assert.equal(reloaded.isPrivate(), true);
+    reloaded.setPrivate(false);
+    assert.ok(await reloaded.add(sample('AAAAAAAA')));
+    assert.equal(createHistory(backend, { sessionStorage }).isPrivate(), false);
+  });
+});
+
+describe('history across tabs', () => {
+  const options = { crypto: webcrypto, iterations: 1000 };
+  const sample = (code) => ({ action: 'scan', smdpAddress: 'lpa.airalo.com', activationCode: code, confirmationCode: '', carrierName: 'Airalo', lpaString: `LPA:1$lpa.airalo.com$${code}` });
+
+  // Two tabs on one store, linked like a BroadcastChannel
+  function openTabs() {
+    const backend = createMemoryBackend();
+    const tabs = [];
+    const channelFor = (self) => ({
+      post: (message) => { for (const tab of tabs) if (tab !== self) tab.deliver(message); },
+      subscribe: (listener) => { self.deliver = listener; return () => {}; },
+      close() {},
+    });
+    return [0, 1].map(() => {
+      const tab = {};
+      tabs.push(tab);
+      return createHistory(backend, { ...options, channel: channelFor(tab) });
+    });
+  }
+  const nextChange = (history) => new Promise(resolve => { const stop = history.subscribe(change => { stop(); resolve(change); }); });
+
+  it('tells listeners here and in the other tab about each change', async () => {
+    const [first, second] = openTabs();
+    await Promise.all([first.init(), second.init()]);
+    const local = nextChange(first);
+    const remote = nextChange(second);
+    const entry = await first.add(sample('AAAAAAAA'));
+    assert.deepEqual(await local, { remote: false });
+    assert.deepEqual(await remote, { remote: true });
+    assert.deepEqual((await second.getAll()).map(e => e.id), [entry.id]);
+
+    const removed = nextChange(first);
+    await second.remove(entry.id);
+    assert.deepEqual(await removed, { remote: true });
+    assert.deepEqual(await first.getAll(), []);
+  });
+
+  it('picks up encryption and settings changed in the other tab', async () => {
+    // Reloads in the other tab only touch the in-memory store, so one timer tick completes them
+    const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+    const [first, second] = openTabs();
+    await first.add(sample('AAAAAAAA'));
+    await second.init();
+
+    await first.enableEncryption('correct horse');
+    await settle();
+    assert.equal(second.isLocked(), true);
+    await second.unlock('correct horse');
+
+    await first.setMaxEntries(50);
+    await settle();
+    assert.equal(second.getMaxEntries(), 50);
+    assert.equal(second.isLocked(), false);
+
+    await first.disableEncryption();
+    await first.enableEncryption('battery staple');
+    await settle();
+    assert.equal(second.isLocked(), true);
+    await assert.rejects(second.unlock('correct horse'), /Wrong passphrase/);
+  });
+});
+
+describe('history export and import', () => {
+  const lpa = (code) => `LPA:1$lpa.airalo.com$${code}`;
+  const sample = (code) => ({ action: 'scan', smdpAddress: 'lpa.airalo.com', activationCode: code, confirmationCode: '', carrierName: 'Airalo', lpaString: lpa(code) });
+
+  it('exports all or selected entries', async () => {
+    const history = createHistory(createMemoryBackend());
+    const first = await history.add(sample('AAAAAAAA'));
+    await history.add(sample('BBBBBBBB'));
+    assert.equal(JSON.parse(await history.exportEntries('json')).entries.length, 2);
+    const selected = JSON.parse(await history.exportEntries('json', [first.id])).entries;
+    assert.deepEqual(selected.map(e => e.id), [first.id]);
+    assert.equal((await history.exportEntries('csv')).trim().split('\r\n').length, 3);
+  });
+
+  it('previews an import without changing history, then merges by date without duplicates', async () => {
+    const source = createHistory(createMemoryBackend());
+    await source.add(sample('AAAAAAAA'));
+    await source.add(sample('BBBBBBBB'));
+    const file = await source.exportEntries('json');
+
+    const history = createHistory(createMemoryBackend());
+    await history.add(sample('BBBBBBBB'));
+    const preview = await history.previewImport(file);
+    assert.equal(preview.add.length, 1);
+    assert.equal(preview.duplicates, 1);
+    assert.equal(preview.overflow, 0);
+    assert.equal((await history.getAll()).length, 1);
+
+    assert.equal(await history.commitImport(preview), 1);
+    assert.deepEqual((await history.getAll()).map(e => e.activationCode).sort(), ['AAAAAAAA', 'BBBBBBBB']);
+    assert.equal(await history.commitImport(preview), 0);
+    assert.equal((await history.getAll()).length, 2);
   });
 
-  it('survives corrupt localStorage gracefully', () => {
-    storage.setItem('esimswap_history', '{not valid json}');
-    assert.doesNotThrow(() => history.getAll());
-    assert.deepEqual(history.getAll(), []);
+  it('counts entries that will not fit', async () => {
+    const source = createHistory(createMemoryBackend());
+    for (let i = 0; i < 15; i++) await source.add(sample(`CODE${String(i).padStart(4, '0')}`));
+    const history = createHistory(createMemoryBackend());
+    for (let i = 0; i < 10; i++) await history.add(sample(`LOCAL${String(i).padStart(4, '0')}`));
+    assert.equal((await history.previewImport(await source.exportEntries('csv'))).overflow, 5);
   });
 });
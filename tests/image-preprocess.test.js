@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { downscale, upscale, grayscale, adaptiveThreshold, invert, rotate, crop, inkRegions } from '../src/core/image-preprocess.js';
+
+/** Build RGBA pixels from rows of gray levels. */
+function gray(rows) {
+  const height = rows.length;
+  const width = rows[0].length;
+  const data = new Uint8ClampedArray(width * height * 4);
+  rows.flat().forEach((v, i) => data.set([v, v, v, 255], i * 4));
+  return { data, width, height };
+}
+
+/** Gray level of each pixel, as rows. */
+function levels(pixels) {
+  return Array.from({ length: pixels.height }, (_, y) =>
+    Array.from({ length: pixels.width }, (_, x) => pixels.data[(y * pixels.width + x) * 4]));
+}
+
+describe('downscale / upscale', () => {
+  it('averages blocks to fit the longest side', () => {
+    const out = downscale(gray([[0, 255, 10, 10], [255, 0, 10, 10]]), 2);
+    assert.equal(out.width, 2);
+    assert.equal(out.height, 1);
+    assert.deepEqual(levels(out), [[128, 10]]);
+  });
+  it('leaves small images alone', () => {
+    const img = gray([[1, 2]]);
+    assert.equal(downscale(img, 10), img);
+  });
+  it('repeats pixels without smoothing', () => {
+    assert.deepEqual(levels(upscale(gray([[0, 255]]), 2)), [[0, 0, 255, 255], [0, 0, 255, 255]]);
+  });
+});
+
+describe('grayscale / invert', () => {
+  it('weights channels by luminance', () => {
+    const px = { data: new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255]), width: 2, height: 1 };
+    assert.deepEqual([...grayscale(px)], [76, 150]);
+  });
+  it('inverts colour but not alpha', () => {
+    const px = { data: new Uint8ClampedArray([0, 100, 255, 128]), width: 1, height: 1 };
+    assert.deepEqual([...invert(px).data], [255, 155, 0, 128]);
+  });
+});
+
+describe('adaptiveThreshold', () => {
+  it('separates dark marks from light paper under uneven lighting', () => {
+    // Paper brightens from 90 to 245 across the row; marks are half as bright as the paper
+    // around them, so every mark on the lit side is lighter than the paper in the shadow
+    const row = x => Math.round((90 + x * 5) * (x % 4 === 0 ? 0.5 : 1));
+    const img = gray(Array.from({ length: 8 }, () => Array.from({ length: 32 }, (_, x) => row(x))));
+    const out = levels(adaptiveThreshold(img, { window: 8 }))[4];
+    out.forEach((v, x) => assert.equal(v, x % 4 === 0 ? 0 : 255, `pixel ${x}`));
+  });
+});
+
+describe('rotate', () => {
+  it('maps a quarter turn exactly', () => {
+    assert.deepEqual(levels(rotate(gray([[1, 2, 3], [4, 5, 6]]), 90)), [[4, 1], [5, 2], [6, 3]]);
+  });
+  it('grows the canvas and fills new corners white', () => {
+    const out = rotate(gray(Array.from({ length: 10 }, () => Array(10).fill(0))), 45);
+    assert.equal(out.width, 14);
+    assert.equal(out.height, 14);
+    assert.equal(levels(out)[0][0], 255);
+    assert.equal(levels(out)[7][7], 0);
+  });
+});
+
+describe('crop / inkRegions', () => {
+  it('copies a rectangle', () => {
+    assert.deepEqual(levels(crop(gray([[1, 2, 3], [4, 5, 6]]), { x: 1, y: 1, width: 2, height: 1 })), [[5, 6]]);
+  });
+  it('boxes separate dark patches with a margin, largest first', () => {
+    const rows = Array.from({ length: 100 }, () => Array(200).fill(255));
+    const block = (x0, y0, size) => {
+      for (let y = y0; y < y0 + size; y++) for (let x = x0; x < x0 + size; x++) rows[y][x] = 0;
+    };
+    block(10, 10, 30);
+    block(120, 20, 50);
+    block(90, 90, 3); // speck
+    const regions = inkRegions(gray(rows));
+    assert.equal(regions.length, 2);
+    const [big, small] = regions;
+    assert.ok(big.x < 120 && big.x + big.width > 170 && big.y < 20 && big.y + big.height > 70);
+    assert.ok(small.x < 10 && small.x + small.width > 40);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isURL, unwrapInstallURL, generateAppleInstallLink, generateAndroidInstallLink } from '../src/core/install-url.js';
+import { parse, repair } from '../src/core/parser.js';
+import { extract } from '../src/core/extractor.js';
+
+const LPA = 'LPA:1$carrier.example.com$ABC12-DEF34-GHI56';
+
+describe('isURL', () => {
+  it('detects http(s) URLs only', () => {
+    assert.equal(isURL('https://esimsetup.apple.com/x'), true);
+    assert.equal(isURL(LPA), false);
+    assert.equal(isURL(null), false);
+  });
+});
+
+describe('unwrapInstallURL', () => {
+  it('reads the Apple carddata parameter', () => {
+    assert.deepEqual(unwrapInstallURL(`https://esimsetup.apple.com/esim_qrcode_provisioning?carddata=${LPA}`), [LPA]);
+  });
+  it('decodes percent-encoded payloads', () => {
+    const url = `https://esimsetup.apple.com/esim_qrcode_provisioning?carddata=${encodeURIComponent(LPA)}`;
+    assert.deepEqual(unwrapInstallURL(url), [LPA]);
+  });
+  it('composes split smdp and matching id parameters', () => {
+    const url = 'https://shop.example/install?SMDP=carrier.example.com&matchingId=ABC12-DEF34&cc=1234';
+    assert.deepEqual(unwrapInstallURL(url), ['LPA:1$carrier.example.com$ABC12-DEF34$1234']);
+  });
+  it('reads the fragment and nested redirect URLs', () => {
+    assert.deepEqual(unwrapInstallURL(`https://shop.example/#lpa=${encodeURIComponent(LPA)}`), [LPA]);
+    const inner = `https://esimsetup.apple.com/esim_qrcode_provisioning?carddata=${encodeURIComponent(LPA)}`;
+    assert.deepEqual(unwrapInstallURL(`https://t.example/r?url=${encodeURIComponent(inner)}`), [LPA]);
+  });
+  it('returns nothing for unrelated URLs', () => {
+    assert.deepEqual(unwrapInstallURL('https://example.com/about'), []);
+    assert.deepEqual(unwrapInstallURL('not a url'), []);
+  });
+});
+
+describe('install link generation', () => {
+  it('builds the Apple universal link', () => {
+    assert.equal(generateAppleInstallLink(LPA), `https://esimsetup.apple.com/esim_qrcode_provisioning?carddata=${LPA}`);
+  });
+  it('builds the Android link', () => {
+    assert.ok(generateAndroidInstallLink(LPA).startsWith('https://esimsetup.android.com/esim_qrcode_provisioning?carddata=LPA:1$'));
+  });
+  it('round-trips through parse()', () => {
+    const lpa = 'LPA:1$smdp.lab.example.com:8443$ABC12-DEF34$1.3.6.1.4.1.31746$1';
+    assert.equal(parse(generateAppleInstallLink(lpa)).data.lpaString, lpa);
+    assert.equal(parse(generateAndroidInstallLink(lpa)).data.lpaString, lpa);
+  });
+});
+
+describe('install URLs in parser, repair and extractor', () => {
+  it('parse() unwraps install URLs', () => {
+    const result = parse(`https://esimsetup.apple.com/esim_qrcode_provisioning?carddata=${LPA}`);
+    assert.equal(result.success, true);
+    assert.equal(result.data.lpaString, LPA);
+  });
+  it('parse() rejects URLs without an activation code', () => {
+    assert.equal(parse('https://example.com/').success, false);
+  });
+  it('repair() fixes a malformed code inside a URL', () => {
+    const result = repair('https://shop.example/?carddata=1$carrier.example.com$ABC12-DEF34');
+    assert.equal(result.success, true);
+    assert.equal(result.fixed, 'LPA:1$carrier.example.com$ABC12-DEF34');
+  });
+  it('extract() finds install links in an HTML email', () => {
+    const html = `<p>Tap <a href="https://esimsetup.apple.com/esim_qrcode_provisioning?carddata=${encodeURIComponent(LPA)}">here</a> to install.</p>`;
+    assert.deepEqual(extract(html).map(d => d.lpaString), [LPA]);
+  });
+});
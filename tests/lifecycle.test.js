@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { statusOf, statusLogOf, cleanLifecycle, transition } from '../src/features/lifecycle.js';
+
+describe('lifecycle', () => {
+  it('treats entries saved before statuses as new since they were saved', () => {
+    const old = { timestamp: 1000 };
+    assert.equal(statusOf(old), 'new');
+    assert.deepEqual(statusLogOf(old), [{ status: 'new', at: 1000, device: '' }]);
+    assert.deepEqual(cleanLifecycle({ timestamp: 1000, status: 'installed', device: 7 }), {
+      status: 'installed', device: '', statusLog: [{ status: 'installed', at: 1000, device: '' }],
+    });
+  });
+
+  it('drops invalid changes from imported logs', () => {
+    const log = statusLogOf({ timestamp: 1000, statusLog: [{ status: 'shared', at: 2000, device: 'iPad' }, { status: 'sold', at: 3000 }, null, { status: 'failed', at: 'soon' }] });
+    assert.deepEqual(log, [{ status: 'shared', at: 2000, device: 'iPad' }]);
+  });
+
+  it('appends transitions, keeping the device unless given and the log bounded', () => {
+    let entry = { timestamp: 1000, ...transition({ timestamp: 1000 }, 'shared', { device: 'iPad', at: 2000 }) };
+    entry = { ...entry, ...transition(entry, 'installed', { at: 3000 }) };
+    assert.equal(entry.device, 'iPad');
+    assert.deepEqual(entry.statusLog.map(c => c.status), ['new', 'shared', 'installed']);
+    assert.throws(() => transition(entry, 'lost'), /Unknown status/);
+
+    for (let i = 0; i < 60; i++) entry = { ...entry, ...transition(entry, 'failed', { at: 4000 + i }) };
+    assert.equal(entry.statusLog.length, 50);
+    assert.equal(entry.statusLog.at(-1).at, 4059);
+  });
+});
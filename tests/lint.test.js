@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lint, CODES } from '../src/core/lint.js';
+import { parse } from '../src/core/parser.js';
+
+const codes = (result) => result.diagnostics.map(d => d.code);
+
+describe('lint', () => {
+  it('reports nothing for a clean LPA string', () => {
+    const result = lint('LPA:1$carrier.example.com$ABC12-DEF34-GHI56');
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.diagnostics, []);
+    assert.equal(result.data.smdpAddress, 'carrier.example.com');
+  });
+  it('flags empty input as an error', () => {
+    const result = lint('   ');
+    assert.equal(result.valid, false);
+    assert.deepEqual(codes(result), [CODES.EMPTY]);
+  });
+  it('warns about issues parse() accepts', () => {
+    const input = ' lpa:1$carrier.example.com$abc12-def34 ';
+    const result = lint(input);
+    assert.equal(result.valid, true);
+    assert.deepEqual(codes(result), [CODES.WHITESPACE, CODES.PREFIX_LOWERCASE, CODES.ACTIVATION_LOWERCASE, CODES.WHITESPACE]);
+    assert.ok(result.diagnostics.every(d => d.severity === 'warning'));
+  });
+  it('reports the exact span and field of an invalid activation code', () => {
+    const input = 'LPA:1$carrier.example.com$AB!';
+    const d = lint(input).diagnostics.find(x => x.code === CODES.ACTIVATION_INVALID);
+    assert.equal(d.severity, 'error');
+    assert.equal(d.field, 'activationCode');
+    assert.equal(input.slice(d.start, d.end), 'AB!');
+  });
+  it('points at the invalid SM-DP+ address', () => {
+    const input = 'LPA:1$notadomain$ABC12-DEF34-GHI56';
+    const d = lint(input).diagnostics.find(x => x.code === CODES.SMDP_INVALID);
+    assert.equal(input.slice(d.start, d.end), 'notadomain');
+    assert.ok(d.suggestion);
+  });
+  it('suggests inserting the missing version number', () => {
+    const d = lint('LPA:carrier.example.com$ABC12-DEF34').diagnostics[0];
+    assert.equal(d.code, CODES.AC_FORMAT);
+    assert.equal(d.start, 4);
+    assert.equal(d.end, 4);
+  });
+  it('warns about a missing prefix on bare format', () => {
+    const result = lint('carrier.example.com$ABC12-DEF34-GHI56');
+    assert.equal(result.valid, true);
+    assert.deepEqual(codes(result), [CODES.PREFIX_MISSING]);
+  });
+  it('flags invisible characters', () => {
+    const input = 'LPA:1$carrier.example.com$ABC12\u200B-DEF34';
+    const d = lint(input).diagnostics.find(x => x.code === CODES.INVISIBLE_CHAR);
+    assert.equal(d.start, input.indexOf('\u200B'));
+  });
+  it('flags whitespace around a field', () => {
+    const input = 'LPA:1$ carrier.example.com $ABC12-DEF34';
+    const spans = lint(input).diagnostics.filter(d => d.code === CODES.WHITESPACE).map(d => [d.start, d.end, d.field]);
+    assert.deepEqual(spans, [[6, 7, 'smdpAddress'], [26, 27, 'smdpAddress']]);
+  });
+  it('flags an invalid confirmation-code-required flag and extra fields', () => {
+    assert.ok(codes(lint('LPA:1$carrier.example.com$ABC12-DEF34$$Y')).includes(CODES.CC_FLAG_INVALID));
+    assert.ok(codes(lint('LPA:1$carrier.example.com$ABC12-DEF34$1.2.3$1$x')).includes(CODES.TOO_MANY_FIELDS));
+  });
+  it('reports an install URL as a whole', () => {
+    const result = lint('https://esimsetup.apple.com/esim_qrcode_provisioning?carddata=LPA:1$carrier.example.com$ABC12-DEF34');
+    assert.equal(result.valid, true);
+    assert.deepEqual(codes(result), [CODES.INSTALL_URL]);
+  });
+  it('always agrees with parse()', () => {
+    const inputs = [
+      'LPA:1$carrier.example.com$ABC12-DEF34',
+      'lpa:1$carrier.example.com$ABC12-DEF34',
+      '1$carrier.example.com',
+      'LPA:2$carrier.example.com$ABC12-DEF34',
+      'hello world',
+      'carrier.example.com$short',
+      'LPA:1$carrier.example.com:8443$ABC12-DEF34$1.3.6.1$1',
+      'https://esimsetup.apple.com/esim_qrcode_provisioning?carddata=LPA:1$carrier.example.com$ABC12-DEF34',
+      'https://example.com/',
+    ];
+    for (const input of inputs) {
+      const result = lint(input);
+      assert.equal(result.valid, parse(input).success, input);
+      assert.equal(result.valid, !result.diagnostics.some(d => d.severity === 'error'), input);
+    }
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { parse, parseSeparated, generateLPA, validateSMDP, validateActivationCode, repair } from '../src/core/parser.js';
+import { parse, parseSeparated, generateLPA, validateSMDP, validateOID, validateActivationCode, repair, registerRepairRule, unregisterRepairRule, listRepairRules } from '../src/core/parser.js';
 
 describe('validateSMDP', () => {
   it('accepts valid domains', () => {
@@ -13,6 +13,33 @@ describe('validateSMDP', () => {
     assert.equal(validateSMDP('notadomain'), false);
     assert.equal(validateSMDP(null), false);
   });
+  it('accepts ports, IP literals and IDN hosts', () => {
+    assert.equal(validateSMDP('smdp.lab.example.com:8443'), true);
+    assert.equal(validateSMDP('192.168.10.20'), true);
+    assert.equal(validateSMDP('10.0.0.1:8443'), true);
+    assert.equal(validateSMDP('[2001:db8::1]:8443'), true);
+    assert.equal(validateSMDP('smdp.bücher.de'), true);
+    assert.equal(validateSMDP('lpa.xn--p1ai'), true);
+  });
+  it('rejects bad ports and IP literals', () => {
+    assert.equal(validateSMDP('carrier.example.com:0'), false);
+    assert.equal(validateSMDP('carrier.example.com:70000'), false);
+    assert.equal(validateSMDP('carrier.example.com:'), false);
+    assert.equal(validateSMDP('256.1.1.1'), false);
+  });
+});
+
+describe('validateOID', () => {
+  it('accepts dotted decimal OIDs', () => {
+    assert.equal(validateOID('1.3.6.1.4.1.31746'), true);
+    assert.equal(validateOID('2.999'), true);
+  });
+  it('rejects non-OIDs', () => {
+    assert.equal(validateOID('1234'), false);
+    assert.equal(validateOID('3.1.2'), false);
+    assert.equal(validateOID('1.02'), false);
+    assert.equal(validateOID(''), false);
+  });
 });
 
 describe('validateActivationCode', () => {
@@ -40,6 +67,24 @@ describe('generateLPA', () => {
       'LPA:1$carrier.example.com$ABC12-DEF34$PASS1'
     );
   });
+  it('generates with OID and confirmation-code-required flag', () => {
+    assert.equal(
+      generateLPA({ smdpAddress: 'carrier.example.com', activationCode: 'ABC12-DEF34', smdpOid: '1.3.6.1.4.1.31746', confirmationCodeRequired: true }),
+      'LPA:1$carrier.example.com$ABC12-DEF34$1.3.6.1.4.1.31746$1'
+    );
+  });
+  it('keeps an empty OID field when only the flag is set', () => {
+    assert.equal(
+      generateLPA({ smdpAddress: 'carrier.example.com', activationCode: 'ABC12-DEF34', confirmationCodeRequired: true }),
+      'LPA:1$carrier.example.com$ABC12-DEF34$$1'
+    );
+  });
+  it('refuses an OID together with a confirmation code', () => {
+    assert.throws(
+      () => generateLPA({ smdpAddress: 'carrier.example.com', activationCode: 'ABC12-DEF34', smdpOid: '1.3.6.1.4.1.31746', confirmationCode: 'PASS1' }),
+      /both an SM-DP\+ OID and a confirmation code/
+    );
+  });
 });
 
 describe('parse', () => {
@@ -80,6 +125,40 @@ describe('parse', () => {
     const result = parse('lpa:1$carrier.example.com$ABC12-DEF34-GHI56');
     assert.equal(result.success, true);
   });
+  it('parses SM-DP+ OID and confirmation-code-required flag', () => {
+    const result = parse('LPA:1$carrier.example.com$ABC12-DEF34-GHI56$1.3.6.1.4.1.31746$1');
+    assert.equal(result.success, true);
+    assert.equal(result.data.smdpOid, '1.3.6.1.4.1.31746');
+    assert.equal(result.data.confirmationCodeRequired, true);
+    assert.equal(result.data.confirmationCode, '');
+    assert.equal(result.data.lpaString, 'LPA:1$carrier.example.com$ABC12-DEF34-GHI56$1.3.6.1.4.1.31746$1');
+  });
+  it('parses flag with empty OID field', () => {
+    const result = parse('LPA:1$carrier.example.com$ABC12-DEF34-GHI56$$1');
+    assert.equal(result.success, true);
+    assert.equal(result.data.smdpOid, '');
+    assert.equal(result.data.confirmationCodeRequired, true);
+    assert.equal(result.data.lpaString, 'LPA:1$carrier.example.com$ABC12-DEF34-GHI56$$1');
+  });
+  it('defaults optional SGP.22 fields', () => {
+    const result = parse('LPA:1$carrier.example.com$ABC12-DEF34-GHI56');
+    assert.equal(result.data.smdpOid, '');
+    assert.equal(result.data.confirmationCodeRequired, false);
+  });
+  it('parses SM-DP+ address with port', () => {
+    const result = parse('LPA:1$smdp.lab.example.com:8443$ABC12-DEF34-GHI56');
+    assert.equal(result.success, true);
+    assert.equal(result.data.smdpAddress, 'smdp.lab.example.com:8443');
+  });
+  it('rejects invalid confirmation-code-required flag', () => {
+    assert.equal(parse('LPA:1$carrier.example.com$ABC12-DEF34-GHI56$$Y').success, false);
+  });
+  it('rejects unsupported AC_Format', () => {
+    assert.equal(parse('LPA:2$carrier.example.com$ABC12-DEF34-GHI56').success, false);
+  });
+  it('rejects extra fields instead of dropping them', () => {
+    assert.equal(parse('LPA:1$carrier.example.com$ABC12-DEF34-GHI56$1.2.3$1$extra').success, false);
+  });
 });
 
 describe('parseSeparated', () => {
@@ -102,6 +181,33 @@ describe('parseSeparated', () => {
     assert.equal(result.data.confirmationCode, 'MYPASS');
     assert.equal(result.data.lpaString, 'LPA:1$carrier.example.com$ABC12-DEF34-GHI56$MYPASS');
   });
+  it('accepts an OID and the confirmation-code-required flag', () => {
+    const result = parseSeparated({
+      smdpAddress: 'carrier.example.com',
+      activationCode: 'ABC12-DEF34-GHI56',
+      smdpOid: ' 1.3.6.1.4.1.31746 ',
+      confirmationCodeRequired: true
+    });
+    assert.equal(result.success, true);
+    assert.equal(result.data.smdpOid, '1.3.6.1.4.1.31746');
+    assert.equal(result.data.confirmationCodeRequired, true);
+    assert.equal(result.data.lpaString, 'LPA:1$carrier.example.com$ABC12-DEF34-GHI56$1.3.6.1.4.1.31746$1');
+  });
+  it('rejects an OID together with a confirmation code', () => {
+    const result = parseSeparated({
+      smdpAddress: 'carrier.example.com',
+      activationCode: 'ABC12-DEF34-GHI56',
+      confirmationCode: 'MYPASS',
+      smdpOid: '1.3.6.1.4.1.31746'
+    });
+    assert.equal(result.success, false);
+    assert.match(result.error, /both an SM-DP\+ OID and a confirmation code/);
+  });
+  it('rejects a malformed OID', () => {
+    const result = parseSeparated({ smdpAddress: 'carrier.example.com', activationCode: 'ABC12-DEF34-GHI56', smdpOid: 'OID-1' });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Invalid SM-DP\+ OID/);
+  });
 });
 
 describe('repair', () => {
@@ -128,5 +234,68 @@ describe('repair', () => {
   it('reports failure for garbage input', () => {
     const result = repair('this is not esim data at all');
     assert.equal(result.success, false);
+    assert.deepEqual(result.candidates, []);
+  });
+  it('returns ranked candidates for ambiguous tokens', () => {
+    const result = repair('carrier.example.com ABC12-DEF34-GHI56 1234 PIN');
+    assert.equal(result.success, true);
+    assert.ok(result.candidates.length >= 3);
+    assert.equal(result.fixed, result.candidates[0].fixed);
+    assert.equal(result.fixed, 'LPA:1$carrier.example.com$ABC12-DEF34-GHI56$1234');
+    const fixes = result.candidates.map(c => c.fixed);
+    assert.ok(fixes.includes('LPA:1$carrier.example.com$ABC12-DEF34-GHI56$PIN'));
+    assert.ok(fixes.includes('LPA:1$carrier.example.com$ABC12-DEF34-GHI56'));
+    for (let i = 1; i < result.candidates.length; i++) {
+      assert.ok(result.candidates[i - 1].confidence >= result.candidates[i].confidence);
+    }
+  });
+  it('tags candidates with rule id and parsed data', () => {
+    const [top] = repair('LPA:carrier.example.com$ABC12-DEF34-GHI56').candidates;
+    assert.equal(top.ruleId, 'missing-version');
+    assert.equal(top.data.smdpAddress, 'carrier.example.com');
+  });
+});
+
+describe('repair rule registry', () => {
+  it('lists the built-in rules', () => {
+    const ids = listRepairRules().map(r => r.id);
+    assert.deepEqual(ids.slice(0, 3), ['missing-prefix', 'missing-version', 'token-reorder']);
+    assert.ok(listRepairRules().every(r => r.description && r.confidence > 0));
+  });
+  it('applies a registered custom rule and ranks it by confidence', () => {
+    registerRepairRule({
+      id: 'test-carrier',
+      description: 'Test carrier puts the code first',
+      confidence: 0.99,
+      apply: (input) => {
+        const m = input.match(/^([A-Z0-9-]{8,})@(\S+)$/);
+        return m ? `LPA:1$${m[2]}$${m[1]}` : null;
+      },
+    });
+    try {
+      const result = repair('ABC12-DEF34-GHI56@carrier.example.com');
+      assert.equal(result.success, true);
+      assert.equal(result.candidates[0].ruleId, 'test-carrier');
+      assert.equal(result.problem, 'Test carrier puts the code first');
+      assert.equal(result.fixed, 'LPA:1$carrier.example.com$ABC12-DEF34-GHI56');
+    } finally {
+      unregisterRepairRule('test-carrier');
+    }
+  });
+  it('ignores rules that throw', () => {
+    registerRepairRule({ id: 'test-broken', description: 'Broken', confidence: 1, apply: () => { throw new Error('boom'); } });
+    try {
+      assert.equal(repair('carrier.example.com$ABC12-DEF34-GHI56').success, true);
+    } finally {
+      unregisterRepairRule('test-broken');
+    }
+  });
+  it('rejects malformed and duplicate rules', () => {
+    assert.throws(() => registerRepairRule({ id: 'x' }));
+    assert.throws(() => registerRepairRule({ id: 'x', confidence: 2, apply: () => null }));
+    assert.throws(() => registerRepairRule({ id: 'missing-prefix', confidence: 0.5, apply: () => null }));
+  });
+  it('unregisters by id', () => {
+    assert.equal(unregisterRepairRule('no-such-rule'), false);
   });
 });
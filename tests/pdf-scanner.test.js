@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanPdf, pageText, renderScale, isPdfFile, MAX_PDF_PAGES } from '../src/core/pdf-scanner.js';
+import { encode } from '../src/core/qr-encoder.js';
+
+const TEXT_LPA = 'LPA:1$RSP.CARRIER.NET$VOUCHER-TEXT-01';
+const QR_LPA = 'LPA:1$SMDP.EXAMPLE.COM$VOUCHER-QR-02';
+
+const loadLibrary = () => import('pdfjs-dist/legacy/build/pdf.mjs');
+
+/**
+ * Minimal PDF with one line of Helvetica text per page (empty string for a blank page).
+ * @param {string[]} lines
+ */
+function pdfFile(lines, name = 'voucher.pdf') {
+  const objects = ['<< /Type /Catalog /Pages 2 0 R >>', null, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'];
+  const kids = [];
+  for (const line of lines) {
+    const stream = line ? `BT /F1 12 Tf 50 700 Td (${line.replace(/[()\\]/g, '\\$&')}) Tj ET` : '';
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(`${objects.length} 0 R`);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = body.length;
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new File([body], name, { type: 'application/pdf' });
+}
+
+/** Stand-in for canvas rendering: page 2 shows a QR code, other pages are blank. */
+function renderPage(page) {
+  const { modules } = page.pageNumber === 2 ? encode(QR_LPA) : { modules: [] };
+  const scale = 4;
+  const width = 200;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  modules.forEach((row, my) => row.forEach((dark, mx) => {
+    if (!dark) return;
+    for (let y = 0; y < scale; y++) {
+      const start = ((30 + my * scale + y) * width + 30 + mx * scale) * 4;
+      data.fill(0, start, start + scale * 4);
+      for (let x = 0; x < scale; x++) data[start + x * 4 + 3] = 255;
+    }
+  }));
+  return Promise.resolve({ data, width, height: width });
+}
+
+describe('scanPdf', () => {
+  it('reports QR codes and LPA text page by page', async () => {
+    const progress = [];
+    const result = await scanPdf(pdfFile([`Activation: ${TEXT_LPA}`, 'Scan the code below', '']), {
+      loadLibrary, renderPage, onProgress: (page, total) => progress.push(`${page}/${total}`),
+    });
+    assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+    assert.equal(result.pageCount, 3);
+    assert.equal(result.truncated, false);
+    const [first, second, third] = result.pages;
+    assert.deepEqual(first.text.map(d => d.lpaString), [TEXT_LPA]);
+    assert.equal(first.qr, null);
+    assert.deepEqual(second.qr.payloads, [QR_LPA]);
+    assert.deepEqual(second.text, []);
+    assert.deepEqual({ ...third, page: 3 }, { page: 3, qr: null, text: [], error: null });
+  });
+  it('keeps scanning when one page fails to render', async () => {
+    const failing = page => (page.pageNumber === 1 ? Promise.reject(new Error('boom')) : renderPage(page));
+    const result = await scanPdf(pdfFile([TEXT_LPA, '']), { loadLibrary, renderPage: failing });
+    assert.match(result.pages[0].error, /boom/);
+    assert.deepEqual(result.pages[0].text.map(d => d.lpaString), [TEXT_LPA]);
+    assert.equal(result.pages[1].error, null);
+  });
+  it(`stops after ${MAX_PDF_PAGES} pages and says so`, async () => {
+    const result = await scanPdf(pdfFile(Array(MAX_PDF_PAGES + 2).fill('')), { loadLibrary, renderPage });
+    assert.equal(result.pages.length, MAX_PDF_PAGES);
+    assert.equal(result.pageCount, MAX_PDF_PAGES + 2);
+    assert.equal(result.truncated, true);
+  });
+  it('rejects files that are not PDFs', async () => {
+    await assert.rejects(scanPdf(new File(['x'], 'a.png', { type: 'image/png' }), { loadLibrary }), /must be a PDF/);
+    await assert.rejects(scanPdf(new File(['not a pdf'], 'a.pdf', { type: 'application/pdf' }), { loadLibrary }), /Failed to read PDF/);
+  });
+});
+
+describe('PDF helpers', () => {
+  it('recognises PDFs by type or extension', () => {
+    assert.equal(isPdfFile({ type: '', name: 'Voucher.PDF' }), true);
+    assert.equal(isPdfFile({ type: 'image/png', name: 'a.png' }), false);
+  });
+  it('joins text items and keeps line ends', () => {
+    assert.equal(pageText({ items: [{ str: 'LPA:1$a', hasEOL: false }, { str: '.com$X', hasEOL: true }, { str: 'next' }] }), 'LPA:1$a.com$X\nnext');
+  });
+  it('renders pages at about 2048px, capped for small pages', () => {
+    assert.equal(Math.round(renderScale({ width: 612, height: 792 }) * 792), 2048);
+    assert.equal(renderScale({ width: 100, height: 100 }), 4);
+  });
+});
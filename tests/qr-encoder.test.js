@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jsQR from 'jsqr';
+import { encode } from '../src/core/qr-encoder.js';
+
+/** Render a module matrix to RGBA pixels with a quiet zone, and decode it. */
+function decode(qr, scale = 4, quiet = 4) {
+  const width = (qr.size + quiet * 2) * scale;
+  const pixels = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      const mx = Math.floor(x / scale) - quiet;
+      const my = Math.floor(y / scale) - quiet;
+      if (qr.modules[my]?.[mx]) pixels.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+  return jsQR(pixels, width, width)?.data ?? null;
+}
+
+const LPA = 'LPA:1$SMDP.EXAMPLE.COM$ABC12-DEF34-GHI56-JKL78';
+
+describe('encode', () => {
+  it('round-trips an LPA string through a decoder', () => {
+    assert.equal(decode(encode(LPA)), LPA);
+  });
+  it('round-trips at every error correction level', () => {
+    for (const level of ['L', 'M', 'Q', 'H']) {
+      const qr = encode(LPA, { level });
+      assert.equal(qr.level, level);
+      assert.equal(decode(qr), LPA, level);
+    }
+  });
+  it('uses alphanumeric mode for uppercase LPA strings', () => {
+    const qr = encode(LPA);
+    assert.deepEqual(qr.segments.map(s => s.mode), ['alphanumeric']);
+    assert.equal(qr.version, 3);
+  });
+  it('mixes modes for lowercase input and stays decodable', () => {
+    const text = 'LPA:1$smdp.example.com$ABC12-DEF34-GHI56-JKL78-MNO90';
+    const qr = encode(text);
+    assert.ok(qr.segments.some(s => s.mode === 'byte'));
+    assert.ok(qr.segments.some(s => s.mode === 'alphanumeric'));
+    assert.equal(decode(qr), text);
+  });
+  it('encodes digit runs in numeric mode', () => {
+    const qr = encode('0123456789012345');
+    assert.deepEqual(qr.segments, [{ mode: 'numeric', text: '0123456789012345' }]);
+    assert.equal(decode(qr), '0123456789012345');
+  });
+  it('encodes UTF-8 text in byte mode', () => {
+    assert.equal(decode(encode('eSIM 設定 ✓')), 'eSIM 設定 ✓');
+  });
+  it('honours minVersion and sizes the matrix as 17 + 4 × version', () => {
+    const qr = encode(LPA, { minVersion: 10 });
+    assert.equal(qr.version, 10);
+    assert.equal(qr.size, 57);
+    assert.equal(qr.modules.length, 57);
+    assert.ok(qr.modules.every(row => row.length === 57));
+    assert.equal(decode(qr), LPA);
+  });
+  it('grows to large versions with version information', () => {
+    const text = 'LPA:1$SMDP.EXAMPLE.COM$' + 'ABCDE-'.repeat(60) + 'Z';
+    const qr = encode(text, { level: 'H' });
+    assert.ok(qr.version >= 7);
+    assert.equal(decode(qr, 3), text);
+  });
+  it('uses a fixed mask when asked', () => {
+    for (let mask = 0; mask < 8; mask++) {
+      const qr = encode(LPA, { mask });
+      assert.equal(qr.mask, mask);
+      assert.equal(decode(qr), LPA, `mask ${mask}`);
+    }
+  });
+  it('rejects data that does not fit and invalid options', () => {
+    assert.throws(() => encode('x'.repeat(3000), { level: 'H' }), /Data too long/);
+    assert.throws(() => encode(LPA, { level: 'X' }), /error correction level/);
+    assert.throws(() => encode(LPA, { minVersion: 41 }), /minVersion/);
+  });
+});
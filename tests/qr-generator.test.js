@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jsQR from 'jsqr';
+import { toSVG, toPDF, exportFilename, resolveStyle, contrastRatio, DEFAULT_QR_OPTIONS } from '../src/core/qr-generator.js';
+import { encode } from '../src/core/qr-encoder.js';
+
+const LPA = 'LPA:1$SMDP.EXAMPLE.COM$ABC12-DEF34-GHI56-JKL78';
+
+/** Rebuild a module matrix from "x y width 1" rectangles offset by the quiet zone. */
+function toMatrix(rects, n, quiet = 4) {
+  const modules = Array.from({ length: n }, () => new Array(n).fill(false));
+  for (const [x, y, w] of rects) {
+    for (let i = 0; i < w; i++) modules[y - quiet][x - quiet + i] = true;
+  }
+  return modules;
+}
+
+/** Square runs in an SVG path. */
+const svgRects = (svg) => [...svg.match(/<path d="([^"]*)"/)[1].matchAll(/M(\d+) (\d+)h(\d+)v1h-\d+z/g)].map(m => m.slice(1).map(Number));
+
+/** Decode a module matrix with jsQR, adding a 4-module quiet zone. */
+function decodeMatrix(modules, scale = 4) {
+  const width = (modules.length + 8) * scale;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      if (modules[Math.floor(y / scale) - 4]?.[Math.floor(x / scale) - 4]) data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+    }
+  }
+  return jsQR(data, width, width)?.data ?? null;
+}
+
+const LOGO = { src: 'data:image/png;base64,iVBORw0KGgo=', naturalWidth: 2, naturalHeight: 1 };
+
+describe('toSVG', () => {
+  it('draws exactly the encoded modules inside a 4-module quiet zone', () => {
+    const svg = toSVG(LPA, { size: 500, level: 'Q' });
+    const qr = encode(LPA, { level: 'Q' });
+    const n = qr.size;
+    assert.match(svg, new RegExp(`^<svg [^>]*width="500" height="500" viewBox="0 0 ${n + 8} ${n + 8}"`));
+    assert.deepEqual(toMatrix(svgRects(svg), n), qr.modules);
+  });
+  it('applies colours and a custom quiet zone', () => {
+    const svg = toSVG(LPA, { foreground: '#3d1872', background: '#fffbea', quietZone: 8 });
+    const n = encode(LPA).size;
+    assert.match(svg, new RegExp(`viewBox="0 0 ${n + 16} ${n + 16}"`));
+    assert.match(svg, /<rect [^>]*fill="#fffbea"/);
+    assert.match(svg, /<path [^>]*fill="#3d1872"/);
+    assert.deepEqual(toMatrix(svgRects(svg), n, 8), encode(LPA).modules);
+  });
+  it('keeps the standard quiet zone with the app defaults, which have none on screen', () => {
+    assert.equal(DEFAULT_QR_OPTIONS.quietZone, 0);
+    const n = encode(LPA).size;
+    for (const quietZone of [DEFAULT_QR_OPTIONS.quietZone, 2]) {
+      const svg = toSVG(LPA, { ...DEFAULT_QR_OPTIONS, quietZone });
+      assert.match(svg, new RegExp(`viewBox="0 0 ${n + 8} ${n + 8}"`));
+      assert.deepEqual(toMatrix(svgRects(svg), n), encode(LPA).modules);
+    }
+    const pdf = new TextDecoder().decode(toPDF(LPA, DEFAULT_QR_OPTIONS));
+    const rects = [...pdf.matchAll(/^(\d+) (\d+) (\d+) 1 re$/gm)].map(m => m.slice(1).map(Number));
+    assert.deepEqual(toMatrix(rects, n), encode(LPA).modules);
+  });
+  it('rounds data modules but keeps finder patterns square', () => {
+    const svg = toSVG(LPA, { moduleShape: 'rounded' });
+    const n = encode(LPA).size;
+    const finders = toMatrix(svgRects(svg), n);
+    assert.ok(finders[0].slice(0, 7).every(Boolean));
+    assert.ok(!finders[10].some(Boolean));
+    assert.match(svg, /a0\.35 0\.35 0 0 1/);
+    assert.doesNotMatch(svg, /crispEdges/);
+  });
+  it('places a logo at ECC H and leaves a decodable symbol around it', () => {
+    const svg = toSVG(LPA, { logo: LOGO, level: 'L' });
+    const qr = encode(LPA, { level: 'H' });
+    assert.match(svg, new RegExp(`viewBox="0 0 ${qr.size + 8} ${qr.size + 8}"`));
+    assert.match(svg, /<image href="data:image\/png;base64,iVBORw0KGgo="/);
+    const modules = toMatrix(svgRects(svg), qr.size);
+    const mid = Math.floor(qr.size / 2);
+    assert.equal(modules[mid][mid], false);
+    assert.notDeepEqual(modules, qr.modules);
+    assert.equal(decodeMatrix(modules), LPA);
+  });
+});
+
+describe('resolveStyle', () => {
+  it('fills in defaults', () => {
+    assert.deepEqual(resolveStyle({}), {
+      size: 300, level: 'M', minVersion: 1, foreground: '#000000', background: '#ffffff',
+      quietZone: 0, moduleShape: 'square', logo: null,
+    });
+    assert.equal(resolveStyle({}, 4).quietZone, 4);
+  });
+  it('forces error correction H when a logo is set', () => {
+    assert.equal(resolveStyle({ level: 'M', logo: LOGO }).level, 'H');
+  });
+  it('refuses low-contrast and inverted colours', () => {
+    assert.throws(() => resolveStyle({ foreground: '#c9a84c' }), /contrast .* too low/);
+    assert.throws(() => resolveStyle({ foreground: '#ffffff', background: '#000000' }), /darker than the background/);
+    assert.throws(() => resolveStyle({ foreground: 'red' }), /Invalid foreground colour/);
+  });
+  it('refuses invalid quiet zones and shapes', () => {
+    assert.throws(() => resolveStyle({ quietZone: -1 }), /Quiet zone/);
+    assert.throws(() => resolveStyle({ quietZone: 1.5 }), /Quiet zone/);
+    assert.throws(() => resolveStyle({ moduleShape: 'dots' }), /module shape/);
+  });
+  it('measures WCAG contrast', () => {
+    assert.equal(contrastRatio('#000', '#fff'), 21);
+    assert.equal(contrastRatio('#777777', '#777777'), 1);
+  });
+});
+
+describe('toPDF', () => {
+  it('produces a single-page PDF with a valid cross-reference table', () => {
+    const pdf = new TextDecoder().decode(toPDF(LPA, { size: 800 }));
+    assert.ok(pdf.startsWith('%PDF-1.4\n'));
+    assert.ok(pdf.endsWith('%%EOF\n'));
+    assert.match(pdf, /\/MediaBox \[0 0 800 800\]/);
+    assert.match(pdf, /\/Count 1/);
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    assert.ok(pdf.startsWith('xref', xref));
+    const entries = pdf.slice(xref).match(/^\d{10} 00000 n $/gm);
+    assert.equal(entries.length, 4);
+    entries.forEach((entry, i) => assert.ok(pdf.startsWith(`${i + 1} 0 obj`, Number(entry.slice(0, 10)))));
+
+    const [, length, stream] = pdf.match(/\/Length (\d+) >>\nstream\n([\s\S]*?)\nendstream/);
+    assert.equal(stream.length, Number(length));
+  });
+  it('draws exactly the encoded modules', () => {
+    const pdf = new TextDecoder().decode(toPDF(LPA));
+    const qr = encode(LPA);
+    const rects = [...pdf.matchAll(/^(\d+) (\d+) (\d+) 1 re$/gm)].map(m => m.slice(1).map(Number));
+    assert.deepEqual(toMatrix(rects, qr.size), qr.modules);
+  });
+  it('fills with the chosen colours and draws rounded modules as curves', () => {
+    const pdf = new TextDecoder().decode(toPDF(LPA, { foreground: '#3d1872', moduleShape: 'rounded' }));
+    assert.match(pdf, /^0\.2392 0\.0941 0\.4471 rg$/m);
+    assert.match(pdf, / c$/m);
+  });
+});
+
+describe('exportFilename', () => {
+  const date = new Date(2026, 0, 5);
+  it('derives the name from the carrier and date', () => {
+    assert.equal(exportFilename('T-Mobile', 'png', date), 'esim-t-mobile-2026-01-05.png');
+    assert.equal(exportFilename('Télécom & Co.', 'pdf', date), 'esim-telecom-co-2026-01-05.pdf');
+  });
+  it('falls back when the carrier is unknown', () => {
+    assert.equal(exportFilename(null, 'svg', date), 'esim-qr-2026-01-05.svg');
+    assert.equal(exportFilename('***', 'svg', date), 'esim-qr-2026-01-05.svg');
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeAllImageData, decodeImageData, decodeStaged, DECODE_STAGES } from '../src/core/qr-scanner.js';
+import { invert } from '../src/core/image-preprocess.js';
+import { encode } from '../src/core/qr-encoder.js';
+
+const LPAS = [
+  'LPA:1$SMDP.EXAMPLE.COM$ABC12-DEF34-GHI56-JKL78',
+  'LPA:1$SMDP.EXAMPLE.COM$MNO12-PQR34-STU56-VWX78',
+  'LPA:1$RSP.CARRIER.NET$FAMILY-LINE-3',
+  'LPA:1$RSP.CARRIER.NET$FAMILY-LINE-4',
+];
+
+/**
+ * Draw several codes onto one white page, like a screenshot of a family plan.
+ * @param {{ text: string, x: number, y: number }[]} placements - in module units
+ */
+function page(placements, { width, height, scale = 3 }) {
+  const data = new Uint8ClampedArray(width * height * 4).fill(255);
+  for (const { text, x, y } of placements) {
+    const { modules } = encode(text);
+    for (let my = 0; my < modules.length; my++) {
+      for (let mx = 0; mx < modules.length; mx++) {
+        if (!modules[my][mx]) continue;
+        for (let py = 0; py < scale; py++) {
+          const start = ((y + my * scale + py) * width + x + mx * scale) * 4;
+          for (let px = 0; px < scale; px++) data.fill(0, start + px * 4, start + px * 4 + 3);
+        }
+      }
+    }
+  }
+  return { data, width, height };
+}
+
+describe('decodeAllImageData', () => {
+  it('finds every code in a 2×2 sheet in reading order', () => {
+    const img = page([
+      { text: LPAS[0], x: 20, y: 20 }, { text: LPAS[1], x: 200, y: 20 },
+      { text: LPAS[2], x: 20, y: 200 }, { text: LPAS[3], x: 200, y: 200 },
+    ], { width: 360, height: 360 });
+    assert.deepEqual(decodeAllImageData(img).map(r => r.data), LPAS);
+  });
+  it('finds codes in a single row', () => {
+    const img = page(LPAS.slice(0, 3).map((text, i) => ({ text, x: 20 + i * 180, y: 30 })), { width: 560, height: 200 });
+    assert.deepEqual(decodeAllImageData(img).map(r => r.data), LPAS.slice(0, 3));
+  });
+  it('reports a repeated payload once', () => {
+    const img = page([{ text: LPAS[0], x: 20, y: 20 }, { text: LPAS[0], x: 200, y: 20 }], { width: 360, height: 180 });
+    assert.deepEqual(decodeAllImageData(img).map(r => r.data), [LPAS[0]]);
+  });
+  it('returns bounds and bytes, and leaves the input untouched', () => {
+    const img = page([{ text: LPAS[0], x: 40, y: 40 }], { width: 200, height: 200 });
+    const before = Uint8ClampedArray.from(img.data);
+    const [result] = decodeAllImageData(img);
+    assert.equal(new TextDecoder().decode(result.bytes), LPAS[0]);
+    const size = encode(LPAS[0]).size * 3;
+    assert.ok(result.bounds.x <= 40 && result.bounds.x + result.bounds.width >= 40 + size);
+    assert.deepEqual(img.data, before);
+  });
+  it('returns an empty list for an image without codes', () => {
+    assert.deepEqual(decodeAllImageData(page([], { width: 100, height: 100 })), []);
+  });
+  it('stops at maxCodes', () => {
+    const img = page(LPAS.slice(0, 3).map((text, i) => ({ text, x: 20 + i * 180, y: 30 })), { width: 560, height: 200 });
+    assert.equal(decodeAllImageData(img, { maxCodes: 2 }).length, 2);
+  });
+});
+
+describe('decodeImageData', () => {
+  it('decodes the first code it finds', () => {
+    const img = page([{ text: LPAS[2], x: 20, y: 20 }], { width: 160, height: 160 });
+    assert.equal(decodeImageData(img).data, LPAS[2]);
+  });
+});
+
+/** One code under lighting that fades across the image; dark modules keep `contrast` of the paper's brightness. */
+function shaded(text, contrast) {
+  const { modules } = encode(text);
+  const scale = 4;
+  const width = modules.length * scale + 80;
+  const data = new Uint8ClampedArray(width * width * 4);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      const my = Math.floor((y - 40) / scale);
+      const mx = Math.floor((x - 40) / scale);
+      const dark = modules[my]?.[mx];
+      const paper = 60 + (190 * (x + y)) / (2 * width);
+      data.fill(dark ? paper * contrast : paper, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      data[(y * width + x) * 4 + 3] = 255;
+    }
+  }
+  return { data, width, height: width };
+}
+
+describe('decodeStaged', () => {
+  it('decodes a clean image without preprocessing', () => {
+    const result = decodeStaged(page([{ text: LPAS[0], x: 20, y: 20 }], { width: 140, height: 140 }));
+    assert.equal(result.data, LPAS[0]);
+    assert.equal(result.stage, 'original');
+  });
+  it('reports white-on-dark codes as inverted', () => {
+    const result = decodeStaged(invert(page([{ text: LPAS[0], x: 20, y: 20 }], { width: 140, height: 140 })));
+    assert.equal(result.data, LPAS[0]);
+    assert.equal(result.stage, 'inverted');
+  });
+  it('recovers a faint code under uneven lighting by thresholding', () => {
+    const result = decodeStaged(shaded(LPAS[0], 0.7));
+    assert.equal(result.data, LPAS[0]);
+    assert.equal(result.stage, 'thresholded');
+  });
+  it('returns null when no stage finds a code', () => {
+    assert.equal(decodeStaged(page([], { width: 60, height: 60 })), null);
+  });
+  it('tries stages in order and stops at the first success', () => {
+    const tried = [];
+    const decode = pixels => {
+      tried.push(pixels.width);
+      return pixels.width <= 1024 ? { data: 'ok', bytes: new Uint8Array() } : null;
+    };
+    const big = { data: new Uint8ClampedArray(2048 * 4 * 4), width: 2048, height: 4 };
+    const result = decodeStaged(big, { decode });
+    assert.equal(result.stage, 'inverted'); // inversion already works at the reduced size
+    assert.deepEqual(tried, [2048, 1024]);
+    assert.equal(decodeStaged(big, { decode, stages: DECODE_STAGES.filter(s => s.id !== 'inverted') }).stage, 'downscaled');
+  });
+  it('only enlarges small images', () => {
+    const upscaled = DECODE_STAGES.find(s => s.id === 'upscaled');
+    const small = upscaled.variants({ data: new Uint8ClampedArray(100 * 100 * 4), width: 100, height: 100 });
+    assert.equal(small[0].width, 400);
+    assert.deepEqual(upscaled.variants({ data: new Uint8ClampedArray(500 * 4), width: 500, height: 1 }), []);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyImageData, withQuietZone, lightBorder } from '../src/core/qr-verify.js';
+import { encode } from '../src/core/qr-encoder.js';
+
+const LPA = 'LPA:1$SMDP.EXAMPLE.COM$ABC12-DEF34-GHI56-JKL78';
+
+/** Render modules edge to edge, like the generator canvas (no quiet zone by default). */
+function render(modules, scale = 4, quietZone = 0) {
+  const width = (modules.length + quietZone * 2) * scale;
+  const data = new Uint8ClampedArray(width * width * 4).fill(255);
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < width; x++) {
+      if (modules[Math.floor(y / scale) - quietZone]?.[Math.floor(x / scale) - quietZone]) {
+        data.fill(0, (y * width + x) * 4, (y * width + x) * 4 + 3);
+      }
+    }
+  }
+  return { data, width, height: width };
+}
+
+describe('verifyImageData', () => {
+  it('verifies a rendered code through the scanner pipeline', () => {
+    const result = verifyImageData(render(encode(LPA).modules), LPA);
+    assert.equal(result.status, 'verified');
+    assert.equal(result.decoded, LPA);
+  });
+  it('fails when the payload differs by a single byte', () => {
+    const result = verifyImageData(render(encode(LPA).modules), LPA.replace('L78', 'L79'));
+    assert.equal(result.status, 'failed');
+    assert.equal(result.decoded, LPA);
+  });
+  it('fails when the image does not decode', () => {
+    const modules = encode(LPA).modules.map(row => row.map(() => false));
+    assert.equal(verifyImageData(render(modules), LPA).status, 'failed');
+  });
+  it('compares bytes, not just decoded text', () => {
+    const decode = () => ({ data: 'é', bytes: Uint8Array.of(0xE9) }); // Latin-1 byte, not UTF-8
+    assert.equal(verifyImageData(render([[true]]), 'é', decode).status, 'failed');
+  });
+  it('decodes a render without a quiet zone as drawn', () => {
+    const image = render(encode(LPA).modules);
+    const seen = [];
+    verifyImageData(image, LPA, (pixels) => { seen.push(pixels); return null; });
+    assert.deepEqual(seen, [image]);
+  });
+  it('widens only a render that already has a quiet zone', () => {
+    const image = render(encode(LPA).modules, 4, 2);
+    const seen = [];
+    const result = verifyImageData(image, LPA, (pixels) => { seen.push(pixels); return null; });
+    assert.equal(result.status, 'failed');
+    assert.ok(seen[0].width > image.width);
+    assert.equal(verifyImageData(image, LPA).status, 'verified');
+  });
+  it('reports unavailable instead of failed when the decoder errors', () => {
+    const decode = () => { throw new Error('out of memory'); };
+    const result = verifyImageData(render(encode(LPA).modules), LPA, decode);
+    assert.equal(result.status, 'unavailable');
+    assert.match(result.message, /out of memory/);
+  });
+});
+
+describe('withQuietZone', () => {
+  it('adds a white border and keeps the pixels in place', () => {
+    const src = { data: new Uint8ClampedArray([0, 0, 0, 255, 10, 20, 30, 255]), width: 2, height: 1 };
+    const out = withQuietZone(src, 1);
+    assert.equal(out.width, 4);
+    assert.equal(out.height, 3);
+    assert.deepEqual([...out.data.slice(0, 4)], [255, 255, 255, 255]);
+    assert.deepEqual([...out.data.slice((1 * 4 + 1) * 4, (1 * 4 + 3) * 4)], [0, 0, 0, 255, 10, 20, 30, 255]);
+  });
+});
+
+describe('lightBorder', () => {
+  it('measures the narrowest light margin around the dark pixels', () => {
+    const modules = encode(LPA).modules;
+    assert.equal(lightBorder(render(modules)), 0);
+    assert.equal(lightBorder(render(modules, 4, 2)), 8);
+    assert.equal(lightBorder(render([[false]])), 0);
+  });
+});
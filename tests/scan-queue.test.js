@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPayload, classifyFile, scanQueue, summarize, pastedImages } from '../src/features/scan-queue.js';
+
+const VALID = 'LPA:1$SMDP.EXAMPLE.COM$ABC12-DEF34-GHI56-JKL78';
+const OTHER = 'https://example.com/menu';
+
+const NEAR_MISS = 'LPA:SMDP.EXAMPLE.COM$ABC12-DEF34'; // version number missing
+
+describe('classifyPayload', () => {
+  it('sorts payloads into decoded, repair and failed', () => {
+    assert.equal(classifyPayload(VALID), 'decoded');
+    assert.equal(classifyPayload(NEAR_MISS), 'repair');
+    assert.equal(classifyPayload(OTHER), 'failed');
+  });
+});
+
+describe('classifyFile', () => {
+  it('needs every code valid to count as decoded', () => {
+    assert.deepEqual(classifyFile('a.png', [VALID]), { name: 'a.png', status: 'decoded', payloads: [VALID], detail: '1 code' });
+    assert.equal(classifyFile('b.png', [VALID, NEAR_MISS]).status, 'repair');
+    assert.equal(classifyFile('b.png', [VALID, NEAR_MISS]).detail, '2 codes, 1 non-standard');
+  });
+  it('fails files without codes or without eSIM codes', () => {
+    assert.equal(classifyFile('c.png', []).status, 'failed');
+    assert.equal(classifyFile('d.png', [OTHER]).detail, '1 code, not an eSIM code');
+  });
+});
+
+describe('scanQueue', () => {
+  it('scans files in order, reports progress and records errors', async () => {
+    const files = [{ name: 'one.png' }, { name: 'two.png' }, { name: 'three.png' }];
+    const active = [];
+    const scan = async file => {
+      active.push(file.name);
+      assert.equal(active.length, files.indexOf(file) + 1, 'files are scanned one at a time');
+      if (file.name === 'two.png') throw new Error('No QR code detected.');
+      return file.name === 'one.png' ? [VALID] : [OTHER];
+    };
+    const progress = [];
+    const results = await scanQueue(files, {
+      scan,
+      onProgress: (index, total, result) => progress.push(`${index + 1}/${total}:${result ? result.status : 'start'}`),
+    });
+    assert.deepEqual(results.map(r => r.status), ['decoded', 'failed', 'failed']);
+    assert.equal(results[1].detail, 'No QR code detected.');
+    assert.deepEqual(progress, ['1/3:start', '1/3:decoded', '2/3:start', '2/3:failed', '3/3:start', '3/3:failed']);
+    assert.deepEqual(summarize(results), { decoded: 1, repair: 0, failed: 2 });
+  });
+});
+
+describe('pastedImages', () => {
+  it('keeps only images and names them', () => {
+    const clipboard = { files: [new File(['a'], 'image.png', { type: 'image/png' }), new File(['t'], 'x.txt', { type: 'text/plain' })] };
+    const files = pastedImages(clipboard);
+    assert.equal(files.length, 1);
+    assert.equal(files[0].name, 'Pasted image');
+    assert.equal(files[0].type, 'image/png');
+    assert.deepEqual(pastedImages(null), []);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTabChannel } from '../src/features/tab-sync.js';
+
+// BroadcastChannel stand-in: delivers to every other open channel of the same name
+function createFakeBroadcast() {
+  const open = new Set();
+  return class FakeBroadcastChannel extends EventTarget {
+    constructor(name) {
+      super();
+      this.name = name;
+      open.add(this);
+    }
+    postMessage(data) {
+      for (const other of open) {
+        if (other !== this && other.name === this.name) other.dispatchEvent(Object.assign(new Event('message'), { data }));
+      }
+    }
+    close() {
+      open.delete(this);
+    }
+  };
+}
+
+describe('tab channel', () => {
+  it('delivers messages to the other tabs on the same channel only', () => {
+    const BroadcastChannel = createFakeBroadcast();
+    const sender = createTabChannel('history', { BroadcastChannel });
+    assert.equal(sender.transport, 'broadcast');
+    const receiver = createTabChannel('history', { BroadcastChannel });
+    const elsewhere = createTabChannel('display', { BroadcastChannel });
+    const received = [];
+    sender.subscribe(m => received.push(['sender', m]));
+    const unsubscribe = receiver.subscribe(m => received.push(['receiver', m]));
+    elsewhere.subscribe(m => received.push(['elsewhere', m]));
+
+    sender.post({ type: 'changed' });
+    unsubscribe();
+    sender.post({ type: 'ignored' });
+    assert.deepEqual(received, [['receiver', { type: 'changed' }]]);
+  });
+
+  it('falls back to storage events and leaves nothing in storage', () => {
+    const store = new Map();
+    const storage = {
+      setItem: (k, v) => {
+        store.set(k, v);
+        // Browsers fire storage events in the other tabs
+        target.dispatchEvent(Object.assign(new Event('storage'), { key: k, newValue: v }));
+      },
+      removeItem: (k) => {
+        store.delete(k);
+        target.dispatchEvent(Object.assign(new Event('storage'), { key: k, newValue: null }));
+      },
+    };
+    const target = new EventTarget();
+    const channel = createTabChannel('display', { BroadcastChannel: null, storage, target });
+    assert.equal(channel.transport, 'storage');
+    const received = [];
+    channel.subscribe(m => received.push(m));
+
+    channel.post({ type: 'show-qr', lpa: 'LPA:1$a.example.com$CODE' });
+    channel.post({ type: 'show-qr', lpa: 'LPA:1$a.example.com$CODE' });
+    target.dispatchEvent(Object.assign(new Event('storage'), { key: 'unrelated', newValue: '{}' }));
+    assert.equal(received.length, 2);
+    assert.equal(received[0].lpa, 'LPA:1$a.example.com$CODE');
+    assert.equal(store.size, 0);
+    channel.close();
+  });
+
+  it('reaches no one when both BroadcastChannel and storage are ruled out', () => {
+    const channel = createTabChannel('display', { BroadcastChannel: null, storage: null });
+    assert.equal(channel.transport, 'none');
+    assert.doesNotThrow(() => channel.post({ type: 'show-qr' }));
+  });
+});